@@ -18,6 +18,7 @@ class IoTHubService {
     this.serviceClient = null;
     this.mockMode = false;
     this.isInitialized = false;
+    this.onFeedbackCallback = null;
   }
 
   async initialize() {
@@ -38,6 +39,7 @@ class IoTHubService {
       
       this.isInitialized = true;
       console.log('✅ IoT Hub Registry and Service clients ready');
+      this._listenForFeedback();
     } catch (error) {
       console.error('❌ Failed to initialize IoT Hub clients:', error.message);
       this.mockMode = true;
@@ -56,12 +58,47 @@ class IoTHubService {
   }
 
   /**
-   * Send command to device using Direct Methods (Low Latency)
+   * Delivery feedback for C2D messages sent with a commandId:
+   * callback(deviceId, commandId, outcome, description) where outcome is
+   * 'delivered', 'expired' or 'failed'.
    */
-  async sendCommandToDevice(deviceId, command, payload = {}) {
+  onFeedback(callback) {
+    this.onFeedbackCallback = callback;
+  }
+
+  _listenForFeedback() {
+    this.serviceClient.getFeedbackReceiver((err, receiver) => {
+      if (err) {
+        console.error('❌ Failed to open C2D feedback receiver:', err.message);
+        return;
+      }
+      receiver.on('message', (msg) => {
+        let records = [];
+        try {
+          records = JSON.parse(msg.getData().toString('utf8'));
+        } catch (parseErr) {
+          console.warn('⚠️ Unreadable C2D feedback batch:', parseErr.message);
+        }
+        for (const record of records) {
+          const outcome = record.statusCode === 'Success' ? 'delivered' : (record.statusCode === 'Expired' ? 'expired' : 'failed');
+          if (this.onFeedbackCallback) {
+            this.onFeedbackCallback(record.deviceId, record.originalMessageId, outcome, record.description);
+          }
+        }
+      });
+      console.log('📬 Listening for C2D delivery feedback');
+    });
+  }
+
+  /**
+   * Send command to device using Direct Methods (Low Latency).
+   * With a `commandId` the device gets it in the payload (to report the
+   * result back) and a C2D fallback asks IoT Hub for delivery feedback.
+   */
+  async sendCommandToDevice(deviceId, command, payload = {}, { commandId = null, expiresAt = null } = {}) {
     if (this.mockMode) {
       console.log(`🧪 [MOCK] Sending command "${command}" to device ${deviceId}`);
-      return { success: true, messageId: `mock-${Date.now()}` };
+      return { success: true, messageId: commandId || `mock-${Date.now()}`, mode: 'mock' };
     }
 
     if (!this.isInitialized || !this.serviceClient) {
@@ -73,7 +110,7 @@ class IoTHubService {
       
       const methodParams = {
         methodName: command,
-        payload: payload,
+        payload: commandId ? { ...payload, commandId } : payload,
         responseTimeoutInSeconds: 15, // Wait up to 15s for the device to respond
         connectTimeoutInSeconds: 5    // Wait up to 5s for the connection to be established
       };
@@ -89,7 +126,7 @@ class IoTHubService {
       } catch (methodErr) {
         // If the device is offline or doesn't support direct methods, fall back to C2D
         console.warn(`⚠️ Direct Method failed (${methodErr.message}). Falling back to C2D...`);
-        return await this._sendC2DMessage(deviceId, command, payload);
+        return await this._sendC2DMessage(deviceId, command, payload, { commandId, expiresAt });
       }
     } catch (error) {
       console.error(`❌ Failed to send IoT command to ${deviceId}:`, error.message);
@@ -100,17 +137,20 @@ class IoTHubService {
   /**
    * Fallback: Send command as Cloud-to-Device (C2D) message
    */
-  async _sendC2DMessage(deviceId, command, payload) {
+  async _sendC2DMessage(deviceId, command, payload, { commandId = null, expiresAt = null } = {}) {
     console.log(`📨 Sending C2D message fallback for "${command}" to ${deviceId}`);
     
     const messageData = JSON.stringify({ 
       command, 
       payload, 
+      commandId,
       timestamp: new Date().toISOString()
     });
     
     const message = new Message(Buffer.from(messageData, 'utf8'));
-    message.ack = 'none';
+    message.ack = commandId ? 'full' : 'none';
+    if (commandId) message.messageId = commandId;
+    if (expiresAt) message.expiryTimeUtc = new Date(expiresAt);
 
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => reject(new Error('C2D timeout')), 15000);
@@ -0,0 +1,68 @@
+const { recordAuditEvent } = require('../services/audit-service');
+
+function outcomeFor(status) {
+  if (status < 400) return 'success';
+  if (status === 401 || status === 403 || status === 429) return 'denied';
+  if (status < 500) return 'failure';
+  return 'error';
+}
+
+function viaFor(user = {}) {
+  return user.apiKey ? `api-key:${user.apiKey.id}` : null;
+}
+
+/**
+ * Records `action` once the response is sent, with the outcome taken from
+ * the status code. `describe(req)` returns { target, deviceId, details };
+ * handlers can add to (or override) it through res.locals.audit, e.g. to set
+ * the actor of an unauthenticated request once it is known.
+ */
+function audit(action, describe = () => ({}), { failuresOnly = false } = {}) {
+  return (req, res, next) => {
+    res.locals.audit = {};
+    res.on('finish', () => {
+      const outcome = outcomeFor(res.statusCode);
+      if (failuresOnly && outcome === 'success') return;
+
+      const event = { ...describe(req), ...res.locals.audit };
+      const user = req.user || {};
+      recordAuditEvent({
+        actor: event.actor || user.email || (req.body && req.body.email),
+        via: viaFor(user),
+        action,
+        target: event.target,
+        deviceId: event.deviceId,
+        ip: req.ip,
+        outcome,
+        status: res.statusCode,
+        details: event.details
+      });
+    });
+    next();
+  };
+}
+
+/**
+ * Records one more event for the current request straight away, e.g. one per
+ * device of a bulk operation, so each device's own trail stays complete.
+ * `status` is the HTTP status the operation would have had on its own.
+ */
+function auditEach(req, action, { target, deviceId, status, details }) {
+  recordAuditEvent({
+    actor: req.user && req.user.email,
+    via: viaFor(req.user),
+    action,
+    target,
+    deviceId,
+    ip: req.ip,
+    outcome: outcomeFor(status),
+    status,
+    details
+  });
+}
+
+module.exports = {
+  audit,
+  auditEach,
+  outcomeFor
+};
@@ -1,22 +1,73 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/session-service');
+const { isApiKey, verifyApiKey } = require('../services/api-key-service');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-in-prod-123';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
 
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+function signAccessToken({ email, isAdmin, sid }) {
+  return jwt.sign({ email, isAdmin: !!isAdmin, sid }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Accepts a user access token or, when `scope` is given, an API key holding
+ * that scope. API keys act as their owner and never carry admin rights.
+ */
+function authenticateScope(scope = null) {
+  return async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) return res.sendStatus(401);
+    if (isApiKey(token)) return authenticateApiKey(token, scope, req, res, next);
+
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
+      if (err) {
+        // 401 tells the client to refresh, 403 that the token is unusable
+        if (err.name === 'TokenExpiredError') return res.status(401).json({ error: 'Token expired' });
+        return res.sendStatus(403);
+      }
+      // Setup tokens and pre-session 180-day tokens are not access tokens
+      if (user.purpose || !user.sid) return res.status(401).json({ error: 'Session expired' });
+
+      try {
+        if (!await isSessionActive(user.email, user.sid)) {
+          return res.status(401).json({ error: 'Session revoked' });
+        }
+      } catch (sessionErr) {
+        console.error('Session check error:', sessionErr);
+        return res.status(500).json({ error: 'Internal Server Error' });
+      }
 
-  if (!token) return res.sendStatus(401);
+      req.user = user;
+      next();
+    });
+  };
+}
+
+async function authenticateApiKey(token, scope, req, res, next) {
+  let apiKey;
+  try {
+    apiKey = await verifyApiKey(token);
+  } catch (err) {
+    console.error('API key check error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+
+  if (!apiKey) return res.status(401).json({ error: 'Invalid or expired API key' });
+  if (!scope) return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+  if (!apiKey.scopes.includes(scope)) return res.status(403).json({ error: `API key lacks scope ${scope}` });
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) return res.sendStatus(403);
-    req.user = user;
-    next();
-  });
+  req.user = { email: apiKey.email, isAdmin: false, apiKey };
+  next();
 }
 
+const authenticateToken = authenticateScope();
+
 module.exports = {
   authenticateToken,
+  authenticateScope,
+  signAccessToken,
+  ACCESS_TOKEN_TTL,
   JWT_SECRET
 };
-
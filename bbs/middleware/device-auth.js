@@ -0,0 +1,48 @@
+const { getTableClient, TABLE_NAME_DEVICES } = require('../services/storage-service');
+const { authenticateDeviceRequest } = require('../services/device-auth-service');
+
+/**
+ * Requires a request signed with the device's credential and sets req.device
+ * to its metadata row. `getDeviceId(req)` picks the device, by default from
+ * the X-Device-Id header.
+ *
+ * A revoked credential answers 401 with `revoked: true` so the device knows to
+ * pair again; a pending rotation is delivered in the X-Device-Secret header.
+ */
+function authenticateDevice(getDeviceId = req => req.get('X-Device-Id')) {
+  return async (req, res, next) => {
+    const signature = req.get('X-Device-Signature');
+    const deviceId = getDeviceId(req);
+    if (!deviceId || !signature) return res.status(401).json({ error: 'Device signature required' });
+
+    try {
+      let device = null;
+      try {
+        device = await getTableClient(TABLE_NAME_DEVICES).getEntity(deviceId, 'metadata');
+      } catch (err) {
+        if (err.statusCode !== 404) throw err;
+      }
+
+      const request = { method: req.method, path: req.originalUrl, body: req.rawBody };
+      const result = device
+        ? await authenticateDeviceRequest(device, signature, request)
+        : { ok: false, revoked: false };
+      if (!result.ok) {
+        return res.status(401).json(result.revoked
+          ? { error: 'Device credential revoked', revoked: true }
+          : { error: 'Invalid device signature' });
+      }
+
+      if (result.newSecret) res.set('X-Device-Secret', result.newSecret);
+      req.device = device;
+      next();
+    } catch (err) {
+      console.error('Device authentication error:', err);
+      return res.status(500).json({ error: 'Internal Server Error' });
+    }
+  };
+}
+
+module.exports = {
+  authenticateDevice
+};
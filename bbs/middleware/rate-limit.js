@@ -0,0 +1,118 @@
+const { getTableClient, TABLE_NAME_RATE_LIMITS } = require('../services/storage-service');
+
+// "memory" counts per process; "storage" keeps counters in the rate limit
+// table so they survive restarts and are shared between instances
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+const RATE_LIMIT_PARTITION = 'ratelimit';
+const MEMORY_PURGE_THRESHOLD = 10000;
+const MAX_STORAGE_ATTEMPTS = 10;
+const RETRY_JITTER_MS = 25;
+
+const rateLimitStore = new Map();
+
+function memoryCheck(key, maxRequests, windowMs, now) {
+  if (rateLimitStore.size > MEMORY_PURGE_THRESHOLD) {
+    for (const [k, v] of rateLimitStore) {
+      if (now > v.resetTime) rateLimitStore.delete(k);
+    }
+  }
+
+  const limit = rateLimitStore.get(key);
+  if (!limit || now > limit.resetTime) {
+    rateLimitStore.set(key, { count: 1, resetTime: now + windowMs });
+    return { allowed: true, remaining: maxRequests - 1 };
+  }
+
+  if (limit.count >= maxRequests) {
+    return { allowed: false, remaining: 0, resetIn: Math.ceil((limit.resetTime - now) / 1000) };
+  }
+
+  limit.count++;
+  return { allowed: true, remaining: maxRequests - limit.count };
+}
+
+// RowKeys may not contain / \ # ? or control characters
+function toRowKey(key) {
+  return key.replace(/[\/\\#?\u0000-\u001f\u007f-\u009f]/g, '_');
+}
+
+// Every write is conditional on the row's etag (or on the row not existing
+// yet), so concurrent requests cannot count from the same value: the losers
+// read the counter again after a short random pause. A request that keeps
+// losing is refused rather than counted twice.
+async function storageCheck(key, maxRequests, windowMs, now) {
+  const client = getTableClient(TABLE_NAME_RATE_LIMITS);
+  const rowKey = toRowKey(key);
+
+  for (let attempt = 1; attempt <= MAX_STORAGE_ATTEMPTS; attempt++) {
+    let limit = null;
+    try {
+      limit = await client.getEntity(RATE_LIMIT_PARTITION, rowKey);
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+
+    try {
+      if (!limit || now > limit.resetTime) {
+        const fresh = { partitionKey: RATE_LIMIT_PARTITION, rowKey, count: 1, resetTime: now + windowMs };
+        if (limit) await client.updateEntity(fresh, "Replace", { etag: limit.etag });
+        else await client.createEntity(fresh);
+        return { allowed: true, remaining: maxRequests - 1 };
+      }
+
+      if (limit.count >= maxRequests) {
+        return { allowed: false, remaining: 0, resetIn: Math.ceil((limit.resetTime - now) / 1000) };
+      }
+
+      const count = limit.count + 1;
+      await client.updateEntity({ partitionKey: RATE_LIMIT_PARTITION, rowKey, count }, "Merge", { etag: limit.etag });
+      return { allowed: true, remaining: maxRequests - count };
+    } catch (err) {
+      // 412: another request changed the counter; 409: it created the row first
+      if (err.statusCode !== 412 && err.statusCode !== 409) throw err;
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.random() * RETRY_JITTER_MS * attempt));
+  }
+  return { allowed: false, remaining: 0, resetIn: 1 };
+}
+
+/**
+ * Fixed-window rate limit check. Resolves to { allowed, remaining, resetIn? }.
+ */
+async function checkRateLimit(identifier, maxRequests = 10, windowMs = 60000) {
+  const key = `${identifier}`;
+  const now = Date.now();
+  if (RATE_LIMIT_STORE === 'storage') return storageCheck(key, maxRequests, windowMs, now);
+  return memoryCheck(key, maxRequests, windowMs, now);
+}
+
+/**
+ * Express middleware answering 429 once `max` requests per `windowMs` are
+ * used up. `key(req)` picks the bucket (e.g. email or IP); returning a falsy
+ * value skips the check so route validation can report missing fields.
+ */
+function rateLimit({ name, max, windowMs, key, message = 'Too many requests. Try again later.' }) {
+  return async (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    try {
+      const result = await checkRateLimit(`${name}:${id}`, max, windowMs);
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.resetIn));
+        return res.status(429).json({ error: message, retryAfter: result.resetIn });
+      }
+      return next();
+    } catch (err) {
+      // Fail open: a storage hiccup should not lock everyone out
+      console.error(`Rate limit ${name} error:`, err);
+      return next();
+    }
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_STORE,
+  checkRateLimit,
+  rateLimit
+};
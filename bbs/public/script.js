@@ -9,11 +9,23 @@
     email: '',
     setupToken: null,
     token: localStorage.getItem('espa_token'),
+    refreshToken: localStorage.getItem('espa_refresh_token'),
     userEmail: localStorage.getItem('espa_email'),
     isAdmin: localStorage.getItem('espa_is_admin') === 'true',
-    devices: []
+    language: localStorage.getItem('espa_language') || 'fi',
+    devices: [],
+    groups: []
   };
 
+  let historyState = {
+    cursor: null,
+    loaded: 0,
+    total: 0
+  };
+
+  // Live updates for the selected device's history (Server-Sent Events)
+  let entryStream = { deviceId: null, source: null, refreshTimer: null };
+
   // --- ELEMENTS ---
   const views = {
     auth: $('authContainer'),
@@ -23,12 +35,16 @@
     stepSetPin: $('stepSetPin'),
     stepLogin: $('stepLogin'),
     adminModal: $('adminModal'),
+    usersModal: $('usersModal'),
+    apiKeysModal: $('apiKeysModal'),
+    schedulesModal: $('schedulesModal'),
     claimModal: $('claimModal'),
     shareModal: $('shareModal'),
     renameModal: $('renameModal'),
     iotControls: $('iotControlsContainer'),
     iotNotRegistered: $('iotNotRegistered'),
-    iotButtons: $('iotButtons')
+    iotButtons: $('iotButtons'),
+    deviceState: $('deviceStateContainer')
   };
 
   const inputs = {
@@ -40,8 +56,10 @@
     deviceCheckboxList: $('deviceCheckboxList'),
     videoUrl: $('videoUrl'),
     videoTitle: $('videoTitle'),
+    videoStartsAt: $('videoStartsAt'),
+    videoEndsAt: $('videoEndsAt'),
     sendBtn: $('sendBtn'),
-    claimDeviceId: $('claimDeviceId'),
+    claimCode: $('claimCode'),
     claimFriendlyName: $('claimFriendlyName'),
     shareEmail: $('shareEmailInput'),
     renameFriendlyName: $('renameFriendlyName')
@@ -52,13 +70,22 @@
     loginEmail: $('displayEmailLogin'),
     authStatus: $('authStatus'),
     currentUser: $('currentUserEmail'),
+    emailLanguage: $('emailLanguageSelect'),
     appStatus: $('statusMsg'),
     historyList: $('historyList'),
     loader: $('loader'),
     emptyState: $('emptyState'),
+    loadMoreBtn: $('loadMoreBtn'),
+    historyCount: $('historyCount'),
     adminControls: $('adminControls'),
     adminForm: $('adminConfigForm'),
     adminStatus: $('adminStatus'),
+    usersList: $('usersList'),
+    usersStatus: $('usersStatus'),
+    apiKeysList: $('apiKeysList'),
+    apiKeysStatus: $('apiKeysStatus'),
+    schedulesList: $('schedulesList'),
+    schedulesStatus: $('schedulesStatus'),
     iotStatusBadge: $('iotStatusBadge'),
     iotStatusMsg: $('iotStatusMsg')
   };
@@ -84,6 +111,7 @@
     views.app.classList.add('fade-in');
     
     displays.currentUser.textContent = authState.userEmail;
+    displays.emailLanguage.value = authState.language;
     
     // Show Admin Button if Admin
     if (authState.isAdmin) {
@@ -93,15 +121,27 @@
     }
     
     loadDevices();
+    openPendingPairing();
   }
 
   function logout() {
+    stopEntryStream();
+    if (authState.token) {
+      // Best effort: revoke the session on the server too
+      fetch(`${baseUrl}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${authState.token}` }
+      }).catch(() => {});
+    }
     authState.token = null;
+    authState.refreshToken = null;
     authState.userEmail = null;
     authState.isAdmin = false;
     localStorage.removeItem('espa_token');
+    localStorage.removeItem('espa_refresh_token');
     localStorage.removeItem('espa_email');
     localStorage.removeItem('espa_is_admin');
+    localStorage.removeItem('espa_language');
     
     views.app.classList.add('hidden');
     views.auth.classList.remove('hidden');
@@ -149,16 +189,23 @@
       const res = await fetch(`${baseUrl}/auth/send-otp`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email })
+        body: JSON.stringify({ email, language: browserLanguage() })
       });
-      if (!res.ok) throw new Error();
+      const data = await res.json().catch(() => ({}));
+      // A code sent moments ago is still valid: let the user enter it
+      const recentlySent = res.status === 429 && data.cooldown;
+      if (res.status === 429 && !recentlySent) {
+        throw new Error(`Liian monta koodipyyntöä. Yritä uudelleen ${Math.ceil((data.retryAfter || 60) / 60)} min kuluttua.`);
+      }
+      if (!res.ok && !recentlySent) throw new Error();
       
       displays.otpEmail.textContent = email;
       showView('stepOtp');
       inputs.authOtp.value = '';
       inputs.authOtp.focus();
+      if (recentlySent) setAuthStatus('Koodi lähetettiin juuri. Tarkista sähköpostisi.', 'info');
     } catch (err) {
-      setAuthStatus('Virhe koodin lähetyksessä. Yritä uudelleen.');
+      setAuthStatus(err.message || 'Virhe koodin lähetyksessä. Yritä uudelleen.');
     }
   }
 
@@ -196,7 +243,8 @@
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
           pin, 
-          setupToken: authState.setupToken 
+          setupToken: authState.setupToken,
+          language: browserLanguage()
         })
       });
       const data = await res.json();
@@ -231,16 +279,98 @@
     }
   });
 
+  // Emails default to Finnish unless the browser prefers English
+  function browserLanguage() {
+    return (navigator.language || '').toLowerCase().startsWith('en') ? 'en' : 'fi';
+  }
+
   function handleLoginSuccess(data) {
+    storeSession(data);
+    switchToApp();
+  }
+
+  function storeSession(data) {
     authState.token = data.token;
+    authState.refreshToken = data.refreshToken;
     authState.userEmail = data.email;
     authState.isAdmin = data.isAdmin;
     
     localStorage.setItem('espa_token', data.token);
+    localStorage.setItem('espa_refresh_token', data.refreshToken);
     localStorage.setItem('espa_email', data.email);
     localStorage.setItem('espa_is_admin', data.isAdmin);
-    
-    switchToApp();
+    if (data.language) {
+      authState.language = data.language;
+      localStorage.setItem('espa_language', data.language);
+    }
+  }
+
+  // --- AUTHENTICATED REQUESTS ---
+  // Access tokens are short-lived: on 401 refresh once and retry
+  let refreshPromise = null;
+
+  async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+      ...options,
+      headers: { ...(options.headers || {}), 'Authorization': `Bearer ${authState.token}` }
+    });
+
+    let res = await send();
+    if (res.status === 401 && await refreshSession()) res = await send();
+    return res;
+  }
+
+  function refreshSession() {
+    // Parallel requests share one refresh; a rotated token cannot be reused
+    if (!refreshPromise) {
+      refreshPromise = requestRefresh().finally(() => { refreshPromise = null; });
+    }
+    return refreshPromise;
+  }
+
+  const OTHER_TAB_REFRESH_WAIT_MS = 3000;
+
+  // Another tab may already have rotated the token
+  function adoptStoredSession() {
+    const stored = localStorage.getItem('espa_refresh_token');
+    if (!stored || stored === authState.refreshToken) return false;
+    authState.token = localStorage.getItem('espa_token');
+    authState.refreshToken = stored;
+    return true;
+  }
+
+  // Resolves true once another tab stores a rotated token, false on timeout
+  function waitForOtherTabRefresh() {
+    return new Promise(resolve => {
+      const done = adopted => {
+        clearTimeout(timer);
+        window.removeEventListener('storage', onStorage);
+        resolve(adopted);
+      };
+      const onStorage = e => { if (e.key === 'espa_refresh_token' && adoptStoredSession()) done(true); };
+      const timer = setTimeout(() => done(adoptStoredSession()), OTHER_TAB_REFRESH_WAIT_MS);
+      window.addEventListener('storage', onStorage);
+    });
+  }
+
+  async function requestRefresh() {
+    if (adoptStoredSession()) return true;
+    if (!authState.refreshToken) return false;
+
+    try {
+      const res = await fetch(`${baseUrl}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: authState.refreshToken })
+      });
+      // A tab refreshing at the same moment wins the rotation; use its token
+      if (!res.ok) return adoptStoredSession() || (res.status === 401 && await waitForOtherTabRefresh());
+      storeSession(await res.json());
+      return true;
+    } catch (err) {
+      console.error('Session refresh failed:', err);
+      return false;
+    }
   }
 
   // Back / Forgot Buttons
@@ -256,14 +386,31 @@
 
   $('btnLogout').addEventListener('click', logout);
 
+  displays.emailLanguage.addEventListener('change', async () => {
+    const language = displays.emailLanguage.value;
+    try {
+      const res = await authFetch(`${baseUrl}/auth/preferences`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language })
+      });
+      if (!res.ok) throw new Error();
+      authState.language = language;
+      localStorage.setItem('espa_language', language);
+    } catch (err) {
+      displays.emailLanguage.value = authState.language;
+      alert('Kielen tallennus epäonnistui');
+    }
+  });
+
 
   // --- APP LOGIC (Protected) ---
 
+  const ROLE_LABELS = { master: 'Omistaja', operator: 'Ohjaaja', contributor: 'Lähettäjä', viewer: 'Katsoja' };
+
   async function loadDevices() {
     try {
-      const res = await fetch(`${baseUrl}/devices`, {
-        headers: { 'Authorization': `Bearer ${authState.token}` }
-      });
+      const res = await authFetch(`${baseUrl}/devices`);
       if (res.status === 401 || res.status === 403) { logout(); return; }
       const devices = await res.json();
       authState.devices = devices;
@@ -271,11 +418,187 @@
       if (devices.length > 0) {
         loadHistory();
       }
+      loadInvitations();
+      loadGroups();
     } catch (err) {
       console.error('Failed to load devices:', err);
     }
   }
 
+  // --- GROUP LOGIC ---
+  async function loadGroups(selectId = $('groupSelect').value) {
+    try {
+      const res = await authFetch(`${baseUrl}/groups`);
+      if (!res.ok) throw new Error();
+      authState.groups = await res.json();
+    } catch (err) {
+      authState.groups = [];
+    }
+
+    const select = $('groupSelect');
+    select.innerHTML = '<option value="">Ei ryhmää</option>';
+    authState.groups.forEach(group => {
+      const opt = document.createElement('option');
+      opt.value = group.id;
+      opt.textContent = `${group.name} (${group.deviceIds.length})`;
+      select.appendChild(opt);
+    });
+    select.value = authState.groups.some(g => g.id === selectId) ? selectId : '';
+    updateGroupButtons();
+  }
+
+  function selectedGroup() {
+    return authState.groups.find(g => g.id === $('groupSelect').value) || null;
+  }
+
+  function checkedDeviceIds() {
+    return Array.from(document.querySelectorAll('.device-target-checkbox:checked')).map(cb => cb.value);
+  }
+
+  function updateGroupButtons() {
+    const group = selectedGroup();
+    const canControl = group && group.members.some(m => m.permissions.includes('commands:send'));
+    $('btnDeleteGroup').style.display = group ? 'block' : 'none';
+    $('btnGroupPlay').style.display = canControl ? 'block' : 'none';
+    $('btnGroupPause').style.display = canControl ? 'block' : 'none';
+    $('btnSaveGroup').title = group ? `Päivitä ryhmän ${group.name} laitteet valinnalla` : 'Tallenna valinta ryhmäksi';
+  }
+
+  // True when the ticked devices are exactly the group's members we can post to
+  function selectionMatchesGroup(group) {
+    if (!group) return false;
+    const postable = group.members.filter(m => m.permissions.includes('entries:write')).map(m => m.deviceId).sort();
+    const checked = checkedDeviceIds().sort();
+    return postable.length > 0 && postable.join(',') === checked.join(',');
+  }
+
+  $('groupSelect').addEventListener('change', () => {
+    const group = selectedGroup();
+    if (group) {
+      document.querySelectorAll('.device-target-checkbox').forEach(cb => {
+        cb.checked = group.deviceIds.includes(cb.value);
+      });
+    }
+    updateGroupButtons();
+  });
+
+  $('btnSaveGroup').addEventListener('click', async (e) => {
+    e.preventDefault();
+    const deviceIds = checkedDeviceIds();
+    if (deviceIds.length === 0) return setAppStatus('Valitse ryhmään vähintään yksi laite', 'error');
+
+    const group = selectedGroup();
+    const name = group ? group.name : prompt('Ryhmän nimi (esim. Klubitalon näytöt):');
+    if (!name) return;
+
+    try {
+      const res = await authFetch(group ? `${baseUrl}/groups/${group.id}` : `${baseUrl}/groups`, {
+        method: group ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, deviceIds })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Virhe');
+      await loadGroups(data.id);
+      setAppStatus(`Ryhmä ${data.name} tallennettu`, 'success');
+    } catch (err) {
+      setAppStatus(`Ryhmän tallennus epäonnistui: ${err.message}`, 'error');
+    }
+  });
+
+  $('btnDeleteGroup').addEventListener('click', async (e) => {
+    e.preventDefault();
+    const group = selectedGroup();
+    if (!group || !confirm(`Poistetaanko ryhmä ${group.name}? Laitteet ja niiden lähetykset säilyvät.`)) return;
+
+    try {
+      const res = await authFetch(`${baseUrl}/groups/${group.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error();
+      await loadGroups('');
+    } catch (err) {
+      setAppStatus('Ryhmän poisto epäonnistui', 'error');
+    }
+  });
+
+  function memberName(group, deviceId) {
+    const member = group.members.find(m => m.deviceId === deviceId);
+    return member ? member.friendlyName : deviceId;
+  }
+
+  async function sendGroupCommand(command) {
+    const group = selectedGroup();
+    if (!group) return;
+
+    try {
+      const res = await authFetch(`${baseUrl}/groups/${group.id}/commands/${command}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Virhe');
+
+      setAppStatus(`Komento lähetetty ${data.summary.succeeded}/${data.summary.total} laitteelle`, data.ok ? 'success' : 'info');
+      if (group.deviceIds.includes(inputs.deviceSelect.value) && !views.iotButtons.classList.contains('hidden')) loadCommands();
+      const failures = data.results.filter(r => !r.ok);
+      if (failures.length) {
+        alert('Osa laitteista ei saanut komentoa:\n' + failures.map(r => `${memberName(group, r.deviceId)}: ${r.error}`).join('\n'));
+      }
+    } catch (err) {
+      setAppStatus(`Komento epäonnistui: ${err.message}`, 'error');
+    }
+  }
+
+  $('btnGroupPlay').addEventListener('click', (e) => { e.preventDefault(); sendGroupCommand('play'); });
+  $('btnGroupPause').addEventListener('click', (e) => { e.preventDefault(); sendGroupCommand('pause'); });
+
+  async function loadInvitations() {
+    const notice = $('invitationNotice');
+    const list = $('invitationList');
+    try {
+      const res = await authFetch(`${baseUrl}/devices/invitations`);
+      if (!res.ok) throw new Error();
+      const invitations = await res.json();
+
+      notice.style.display = invitations.length ? 'block' : 'none';
+      list.innerHTML = '';
+      invitations.forEach(invitation => {
+        const li = document.createElement('li');
+        li.style.cssText = 'padding:6px 0; display:flex; justify-content:space-between; align-items:center; gap:8px;';
+        li.innerHTML = `
+          <span>
+            ${escapeHtml(invitation.friendlyName)} · ${ROLE_LABELS[invitation.role] || escapeHtml(invitation.role)}
+            <small style="display:block; font-size:11px;">Kutsuja ${escapeHtml(invitation.invitedBy || '')}${invitation.expiresAt ? ` · voimassa ${new Date(invitation.expiresAt).toLocaleString('fi-FI')} asti` : ''}</small>
+          </span>
+          <span style="display:flex; gap:6px;">
+            <button class="decline-invitation" style="width:auto; margin:0; padding:4px 8px; font-size:12px; background-color:var(--text-sub);">Hylkää</button>
+            <button class="accept-invitation" style="width:auto; margin:0; padding:4px 8px; font-size:12px;">Hyväksy</button>
+          </span>
+        `;
+        li.querySelector('.accept-invitation').addEventListener('click', () => answerInvitation(invitation.deviceId, 'accept'));
+        li.querySelector('.decline-invitation').addEventListener('click', () => answerInvitation(invitation.deviceId, 'decline'));
+        list.appendChild(li);
+      });
+    } catch (err) {
+      notice.style.display = 'none';
+    }
+  }
+
+  async function answerInvitation(deviceId, answer) {
+    try {
+      const res = await authFetch(`${baseUrl}/devices/invitations/${encodeURIComponent(deviceId)}/${answer}`, { method: 'POST' });
+      if (!res.ok) throw new Error((await res.json()).error || 'Virhe');
+      await loadDevices();
+      if (answer === 'accept') {
+        inputs.deviceSelect.value = deviceId;
+        loadHistory();
+      }
+    } catch (err) {
+      alert(`Kutsun käsittely epäonnistui: ${err.message}`);
+      loadInvitations();
+    }
+  }
+
   function renderDeviceSelect() {
     const select = inputs.deviceSelect;
     const checkboxList = inputs.deviceCheckboxList;
@@ -290,6 +613,7 @@
       select.appendChild(opt);
       
       checkboxList.innerHTML = '<div style="font-size:12px; color:var(--text-sub);">Ei laitteita.</div>';
+      updateDeviceButtonsVisibility();
       return;
     }
 
@@ -301,6 +625,7 @@
       select.appendChild(opt);
 
       // 2. Add to Checkbox List
+      if (!devicePermits(dev.id, 'entries:write')) return;
       const label = document.createElement('label');
       label.style.cssText = 'display:flex; align-items:center; gap:8px; font-weight:normal; font-size:14px; cursor:pointer;';
       label.innerHTML = `
@@ -323,9 +648,23 @@
     });
   }
 
+  // Permissions come from GET /devices (see the role matrix in the BBS README)
+  function devicePermits(deviceId, permission) {
+    const device = authState.devices.find(d => d.id === deviceId);
+    return !!(device && (device.permissions || []).includes(permission));
+  }
+
   function updateDeviceButtonsVisibility() {
     const deviceId = inputs.deviceSelect.value;
     const currentDevice = authState.devices.find(d => d.id === deviceId);
+
+    const canPost = !currentDevice || devicePermits(deviceId, 'entries:write');
+    $('entryForm').style.display = canPost ? 'block' : 'none';
+    $('viewOnlyNotice').style.display = canPost ? 'none' : 'block';
+    if (!canPost) {
+      $('viewOnlyNotice').textContent = `Roolisi tällä laitteella on ${ROLE_LABELS[currentDevice.role] || currentDevice.role}: et voi lisätä lähetyksiä.`;
+    }
+
     if (currentDevice && currentDevice.role === 'master') {
       $('btnOpenShare').style.display = 'flex';
       $('btnOpenRename').style.display = 'flex';
@@ -333,8 +672,33 @@
       $('btnOpenShare').style.display = 'none';
       $('btnOpenRename').style.display = 'none';
     }
+
+    const transfer = currentDevice && currentDevice.pendingTransfer;
+    $('transferNotice').style.display = transfer ? 'block' : 'none';
+    if (transfer) {
+      $('transferNoticeText').textContent = `Laite ilmoittautui käyttäjälle ${transfer.requestedEmail} (${new Date(transfer.requestedAt).toLocaleString('fi-FI')}). Jos hyväksyt siirron, laite ja kaikki sen jaot poistuvat tililtäsi.`;
+    }
   }
 
+  async function resolveTransfer(action) {
+    const deviceId = inputs.deviceSelect.value;
+    const device = authState.devices.find(d => d.id === deviceId);
+    if (!device || !device.pendingTransfer) return;
+    if (action === 'approve' && !confirm(`Siirretäänkö ${device.friendlyName} käyttäjälle ${device.pendingTransfer.requestedEmail}?`)) return;
+
+    try {
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/transfer/${action}`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Virhe');
+      await loadDevices();
+    } catch (err) {
+      alert(`Siirron käsittely epäonnistui: ${err.message}`);
+    }
+  }
+
+  $('btnApproveTransfer').addEventListener('click', () => resolveTransfer('approve'));
+  $('btnRejectTransfer').addEventListener('click', () => resolveTransfer('reject'));
+
   async function loadHistory() {
     const deviceId = inputs.deviceSelect.value;
     if (!deviceId) return;
@@ -345,20 +709,17 @@
     displays.loader.style.display = 'block';
     displays.historyList.innerHTML = '';
     displays.emptyState.style.display = 'none';
+    displays.loadMoreBtn.classList.add('hidden');
+    displays.historyCount.textContent = '';
+    historyState = { cursor: null, loaded: 0, total: 0 };
 
     try {
-      const res = await fetch(`${baseUrl}/entries/${encodeURIComponent(deviceId)}`, {
-        headers: { 'Authorization': `Bearer ${authState.token}` }
-      });
-      
-      if (res.status === 401 || res.status === 403) { logout(); return; }
-      if (!res.ok) throw new Error('Historiaa ei voitu hakea');
-      
-      const data = await res.json();
-      renderHistory(data);
+      await fetchHistoryPage(deviceId);
+      watchEntries(deviceId);
       
       // Load IoT Status
       loadIotStatus();
+      loadDeviceState();
     } catch (err) {
       console.error(err);
     } finally {
@@ -366,12 +727,80 @@
     }
   }
 
-  function renderHistory(items) {
-    displays.historyList.innerHTML = '';
-    if (!items || items.length === 0) {
+  function watchEntries(deviceId) {
+    if (!window.EventSource || entryStream.deviceId === deviceId) return;
+    stopEntryStream();
+
+    // EventSource cannot send headers, so the token rides in the query
+    const source = new EventSource(`${baseUrl}/entries/${encodeURIComponent(deviceId)}/stream?access_token=${encodeURIComponent(authState.token)}`);
+    const onChange = () => {
+      // Our own posts already reload the list; coalesce the echo
+      clearTimeout(entryStream.refreshTimer);
+      entryStream.refreshTimer = setTimeout(loadHistory, 500);
+    };
+    ['entry-created', 'entry-updated', 'entry-deleted'].forEach(type => source.addEventListener(type, onChange));
+    // A reconnect with an expired token is refused for good; retry with a fresh one
+    source.addEventListener('error', async () => {
+      if (source.readyState !== EventSource.CLOSED || entryStream.source !== source) return;
+      stopEntryStream();
+      if (await refreshSession() && inputs.deviceSelect.value === deviceId) watchEntries(deviceId);
+    });
+    entryStream = { deviceId, source, refreshTimer: null };
+  }
+
+  function stopEntryStream() {
+    if (entryStream.source) entryStream.source.close();
+    clearTimeout(entryStream.refreshTimer);
+    entryStream = { deviceId: null, source: null, refreshTimer: null };
+  }
+
+  async function loadMoreHistory() {
+    const deviceId = inputs.deviceSelect.value;
+    if (!deviceId || !historyState.cursor) return;
+
+    displays.loadMoreBtn.disabled = true;
+    try {
+      await fetchHistoryPage(deviceId);
+    } catch (err) {
+      console.error(err);
+    } finally {
+      displays.loadMoreBtn.disabled = false;
+    }
+  }
+
+  async function fetchHistoryPage(deviceId) {
+    const params = new URLSearchParams({ limit: '10', view: 'history' });
+    if (historyState.cursor) params.set('cursor', historyState.cursor);
+    else params.set('count', 'true');
+
+    const res = await authFetch(`${baseUrl}/entries/${encodeURIComponent(deviceId)}?${params}`);
+    
+    if (res.status === 401 || res.status === 403) { logout(); return; }
+    if (!res.ok) throw new Error('Historiaa ei voitu hakea');
+    
+    const data = await res.json();
+    historyState.cursor = res.headers.get('X-Next-Cursor');
+    if (res.headers.has('X-Total-Count')) historyState.total = parseInt(res.headers.get('X-Total-Count'), 10) || 0;
+    historyState.loaded += data.length;
+
+    renderHistory(data, historyState.loaded > data.length);
+  }
+
+  function canEditEntries(deviceId) {
+    return devicePermits(deviceId, 'entries:write');
+  }
+
+  function renderHistory(items, append = false) {
+    if (!append) displays.historyList.innerHTML = '';
+    if (!append && (!items || items.length === 0)) {
       displays.emptyState.style.display = 'block';
+      displays.loadMoreBtn.classList.add('hidden');
+      displays.historyCount.textContent = '';
       return;
     }
+    const deviceId = inputs.deviceSelect.value;
+    const editable = canEditEntries(deviceId);
+
     items.forEach(item => {
       const url = item.value1;
       const title = item.value2 || url;
@@ -380,18 +809,90 @@
       li.className = 'history-item';
       li.innerHTML = `
         <div class="item-header">
-          <span class="item-title">${escapeHtml(title)}</span>
-          <span class="item-time">${timeAgo(timestamp)}</span>
+          <span class="item-title">${renderStatusBadge(item)}${escapeHtml(title)}</span>
+          <span class="item-time">${timeAgo(timestamp)}${item.updatedAt ? ' (muokattu)' : ''}</span>
         </div>
+        ${item.startsAt ? `<div class="item-schedule">${formatSchedule(item)}</div>` : ''}
         <a href="${escapeHtml(url)}" target="_blank" class="item-url">${escapeHtml(url)}</a>
+        ${editable && item.rowKey ? `
+        <div class="item-actions">
+          <button class="item-action-btn edit-entry">Muokkaa</button>
+          <button class="item-action-btn danger delete-entry">Poista</button>
+        </div>` : ''}
       `;
+      if (editable && item.rowKey) {
+        li.querySelector('.edit-entry').addEventListener('click', () => editEntry(deviceId, item));
+        li.querySelector('.delete-entry').addEventListener('click', () => deleteEntry(deviceId, item));
+      }
       displays.historyList.appendChild(li);
     });
+
+    displays.loadMoreBtn.classList.toggle('hidden', !historyState.cursor);
+    displays.historyCount.textContent = `Näytetään ${historyState.loaded} / ${historyState.total}`;
+  }
+
+  function renderStatusBadge(item) {
+    const labels = { live: 'Käynnissä', upcoming: 'Tulossa', expired: 'Päättynyt' };
+    if (item.status && labels[item.status]) {
+      return `<span class="item-badge ${item.status}">${labels[item.status]}</span>`;
+    }
+    if (item.active) return '<span class="item-badge live">Toistossa</span>';
+    return '';
+  }
+
+  function formatSchedule(item) {
+    const fmt = (iso) => new Date(iso).toLocaleString('fi-FI', { dateStyle: 'short', timeStyle: 'short' });
+    return item.endsAt ? `${fmt(item.startsAt)} – ${fmt(item.endsAt)}` : `${fmt(item.startsAt)} alkaen`;
+  }
+
+  async function editEntry(deviceId, item) {
+    const newUrl = prompt('Videon osoite (URL)', item.value1);
+    if (newUrl === null) return;
+    const newTitle = prompt('Otsikko', item.value2 || '');
+    if (newTitle === null) return;
+
+    try {
+      const res = await authFetch(`${baseUrl}/entries/${encodeURIComponent(deviceId)}/${encodeURIComponent(item.rowKey)}`, {
+        method: 'PATCH',
+        headers: { 
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ value1: newUrl.trim(), value2: newTitle.trim() })
+      });
+
+      if (res.status === 401) { logout(); return; }
+      if (!res.ok) throw new Error((await res.json()).error || 'Virhe');
+
+      setAppStatus('Kohde päivitetty', 'success');
+      await loadHistory();
+    } catch (err) {
+      alert(`Muokkaus epäonnistui: ${err.message}`);
+    }
+  }
+
+  async function deleteEntry(deviceId, item) {
+    if (!confirm(`Poistetaanko "${item.value2 || item.value1}"?`)) return;
+
+    try {
+      const res = await authFetch(`${baseUrl}/entries/${encodeURIComponent(deviceId)}/${encodeURIComponent(item.rowKey)}`, {
+        method: 'DELETE'
+      });
+
+      if (res.status === 401) { logout(); return; }
+      if (!res.ok) throw new Error((await res.json()).error || 'Virhe');
+
+      setAppStatus('Kohde poistettu', 'success');
+      await loadHistory();
+    } catch (err) {
+      alert(`Poisto epäonnistui: ${err.message}`);
+    }
   }
 
   $('sendBtn').addEventListener('click', async () => {
     const videoUrl = inputs.videoUrl.value.trim();
     const videoTitle = inputs.videoTitle.value.trim();
+    const startsAt = inputs.videoStartsAt.value ? new Date(inputs.videoStartsAt.value).toISOString() : undefined;
+    const endsAt = inputs.videoEndsAt.value ? new Date(inputs.videoEndsAt.value).toISOString() : undefined;
 
     // Get all checked devices
     const targetCheckboxes = document.querySelectorAll('.device-target-checkbox:checked');
@@ -399,28 +900,53 @@
 
     if (targetIds.length === 0) return setAppStatus('Valitse vähintään yksi laite', 'error');
     if (!videoUrl) return setAppStatus('Syötä videon osoite', 'error');
+    if (startsAt && endsAt && endsAt <= startsAt) return setAppStatus('Päättymisajan on oltava alkamisajan jälkeen', 'error');
 
     inputs.sendBtn.disabled = true;
     setAppStatus('Lähetetään...', '');
 
     let successCount = 0;
     let errors = [];
+    let warnings = new Set();
+
+    // A whole group goes in one request; any other selection device by device
+    const group = selectedGroup();
+    const viaGroup = selectionMatchesGroup(group);
+    if (viaGroup) {
+      try {
+        const res = await authFetch(`${baseUrl}/groups/${group.id}/entry`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ value1: videoUrl, value2: videoTitle, startsAt, endsAt })
+        });
+        if (res.status === 401) { logout(); return; }
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Virhe');
+
+        successCount = data.summary.succeeded;
+        data.results.filter(r => !r.ok).forEach(r => errors.push(`${memberName(group, r.deviceId)}: ${r.error}`));
+        (data.warnings || []).forEach(w => warnings.add(w));
+      } catch (err) {
+        errors.push(`${group.name}: ${err.message}`);
+      }
+    }
 
     // Send to each selected device
-    for (const deviceId of targetIds) {
+    for (const deviceId of (viaGroup ? [] : targetIds)) {
       try {
-        const res = await fetch(`${baseUrl}/entry`, {
+        const res = await authFetch(`${baseUrl}/entry`, {
           method: 'POST',
           headers: { 
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${authState.token}`
+            'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ key: deviceId, value1: videoUrl, value2: videoTitle })
+          body: JSON.stringify({ key: deviceId, value1: videoUrl, value2: videoTitle, startsAt, endsAt })
         });
 
-        if (res.status === 401 || res.status === 403) { logout(); return; }
-        if (!res.ok) throw new Error((await res.json()).error || 'Virhe');
+        if (res.status === 401) { logout(); return; }
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Virhe');
         
+        (data.warnings || []).forEach(w => warnings.add(w));
         successCount++;
       } catch (err) {
         const devName = Array.from(targetCheckboxes).find(cb => cb.value === deviceId)?.dataset.name || deviceId;
@@ -432,11 +958,15 @@
       setAppStatus(`Lisätty onnistuneesti ${successCount} laitteelle!`, 'success');
       inputs.videoUrl.value = '';
       inputs.videoTitle.value = '';
+      inputs.videoStartsAt.value = '';
+      inputs.videoEndsAt.value = '';
       await loadHistory(); // Refresh history for the current context
     }
 
     if (errors.length > 0) {
       alert("Joitakin virheitä tapahtui:\n" + errors.join("\n"));
+    } else if (warnings.size > 0) {
+      setAppStatus(`Lisätty, mutta tarkista linkki: ${Array.from(warnings).join(', ')}`, 'info');
     }
 
     inputs.sendBtn.disabled = false;
@@ -451,6 +981,7 @@
   });
 
   $('refreshBtn').addEventListener('click', loadHistory);
+  displays.loadMoreBtn.addEventListener('click', loadMoreHistory);
   inputs.deviceSelect.addEventListener('change', loadHistory);
 
 
@@ -502,11 +1033,10 @@
 
     displays.adminStatus.textContent = 'Tallennetaan...';
     try {
-      const res = await fetch(`${baseUrl}/config/coordinates`, {
+      const res = await authFetch(`${baseUrl}/config/coordinates`, {
         method: 'POST',
         headers: { 
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authState.token}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify(newConfig)
       });
@@ -519,25 +1049,396 @@
     }
   });
 
+  // --- USER MANAGEMENT (Admin) ---
+  $('btnOpenUsers').addEventListener('click', () => {
+    views.usersModal.style.display = 'flex';
+    loadAdminUsers();
+  });
+
+  $('btnCloseUsers').addEventListener('click', () => {
+    views.usersModal.style.display = 'none';
+  });
+
+  async function loadAdminUsers() {
+    displays.usersStatus.textContent = '';
+    displays.usersList.innerHTML = '<li style="padding:12px; font-size:13px; color:var(--text-sub);">Ladataan...</li>';
+
+    try {
+      const res = await authFetch(`${baseUrl}/admin/users`);
+      if (!res.ok) throw new Error();
+      renderAdminUsers(await res.json());
+    } catch (err) {
+      displays.usersList.innerHTML = '<li style="padding:12px; font-size:13px; color:#d13438;">Virhe latauksessa.</li>';
+    }
+  }
+
+  function renderAdminUsers(users) {
+    displays.usersList.innerHTML = '';
+    users.forEach(user => {
+      const isSelf = user.email === authState.userEmail;
+      const li = document.createElement('li');
+      li.style.cssText = 'padding:8px 12px; border-bottom:1px solid var(--border-color); font-size:14px;';
+      li.innerHTML = `
+        <div style="display:flex; justify-content:space-between; align-items:center; gap:8px;">
+          <span>
+            ${escapeHtml(user.email)}
+            ${user.isAdmin ? '<span class="item-badge live">Ylläpitäjä</span>' : ''}
+            ${user.locked ? '<span class="item-badge upcoming">Lukittu</span>' : ''}
+            <small style="display:block; color:var(--text-sub); font-size:11px;">Laitteita: ${user.devices}</small>
+          </span>
+        </div>
+        <div class="item-actions">
+          ${!isSelf ? `<button class="item-action-btn" data-action="admin">${user.isAdmin ? 'Poista ylläpito' : 'Tee ylläpitäjäksi'}</button>` : ''}
+          ${user.locked ? '<button class="item-action-btn" data-action="unlock">Avaa lukitus</button>' : ''}
+          ${!isSelf ? '<button class="item-action-btn danger" data-action="delete">Poista</button>' : ''}
+        </div>
+      `;
+      li.querySelectorAll('[data-action]').forEach(btn => {
+        btn.addEventListener('click', () => handleUserAction(user, btn.dataset.action));
+      });
+      displays.usersList.appendChild(li);
+    });
+  }
+
+  async function handleUserAction(user, action) {
+    let request;
+    if (action === 'admin') {
+      request = { method: 'PATCH', body: { isAdmin: !user.isAdmin } };
+    } else if (action === 'unlock') {
+      request = { method: 'PATCH', body: { unlock: true } };
+    } else if (action === 'delete') {
+      if (!confirm(`Poistetaanko käyttäjä ${user.email}? Myös hänen laiteoikeutensa poistetaan.`)) return;
+      request = { method: 'DELETE' };
+    }
+
+    displays.usersStatus.textContent = 'Tallennetaan...';
+    try {
+      const res = await authFetch(`${baseUrl}/admin/users/${encodeURIComponent(user.email)}`, {
+        method: request.method,
+        headers: { 'Content-Type': 'application/json' },
+        body: request.body ? JSON.stringify(request.body) : undefined
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Virhe');
+      await loadAdminUsers();
+    } catch (err) {
+      displays.usersStatus.textContent = err.message || 'Virhe tallennuksessa';
+    }
+  }
+
+  // --- API KEYS ---
+  const API_KEY_SCOPE_LABELS = {
+    'entries:write': 'Lähetykset',
+    'commands:send': 'Komennot',
+    'devices:read': 'Laitetiedot'
+  };
+
+  $('btnOpenApiKeys').addEventListener('click', () => {
+    views.apiKeysModal.style.display = 'flex';
+    $('apiKeyName').value = '';
+    $('apiKeyCreated').classList.add('hidden');
+    document.querySelectorAll('input[name="apiKeyScope"]').forEach(cb => { cb.checked = false; });
+    $('apiKeyDeviceList').innerHTML = authState.devices.map(dev => `
+      <label style="font-weight:normal; display:block;">
+        <input type="checkbox" name="apiKeyDevice" value="${escapeHtml(dev.id)}" style="width:auto;"> ${escapeHtml(dev.friendlyName || dev.id)}
+      </label>
+    `).join('') || '<span style="color:var(--text-sub);">Ei laitteita</span>';
+    loadApiKeys();
+  });
+
+  $('btnCloseApiKeys').addEventListener('click', () => {
+    views.apiKeysModal.style.display = 'none';
+    $('apiKeyCreatedValue').value = '';
+  });
+
+  async function loadApiKeys() {
+    displays.apiKeysStatus.textContent = '';
+    displays.apiKeysList.innerHTML = '<li style="padding:12px; font-size:13px; color:var(--text-sub);">Ladataan...</li>';
+
+    try {
+      const res = await authFetch(`${baseUrl}/api-keys`);
+      if (!res.ok) throw new Error();
+      renderApiKeys((await res.json()).keys);
+    } catch (err) {
+      displays.apiKeysList.innerHTML = '<li style="padding:12px; font-size:13px; color:#d13438;">Virhe latauksessa.</li>';
+    }
+  }
+
+  function renderApiKeys(keys) {
+    displays.apiKeysList.innerHTML = keys.length ? '' : '<li style="padding:12px; font-size:13px; color:var(--text-sub);">Ei avaimia.</li>';
+    keys.forEach(key => {
+      const devices = key.deviceKeys.length ? ` (${key.deviceKeys.join(', ')})` : '';
+      const li = document.createElement('li');
+      li.style.cssText = 'padding:8px 12px; border-bottom:1px solid var(--border-color); font-size:14px;';
+      li.innerHTML = `
+        <span>
+          ${escapeHtml(key.name)}
+          ${key.expired ? '<span class="item-badge upcoming">Vanhentunut</span>' : ''}
+          <small style="display:block; color:var(--text-sub); font-size:11px;">${escapeHtml(key.scopes.map(s => API_KEY_SCOPE_LABELS[s] || s).join(', ') + devices)}</small>
+          <small style="display:block; color:var(--text-sub); font-size:11px;">Voimassa ${new Date(key.expiresAt).toLocaleDateString('fi-FI')} asti · Käytetty: ${key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString('fi-FI') : 'ei koskaan'}</small>
+        </span>
+        <div class="item-actions">
+          <button class="item-action-btn danger">Peru</button>
+        </div>
+      `;
+      li.querySelector('button').addEventListener('click', () => revokeApiKey(key));
+      displays.apiKeysList.appendChild(li);
+    });
+  }
+
+  $('btnCreateApiKey').addEventListener('click', async () => {
+    const name = $('apiKeyName').value.trim();
+    const scopes = [...document.querySelectorAll('input[name="apiKeyScope"]:checked')].map(cb => cb.value);
+    const deviceKeys = [...document.querySelectorAll('input[name="apiKeyDevice"]:checked')].map(cb => cb.value);
+    if (!name) return displays.apiKeysStatus.textContent = 'Anna avaimelle nimi';
+    if (!scopes.length) return displays.apiKeysStatus.textContent = 'Valitse vähintään yksi oikeus';
+    if (scopes.includes('entries:write') && !deviceKeys.length) {
+      return displays.apiKeysStatus.textContent = 'Valitse laitteet, joille avain saa lisätä lähetyksiä';
+    }
+
+    displays.apiKeysStatus.textContent = 'Luodaan...';
+    try {
+      const res = await authFetch(`${baseUrl}/api-keys`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, scopes, deviceKeys, expiresInDays: Number($('apiKeyExpiry').value) })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Virhe');
+
+      $('apiKeyCreatedValue').value = data.key;
+      $('apiKeyCreated').classList.remove('hidden');
+      $('apiKeyCreatedValue').select();
+      $('apiKeyName').value = '';
+      await loadApiKeys();
+    } catch (err) {
+      displays.apiKeysStatus.textContent = err.message || 'Virhe tallennuksessa';
+    }
+  });
+
+  async function revokeApiKey(key) {
+    if (!confirm(`Perutaanko avain ${key.name}? Sitä käyttävät skriptit lakkaavat toimimasta.`)) return;
+    try {
+      const res = await authFetch(`${baseUrl}/api-keys/${encodeURIComponent(key.id)}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error();
+      await loadApiKeys();
+    } catch (err) {
+      displays.apiKeysStatus.textContent = 'Peruutus epäonnistui';
+    }
+  }
+
+  // --- SCHEDULES LOGIC ---
+  const SCHEDULE_ACTION_LABELS = {
+    play: 'Toista',
+    pause: 'Tauko',
+    fullscreen: 'Koko näyttö',
+    restart: 'Käynnistä uudelleen',
+    'change-track': 'Vaihda raita',
+    status: 'Tila',
+    entry: 'Lisää lähetys'
+  };
+
+  const SCHEDULE_OUTCOME_BADGES = {
+    success: '',
+    partial: '<span class="item-badge upcoming">Osittain</span>',
+    failure: '<span class="item-badge failed">Epäonnistui</span>',
+    missed: '<span class="item-badge expired">Väliin jäi</span>'
+  };
+
+  $('btnOpenSchedules').addEventListener('click', () => {
+    views.schedulesModal.style.display = 'flex';
+    $('scheduleName').value = '';
+    $('scheduleLink').value = '';
+    $('scheduleTitle').value = '';
+    $('scheduleRunAt').value = '';
+    $('scheduleCron').value = '';
+    $('scheduleTarget').innerHTML = [
+      ...authState.devices.map(dev => `<option value="device:${escapeHtml(dev.id)}">${escapeHtml(dev.friendlyName || dev.id)}</option>`),
+      ...authState.groups.map(group => `<option value="group:${escapeHtml(group.id)}">Ryhmä: ${escapeHtml(group.name)}</option>`)
+    ].join('') || '<option value="">Ei laitteita</option>';
+    updateScheduleForm();
+    loadSchedules();
+  });
+
+  $('btnCloseSchedules').addEventListener('click', () => {
+    views.schedulesModal.style.display = 'none';
+  });
+
+  function updateScheduleForm() {
+    $('scheduleEntryFields').classList.toggle('hidden', $('scheduleAction').value !== 'entry');
+    $('scheduleOnceField').classList.toggle('hidden', $('scheduleKind').value !== 'once');
+    $('scheduleCronField').classList.toggle('hidden', $('scheduleKind').value !== 'cron');
+  }
+
+  $('scheduleAction').addEventListener('change', updateScheduleForm);
+  $('scheduleKind').addEventListener('change', updateScheduleForm);
+
+  function scheduleTargetName(job) {
+    if (job.groupId) {
+      const group = authState.groups.find(g => g.id === job.groupId);
+      return `Ryhmä: ${group ? group.name : job.groupId}`;
+    }
+    const device = authState.devices.find(d => d.id === job.deviceId);
+    return device ? (device.friendlyName || device.id) : job.deviceId;
+  }
+
+  async function loadSchedules() {
+    displays.schedulesStatus.textContent = '';
+    displays.schedulesList.innerHTML = '<li style="padding:12px; font-size:13px; color:var(--text-sub);">Ladataan...</li>';
+
+    try {
+      const res = await authFetch(`${baseUrl}/schedules`);
+      if (!res.ok) throw new Error();
+      renderSchedules(await res.json());
+    } catch (err) {
+      displays.schedulesList.innerHTML = '<li style="padding:12px; font-size:13px; color:#d13438;">Virhe latauksessa.</li>';
+    }
+  }
+
+  function renderSchedules(jobs) {
+    const fmt = (iso) => new Date(iso).toLocaleString('fi-FI', { dateStyle: 'short', timeStyle: 'short' });
+    displays.schedulesList.innerHTML = jobs.length ? '' : '<li style="padding:12px; font-size:13px; color:var(--text-sub);">Ei ajastuksia.</li>';
+    jobs.forEach(job => {
+      const timing = job.cron ? `Toistuva (${job.cron})` : `Kerran ${fmt(job.runAt)}`;
+      const next = job.enabled && job.nextRunAt ? `Seuraava: ${fmt(job.nextRunAt)}` : 'Ei tulevia ajoja';
+      const last = job.lastRunAt ? ` · Viimeksi: ${fmt(job.lastRunAt)}` : '';
+      const li = document.createElement('li');
+      li.style.cssText = 'padding:8px 12px; border-bottom:1px solid var(--border-color); font-size:14px;';
+      li.innerHTML = `
+        <span>
+          ${escapeHtml(job.name)}
+          ${job.enabled ? '' : '<span class="item-badge expired">Pois päältä</span>'}
+          ${SCHEDULE_OUTCOME_BADGES[job.lastOutcome] || ''}
+          <small style="display:block; color:var(--text-sub); font-size:11px;">${escapeHtml(`${SCHEDULE_ACTION_LABELS[job.action] || job.action} · ${scheduleTargetName(job)} · ${timing}`)}</small>
+          <small style="display:block; color:var(--text-sub); font-size:11px;">${next}${last}</small>
+        </span>
+        <div class="item-actions">
+          <button class="item-action-btn" data-action="run">Aja nyt</button>
+          <button class="item-action-btn" data-action="toggle">${job.enabled ? 'Keskeytä' : 'Jatka'}</button>
+          <button class="item-action-btn danger" data-action="delete">Poista</button>
+        </div>
+      `;
+      li.querySelector('[data-action="run"]').addEventListener('click', () => runSchedule(job));
+      li.querySelector('[data-action="toggle"]').addEventListener('click', () => toggleSchedule(job));
+      li.querySelector('[data-action="delete"]').addEventListener('click', () => deleteSchedule(job));
+      displays.schedulesList.appendChild(li);
+    });
+  }
+
+  $('btnCreateSchedule').addEventListener('click', async () => {
+    const name = $('scheduleName').value.trim();
+    const [kind, targetId] = $('scheduleTarget').value.split(/:(.*)/);
+    const action = $('scheduleAction').value;
+    if (!name) return displays.schedulesStatus.textContent = 'Anna ajastukselle nimi';
+    if (!targetId) return displays.schedulesStatus.textContent = 'Valitse kohde';
+
+    const body = { name, action, [kind === 'group' ? 'groupId' : 'deviceId']: targetId };
+    if (action === 'entry') {
+      if (!$('scheduleLink').value.trim()) return displays.schedulesStatus.textContent = 'Anna linkki';
+      body.payload = { value1: $('scheduleLink').value.trim(), value2: $('scheduleTitle').value.trim() };
+    }
+    if ($('scheduleKind').value === 'cron') {
+      if (!$('scheduleCron').value.trim()) return displays.schedulesStatus.textContent = 'Anna toistoaika';
+      body.cron = $('scheduleCron').value.trim();
+    } else {
+      if (!$('scheduleRunAt').value) return displays.schedulesStatus.textContent = 'Valitse ajankohta';
+      body.runAt = new Date($('scheduleRunAt').value).toISOString();
+    }
+
+    displays.schedulesStatus.textContent = 'Tallennetaan...';
+    try {
+      const res = await authFetch(`${baseUrl}/schedules`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Virhe');
+
+      $('scheduleName').value = '';
+      await loadSchedules();
+    } catch (err) {
+      displays.schedulesStatus.textContent = err.message || 'Virhe tallennuksessa';
+    }
+  });
+
+  async function runSchedule(job) {
+    displays.schedulesStatus.textContent = 'Ajetaan...';
+    try {
+      const res = await authFetch(`${baseUrl}/schedules/${encodeURIComponent(job.id)}/run`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Virhe');
+
+      await loadSchedules();
+      const { summary } = data.results;
+      displays.schedulesStatus.textContent = summary
+        ? `Ajettu: ${summary.succeeded}/${summary.total} laitetta onnistui`
+        : `Ajo epäonnistui: ${data.results.error}`;
+    } catch (err) {
+      displays.schedulesStatus.textContent = err.message || 'Ajo epäonnistui';
+    }
+  }
+
+  async function toggleSchedule(job) {
+    try {
+      const res = await authFetch(`${baseUrl}/schedules/${encodeURIComponent(job.id)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !job.enabled })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Virhe');
+      await loadSchedules();
+    } catch (err) {
+      displays.schedulesStatus.textContent = err.message === 'runAt must be a future ISO date'
+        ? 'Ajankohta on jo mennyt, luo uusi ajastus'
+        : (err.message || 'Virhe tallennuksessa');
+    }
+  }
+
+  async function deleteSchedule(job) {
+    if (!confirm(`Poistetaanko ajastus ${job.name}?`)) return;
+    try {
+      const res = await authFetch(`${baseUrl}/schedules/${encodeURIComponent(job.id)}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error();
+      await loadSchedules();
+    } catch (err) {
+      displays.schedulesStatus.textContent = 'Poisto epäonnistui';
+    }
+  }
+
   // --- CLAIM DEVICE LOGIC ---
-  $('btnOpenClaim').addEventListener('click', () => {
+  function openClaimModal(code = '') {
     views.claimModal.style.display = 'flex';
-    inputs.claimDeviceId.value = '';
+    inputs.claimCode.value = code;
     inputs.claimFriendlyName.value = '';
     $('claimStatus').textContent = '';
-  });
+  }
+
+  // The QR code on the TV links to /?pair=CODE; open the dialog once logged in
+  function openPendingPairing() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('pair');
+    if (!code) return;
+    params.delete('pair');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+    openClaimModal(code);
+  }
+
+  $('btnOpenClaim').addEventListener('click', () => openClaimModal());
 
   $('btnCloseClaim').addEventListener('click', () => {
     views.claimModal.style.display = 'none';
   });
 
   $('btnSaveClaim').addEventListener('click', async () => {
-    const deviceId = inputs.claimDeviceId.value.trim();
+    const code = inputs.claimCode.value.trim();
     const friendlyName = inputs.claimFriendlyName.value.trim();
     const status = $('claimStatus');
 
-    if (!deviceId) {
-      status.textContent = 'Syötä laitteen ID';
+    if (!code) {
+      status.textContent = 'Syötä television ruudulla näkyvä koodi';
       status.className = 'status-msg error';
       return;
     }
@@ -546,13 +1447,12 @@
     status.className = 'status-msg info';
 
     try {
-      const res = await fetch(`${baseUrl}/devices/claim`, {
+      const res = await authFetch(`${baseUrl}/devices/pair`, {
         method: 'POST',
         headers: { 
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authState.token}`
+          'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ deviceId, friendlyName })
+        body: JSON.stringify({ code, friendlyName })
       });
       
       const data = await res.json();
@@ -579,8 +1479,12 @@
     views.shareModal.style.display = 'flex';
     $('shareStatus').textContent = '';
     inputs.shareEmail.value = '';
+    $('shareRoleSelect').value = 'contributor';
+    $('shareExpiresAt').value = '';
     
     loadShares(deviceId);
+    loadCredential(deviceId);
+    loadDeviceAudit(deviceId);
   });
 
   $('btnCloseShare').addEventListener('click', () => {
@@ -592,9 +1496,7 @@
     list.innerHTML = '<li style="padding:12px; font-size:13px; color:var(--text-sub);">Ladataan...</li>';
 
     try {
-      const res = await fetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/shares`, {
-        headers: { 'Authorization': `Bearer ${authState.token}` }
-      });
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/shares`);
       if (!res.ok) throw new Error();
       const shares = await res.json();
       
@@ -609,17 +1511,30 @@
         li.style.cssText = 'padding:8px 12px; border-bottom:1px solid var(--border-color); display:flex; justify-content:space-between; align-items:center; font-size:14px;';
         
         const isMaster = share.role === 'master';
+        const roleOptions = ['contributor', 'operator', 'viewer']
+          .map(role => `<option value="${role}" ${role === share.role ? 'selected' : ''}>${ROLE_LABELS[role]}</option>`).join('');
+        const shareState = share.status === 'pending' ? 'Odottaa hyväksyntää'
+          : share.status === 'expired' ? 'Vanhentunut'
+          : share.expiresAt ? `Voimassa ${new Date(share.expiresAt).toLocaleString('fi-FI')} asti` : '';
         li.innerHTML = `
           <span>
             ${escapeHtml(share.email)} 
-            <small style="color:var(--text-sub); font-size:11px;">(${isMaster ? 'Omistaja' : 'Käyttäjä'})</small>
+            ${isMaster ? '<small style="color:var(--text-sub); font-size:11px;">(Omistaja)</small>' : ''}
+            ${shareState ? `<small style="display:block; color:var(--text-sub); font-size:11px;">${shareState}</small>` : ''}
           </span>
-          ${!isMaster ? `<button class="remove-share" data-email="${share.email}" style="width:auto; margin:0; padding:4px 8px; background-color:#d13438; font-size:12px;">Poista</button>` : ''}
+          ${!isMaster ? `
+            <span style="display:flex; gap:6px;">
+              <select class="share-role" data-email="${escapeHtml(share.email)}" style="padding:4px; font-size:12px; border-radius:4px; border:1px solid var(--border-color); background-color:white;">${roleOptions}</select>
+              <button class="remove-share" data-email="${escapeHtml(share.email)}" style="width:auto; margin:0; padding:4px 8px; background-color:#d13438; font-size:12px;">Poista</button>
+            </span>` : ''}
         `;
         list.appendChild(li);
       });
 
-      // Add delete listeners
+      // Add role and delete listeners
+      list.querySelectorAll('.share-role').forEach(select => {
+        select.addEventListener('change', () => changeShareRole(deviceId, select.dataset.email, select.value));
+      });
       list.querySelectorAll('.remove-share').forEach(btn => {
         btn.addEventListener('click', () => removeShare(deviceId, btn.dataset.email));
       });
@@ -629,6 +1544,116 @@
     }
   }
 
+  async function loadCredential(deviceId) {
+    const status = $('credentialStatus');
+    status.textContent = 'Ladataan...';
+    $('btnRotateCredential').disabled = true;
+    $('btnRevokeCredential').disabled = true;
+
+    try {
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/credential`);
+      if (!res.ok) throw new Error();
+      const credential = await res.json();
+
+      if (credential.status === 'active') {
+        status.textContent = credential.rotationPending
+          ? 'Uusi avain odottaa, että laite ottaa sen käyttöön.'
+          : `Avain käytössä ${credential.issuedAt ? 'alkaen ' + new Date(credential.issuedAt).toLocaleString('fi-FI') : ''}`.trim();
+        $('btnRotateCredential').disabled = false;
+        $('btnRevokeCredential').disabled = false;
+      } else if (credential.status === 'revoked') {
+        status.textContent = 'Avain mitätöity. Yhdistä laite uudelleen sen näytöllä näkyvällä koodilla.';
+      } else {
+        status.textContent = 'Laitteella ei ole vielä avainta.';
+      }
+    } catch (err) {
+      status.textContent = 'Virhe latauksessa.';
+    }
+  }
+
+  async function changeCredential(action) {
+    const deviceId = inputs.deviceSelect.value;
+    if (action === 'revoke' && !confirm('Mitätöidäänkö laitteen avain? Laite lopettaa toiston ja se on yhdistettävä tiliin uudelleen.')) return;
+
+    try {
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/credential/${action}`, { method: 'POST' });
+      if (!res.ok) throw new Error((await res.json()).error || 'Virhe');
+      loadCredential(deviceId);
+      loadDeviceAudit(deviceId);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  $('btnRotateCredential').addEventListener('click', () => changeCredential('rotate'));
+  $('btnRevokeCredential').addEventListener('click', () => changeCredential('revoke'));
+
+  const AUDIT_ACTION_LABELS = {
+    'device.claim': 'Laite lisätty',
+    'device.pair': 'Laite yhdistetty koodilla',
+    'device.pairing-code': 'Yhdistämiskoodi näytetty',
+    'device.share': 'Käyttöoikeus jaettu',
+    'device.share.role': 'Käyttöoikeutta muutettu',
+    'device.invitation.accept': 'Kutsu hyväksytty',
+    'device.invitation.decline': 'Kutsu hylätty',
+    'device.unshare': 'Käyttöoikeus poistettu',
+    'device.release': 'Laite vapautettu',
+    'device.rename': 'Laite nimetty',
+    'device.register-iot': 'IoT-rekisteröinti',
+    'device.command': 'Komento',
+    'device.state.update': 'Haluttu tila muutettu',
+    'device.announce': 'Laite ilmoittautui',
+    'device.transfer.approve': 'Siirto hyväksytty',
+    'device.transfer.reject': 'Siirto hylätty',
+    'device.credential.rotate': 'Laitteen avain vaihdettu',
+    'device.credential.revoke': 'Laitteen avain mitätöity',
+    'entry.create': 'Lähetys lisätty',
+    'entry.update': 'Lähetystä muokattu',
+    'entry.delete': 'Lähetys poistettu',
+    'group.create': 'Ryhmä luotu',
+    'group.update': 'Ryhmää muokattu',
+    'group.delete': 'Ryhmä poistettu',
+    'group.entry': 'Lähetys ryhmälle',
+    'group.command': 'Ryhmäkomento',
+    'schedule.create': 'Ajastus luotu',
+    'schedule.update': 'Ajastusta muokattu',
+    'schedule.delete': 'Ajastus poistettu',
+    'schedule.run': 'Ajastus ajettu'
+  };
+
+  async function loadDeviceAudit(deviceId) {
+    const list = $('auditList');
+    list.innerHTML = '<li style="padding:12px; font-size:13px; color:var(--text-sub);">Ladataan...</li>';
+
+    try {
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/audit?limit=30`);
+      if (!res.ok) throw new Error();
+      const { events } = await res.json();
+
+      list.innerHTML = '';
+      if (events.length === 0) {
+        list.innerHTML = '<li style="padding:12px; font-size:13px; color:var(--text-sub);">Ei tapahtumia.</li>';
+        return;
+      }
+
+      events.forEach(event => {
+        const label = AUDIT_ACTION_LABELS[event.action] || event.action;
+        const target = event.target && !event.action.startsWith('entry.') ? ` ${event.target}` : '';
+        const viaGroup = event.details && event.details.group ? ' (ryhmän kautta)' : '';
+        const li = document.createElement('li');
+        li.style.cssText = 'padding:6px 12px; border-bottom:1px solid var(--border-color); font-size:13px;';
+        li.innerHTML = `
+          ${escapeHtml(label + target + viaGroup)}
+          ${event.outcome !== 'success' ? `<span class="item-badge upcoming">${event.outcome === 'denied' ? 'Estetty' : 'Epäonnistui'}</span>` : ''}
+          <small style="display:block; color:var(--text-sub); font-size:11px;">${new Date(event.timestamp).toLocaleString('fi-FI')} · ${escapeHtml(event.actor)}${event.via ? (event.via.startsWith('schedule:') ? ' (ajastus)' : ' (API-avain)') : ''}</small>
+        `;
+        list.appendChild(li);
+      });
+    } catch (err) {
+      list.innerHTML = '<li style="padding:12px; font-size:13px; color:#d13438;">Virhe latauksessa.</li>';
+    }
+  }
+
   $('btnDoShare').addEventListener('click', async () => {
     const deviceId = inputs.deviceSelect.value;
     const email = inputs.shareEmail.value.trim();
@@ -640,17 +1665,21 @@
     status.className = 'status-msg info';
 
     try {
-      const res = await fetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/share`, {
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/share`, {
         method: 'POST',
         headers: { 
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authState.token}`
+          'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ email })
+        body: JSON.stringify({
+          email,
+          role: $('shareRoleSelect').value,
+          expiresAt: $('shareExpiresAt').value ? new Date($('shareExpiresAt').value).toISOString() : undefined
+        })
       });
-      if (!res.ok) throw new Error((await res.json()).error || 'Virhe');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Virhe');
 
-      status.textContent = 'Käyttäjä lisätty!';
+      status.textContent = data.status === 'pending' ? 'Kutsu lähetetty! Käyttöoikeus alkaa, kun kutsu on hyväksytty.' : 'Käyttöoikeus päivitetty!';
       status.className = 'status-msg success';
       inputs.shareEmail.value = '';
       loadShares(deviceId);
@@ -660,13 +1689,31 @@
     }
   });
 
+  async function changeShareRole(deviceId, targetEmail, role) {
+    const status = $('shareStatus');
+    try {
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/share/${encodeURIComponent(targetEmail)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role })
+      });
+      if (!res.ok) throw new Error((await res.json()).error || 'Virhe');
+
+      status.textContent = `${targetEmail}: ${ROLE_LABELS[role]}`;
+      status.className = 'status-msg success';
+    } catch (err) {
+      status.textContent = err.message;
+      status.className = 'status-msg error';
+      loadShares(deviceId);
+    }
+  }
+
   async function removeShare(deviceId, targetEmail) {
     if (!confirm(`Poistetaanko käyttäjän ${targetEmail} käyttöoikeus?`)) return;
 
     try {
-      const res = await fetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/share/${encodeURIComponent(targetEmail)}`, {
-        method: 'DELETE',
-        headers: { 'Authorization': `Bearer ${authState.token}` }
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/share/${encodeURIComponent(targetEmail)}`, {
+        method: 'DELETE'
       });
       if (!res.ok) throw new Error();
       loadShares(deviceId);
@@ -689,9 +1736,8 @@
     if (!confirmed) return;
 
     try {
-      const res = await fetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}`, {
-        method: 'DELETE',
-        headers: { 'Authorization': `Bearer ${authState.token}` }
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}`, {
+        method: 'DELETE'
       });
       
       if (!res.ok) throw new Error();
@@ -730,11 +1776,10 @@
     status.className = 'status-msg info';
 
     try {
-      const res = await fetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}`, {
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}`, {
         method: 'PATCH',
         headers: { 
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authState.token}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({ friendlyName })
       });
@@ -758,9 +1803,65 @@
 
 
   // --- IOT LOGIC ---
+  const COMMAND_STATUS_LABELS = {
+    queued: 'Jonossa',
+    delivered: 'Toimitettu',
+    acknowledged: 'Vastaanotettu',
+    succeeded: 'Onnistui',
+    failed: 'Epäonnistui',
+    expired: 'Vanhentunut'
+  };
+  const COMMAND_STATUS_BADGES = { queued: 'upcoming', delivered: 'upcoming', acknowledged: 'upcoming', succeeded: 'live', failed: 'failed', expired: 'expired' };
+  const COMMAND_POLL_MS = 2000;
+  const COMMAND_POLL_WINDOW_MS = 2 * 60 * 1000; // Stop watching commands the device never finishes
+  const commandPoll = { deviceId: null, timer: null };
+
+  // Lists the latest commands and keeps polling while one is still on its way
+  async function loadCommands() {
+    const deviceId = inputs.deviceSelect.value;
+    const list = $('iotCommandList');
+    clearTimeout(commandPoll.timer);
+    commandPoll.deviceId = deviceId;
+
+    try {
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/commands?limit=5`);
+      if (!res.ok) throw new Error();
+      const { commands } = await res.json();
+      if (commandPoll.deviceId !== deviceId) return;
+
+      list.innerHTML = '';
+      if (commands.length === 0) {
+        list.innerHTML = '<li style="padding:8px 12px; font-size:13px; color:var(--text-sub);">Ei komentoja.</li>';
+        return;
+      }
+
+      commands.forEach(command => {
+        const li = document.createElement('li');
+        li.style.cssText = 'padding:6px 12px; border-bottom:1px solid var(--border-color); font-size:13px;';
+        li.innerHTML = `
+          <span class="item-badge ${COMMAND_STATUS_BADGES[command.status] || ''}">${escapeHtml(COMMAND_STATUS_LABELS[command.status] || command.status)}</span>
+          ${escapeHtml(command.command)}
+          ${command.error ? `<small style="color:#d13438;"> ${escapeHtml(command.error)}</small>` : ''}
+          <small style="display:block; color:var(--text-sub); font-size:11px;">${new Date(command.createdAt).toLocaleString('fi-FI')} · ${escapeHtml(command.sentBy)}</small>
+        `;
+        list.appendChild(li);
+      });
+
+      const pending = commands.some(command => ['queued', 'delivered', 'acknowledged'].includes(command.status) &&
+        Date.now() - new Date(command.createdAt).getTime() < COMMAND_POLL_WINDOW_MS);
+      if (pending) commandPoll.timer = setTimeout(loadCommands, COMMAND_POLL_MS);
+    } catch (err) {
+      if (commandPoll.deviceId === deviceId) {
+        list.innerHTML = '<li style="padding:8px 12px; font-size:13px; color:#d13438;">Virhe latauksessa.</li>';
+      }
+    }
+  }
+
   async function loadIotStatus() {
     const deviceId = inputs.deviceSelect.value;
-    if (!deviceId) {
+    clearTimeout(commandPoll.timer);
+    commandPoll.deviceId = null;
+    if (!deviceId || !devicePermits(deviceId, 'commands:send')) {
       views.iotControls.classList.add('hidden');
       return;
     }
@@ -779,13 +1880,12 @@
     controls.classList.remove('hidden');
 
     try {
-      const res = await fetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/iot-status`, {
-        headers: { 'Authorization': `Bearer ${authState.token}` }
-      });
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/iot-status`);
       
       if (res.status === 404) {
         badge.textContent = 'Ei rekisteröity';
         notReg.classList.remove('hidden');
+        $('btnRegisterIoT').style.display = devicePermits(deviceId, 'devices:manage') ? '' : 'none';
         buttons.classList.add('hidden');
         return;
       }
@@ -796,6 +1896,7 @@
       
       notReg.classList.add('hidden');
       buttons.classList.remove('hidden');
+      loadCommands();
 
       if (status.connectionState === 'Connected') {
         badge.textContent = 'Online';
@@ -809,6 +1910,8 @@
       
       if (status.mock) {
         badge.textContent += ' (MOCK)';
+      } else if (status.transport === 'websocket') {
+        badge.textContent += ' (WebSocket)';
       }
     } catch (err) {
       badge.textContent = 'Virhe';
@@ -832,11 +1935,10 @@
     msg.className = 'status-msg info';
 
     try {
-      const res = await fetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/commands/${command}`, {
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/commands/${command}`, {
         method: 'POST',
         headers: { 
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authState.token}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify(payload)
       });
@@ -844,7 +1946,7 @@
       const data = await res.json();
       if (!res.ok) throw new Error(data.error || 'Virhe');
 
-      if (data.mode === 'direct') {
+      if (data.methodStatus) {
         msg.textContent = `✅ Suoritettu välittömästi (Status: ${data.methodStatus})`;
         msg.className = 'status-msg success';
       } else {
@@ -853,6 +1955,7 @@
       }
       
       setTimeout(() => { if (msg.className.includes('success')) msg.textContent = ''; }, 4000);
+      loadCommands();
     } catch (err) {
       msg.textContent = `❌ Virhe: ${err.message}`;
       msg.className = 'status-msg error';
@@ -873,9 +1976,8 @@
     msg.className = 'status-msg info';
 
     try {
-      const res = await fetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/register-iot`, {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${authState.token}` }
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/register-iot`, {
+        method: 'POST'
       });
       
       const data = await res.json();
@@ -904,6 +2006,136 @@
   });
   $('btnIotStatus').addEventListener('click', loadIotStatus);
 
+  // --- DEVICE STATE ---
+  const DESIRED_STATE_LABELS = {
+    streamUrl: 'Lähetys',
+    volume: 'Äänenvoimakkuus',
+    displayOn: 'Näyttö',
+    coordinates: 'Klikkauskoordinaatit'
+  };
+  const PLAYBACK_LABELS = { playing: 'toistaa', paused: 'tauolla' };
+  const DEVICE_STATE_REFRESH_MS = 5000; // The device reports a couple of seconds after applying
+
+  function formatStateValue(field, value) {
+    if (value === null || value === undefined) return '–';
+    if (field === 'displayOn') return value ? 'Päällä' : 'Pois';
+    if (field === 'volume') return `${value} %`;
+    return String(value);
+  }
+
+  function setDeviceStateBadge(text, background, color) {
+    const badge = $('deviceStateBadge');
+    badge.textContent = text;
+    badge.style.background = background;
+    badge.style.color = color;
+  }
+
+  async function loadDeviceState() {
+    const deviceId = inputs.deviceSelect.value;
+    if (!deviceId || !devicePermits(deviceId, 'commands:send')) {
+      views.deviceState.classList.add('hidden');
+      return;
+    }
+    views.deviceState.classList.remove('hidden');
+
+    try {
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/state`);
+      if (!res.ok) throw new Error();
+      const state = await res.json();
+      if (inputs.deviceSelect.value === deviceId) renderDeviceState(state);
+    } catch (err) {
+      setDeviceStateBadge('Virhe', '#f8d7da', '#721c24');
+    }
+  }
+
+  // Desired next to reported, with the fields where they differ in red
+  function renderDeviceState(state) {
+    const { desired, reported, differences } = state;
+    const gaps = new Set(differences.map(difference => difference.field));
+
+    if (!reported) setDeviceStateBadge('Ei raportoitu', '#eee', '#666');
+    else if (state.inSync) setDeviceStateBadge('Ajan tasalla', '#d4edda', '#155724');
+    else setDeviceStateBadge(state.pending ? 'Päivittyy...' : 'Eroja', '#fff3cd', '#856404');
+
+    $('deviceStateReported').textContent = reported
+      ? [
+        reported.playerState,
+        PLAYBACK_LABELS[reported.playback],
+        reported.resolution,
+        reported.appVersion && `versio ${reported.appVersion}`,
+        `raportoitu ${timeAgo(state.reportedAt).toLowerCase()}`
+      ].filter(Boolean).join(' · ')
+      : 'Laite ei ole vielä raportoinut tilaansa.';
+
+    const list = $('deviceStateList');
+    list.innerHTML = '';
+    Object.entries(DESIRED_STATE_LABELS).forEach(([field, label]) => {
+      const gap = gaps.has(field);
+      let desiredText = desired[field] === null ? 'Laite päättää' : formatStateValue(field, desired[field]);
+      let reportedText = reported ? formatStateValue(field, reported[field]) : '–';
+      if (field === 'coordinates') {
+        if (desired.coordinates) desiredText = 'Oma asettelu';
+        reportedText = gap ? 'Ei vielä käytössä' : (desired.coordinates ? 'Oma asettelu' : 'Yleinen asettelu');
+      }
+
+      const li = document.createElement('li');
+      li.style.cssText = `padding:6px 12px; border-bottom:1px solid var(--border-color); font-size:13px;${gap ? ' background:#fdf2f2;' : ''}`;
+      li.innerHTML = `
+        <strong>${escapeHtml(label)}</strong>${gap ? ' ⚠️' : ''}
+        <small style="display:block; color:var(--text-sub); word-break:break-all;">Haluttu: ${escapeHtml(desiredText)}</small>
+        <small style="display:block; color:${gap ? '#d13438' : 'var(--text-sub)'}; word-break:break-all;">Laite: ${escapeHtml(reportedText)}</small>
+      `;
+      list.appendChild(li);
+    });
+
+    $('desiredStreamUrl').value = desired.streamUrl || '';
+    $('desiredVolume').value = desired.volume === null ? '' : desired.volume;
+    $('desiredDisplayOn').value = desired.displayOn === null ? '' : String(desired.displayOn);
+  }
+
+  async function saveDesiredState() {
+    const deviceId = inputs.deviceSelect.value;
+    if (!deviceId) return;
+
+    const btn = $('btnSaveDesiredState');
+    const msg = $('deviceStateMsg');
+    const volume = $('desiredVolume').value.trim();
+    const displayOn = $('desiredDisplayOn').value;
+
+    btn.disabled = true;
+    msg.textContent = 'Tallennetaan...';
+    msg.className = 'status-msg info';
+
+    try {
+      const res = await authFetch(`${baseUrl}/devices/${encodeURIComponent(deviceId)}/state`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          streamUrl: $('desiredStreamUrl').value.trim() || null,
+          volume: volume === '' ? null : Number(volume),
+          displayOn: displayOn === '' ? null : displayOn === 'true'
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Tallennus epäonnistui');
+
+      renderDeviceState(data);
+      msg.textContent = data.notified
+        ? '✅ Tallennettu, laite päivittyy heti'
+        : '✅ Tallennettu, laite päivittyy seuraavalla yhteydellä';
+      msg.className = 'status-msg success';
+      setTimeout(loadDeviceState, DEVICE_STATE_REFRESH_MS);
+    } catch (err) {
+      msg.textContent = `❌ Virhe: ${err.message}`;
+      msg.className = 'status-msg error';
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  $('btnSaveDesiredState').addEventListener('click', saveDesiredState);
+  $('btnRefreshDeviceState').addEventListener('click', loadDeviceState);
+
 
   // Helpers
   function setAppStatus(msg, type) {
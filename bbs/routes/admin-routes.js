@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTableClient,
+  odata,
+  TABLE_NAME_USERS,
+  TABLE_NAME_DEVICES,
+  TABLE_NAME_PERMISSIONS
+} = require('../services/storage-service');
+const { authenticateToken } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { revokeAllSessions } = require('../services/session-service');
+const { revokeAllApiKeys } = require('../services/api-key-service');
+const { parseAuditQuery, listAuditEvents } = require('../services/audit-service');
+const { listPendingTransfers } = require('../services/device-transfer-service');
+const { isShareActive } = require('../services/share-service');
+
+// Admin only
+router.use(authenticateToken, (req, res, next) => {
+  if (!req.user.isAdmin) return res.sendStatus(403);
+  next();
+});
+
+function normalizeEmail(email) {
+  return String(email || '').trim();
+}
+
+function toUserResponse(profile, deviceCount, now = Date.now()) {
+  const lockedUntil = profile.lockedUntil || 0;
+  return {
+    email: profile.partitionKey,
+    isAdmin: !!profile.isAdmin,
+    locked: lockedUntil > now,
+    lockedUntil: lockedUntil ? new Date(lockedUntil).toISOString() : null,
+    failedAttempts: profile.failedAttempts || 0,
+    devices: deviceCount
+  };
+}
+
+async function getProfile(email) {
+  try {
+    return await getTableClient(TABLE_NAME_USERS).getEntity(email, 'profile');
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+async function countAdmins() {
+  const client = getTableClient(TABLE_NAME_USERS);
+  let admins = 0;
+  for await (const profile of client.listEntities({ queryOptions: { filter: "RowKey eq 'profile'" } })) {
+    if (profile.isAdmin) admins++;
+  }
+  return admins;
+}
+
+async function countDevices(email) {
+  const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
+  let count = 0;
+  for await (const perm of permClient.listEntities({ queryOptions: { filter: odata`PartitionKey eq ${email}`, select: ['RowKey', 'status', 'expiresAt'] } })) {
+    if (isShareActive(perm)) count++;
+  }
+  return count;
+}
+
+// GET /admin/users
+router.get('/users', async (req, res) => {
+  try {
+    const client = getTableClient(TABLE_NAME_USERS);
+    const users = [];
+    for await (const profile of client.listEntities({ queryOptions: { filter: "RowKey eq 'profile'" } })) {
+      users.push(toUserResponse(profile, await countDevices(profile.partitionKey)));
+    }
+    return res.json(users);
+  } catch (err) {
+    console.error('GET /admin/users error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// PATCH /admin/users/:email  body: { isAdmin?: boolean, unlock?: true }
+router.patch('/users/:email', audit('admin.user.update', req => ({ target: req.params.email, details: req.body })), async (req, res) => {
+  try {
+    const email = normalizeEmail(req.params.email);
+    const { isAdmin, unlock } = req.body || {};
+
+    if (isAdmin === undefined && !unlock) {
+      return res.status(400).json({ error: 'isAdmin or unlock required' });
+    }
+    if (isAdmin !== undefined && typeof isAdmin !== 'boolean') {
+      return res.status(400).json({ error: 'isAdmin must be a boolean' });
+    }
+
+    const profile = await getProfile(email);
+    if (!profile) return res.status(404).json({ error: 'User not found' });
+
+    if (isAdmin === false && profile.isAdmin && await countAdmins() <= 1) {
+      return res.status(400).json({ error: 'Cannot demote the last admin' });
+    }
+
+    const update = { partitionKey: email, rowKey: 'profile' };
+    if (isAdmin !== undefined) update.isAdmin = isAdmin;
+    if (unlock) {
+      update.failedAttempts = 0;
+      update.lockedUntil = 0;
+    }
+
+    await getTableClient(TABLE_NAME_USERS).updateEntity(update, "Merge");
+    console.log(`👤 User ${email} updated by ${req.user.email}: ${Object.keys(update).slice(2).join(', ')}`);
+
+    // Role changes reach the user's access token on its next refresh
+    return res.json(toUserResponse({ ...profile, ...update }, await countDevices(email)));
+  } catch (err) {
+    console.error('PATCH /admin/users/:email error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// DELETE /admin/users/:email
+router.delete('/users/:email', audit('admin.user.delete', req => ({ target: req.params.email })), async (req, res) => {
+  try {
+    const email = normalizeEmail(req.params.email);
+    if (email === normalizeEmail(req.user.email)) {
+      return res.status(400).json({ error: 'Cannot delete yourself' });
+    }
+
+    const profile = await getProfile(email);
+    if (!profile) return res.status(404).json({ error: 'User not found' });
+
+    const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
+    const deviceClient = getTableClient(TABLE_NAME_DEVICES);
+    const userClient = getTableClient(TABLE_NAME_USERS);
+
+    // Permissions first, so a failure never leaves access without a user row
+    let removedPermissions = 0;
+    const releasedDevices = [];
+    for await (const perm of permClient.listEntities({ queryOptions: { filter: odata`PartitionKey eq ${email}` } })) {
+      await permClient.deleteEntity(perm.partitionKey, perm.rowKey);
+      removedPermissions++;
+
+      if (perm.role === 'master') {
+        try {
+          const device = await deviceClient.getEntity(perm.rowKey, 'metadata');
+          if (device.masterEmail === email) {
+            // Leave the device and its other shares, but let it be claimed again
+            await deviceClient.updateEntity({ partitionKey: perm.rowKey, rowKey: 'metadata', masterEmail: '' }, "Merge");
+            releasedDevices.push(perm.rowKey);
+          }
+        } catch (err) {
+          if (err.statusCode !== 404) throw err;
+        }
+      }
+    }
+
+    await revokeAllSessions(email);
+    await revokeAllApiKeys(email);
+    for await (const row of userClient.listEntities({ queryOptions: { filter: odata`PartitionKey eq ${email}` } })) {
+      await userClient.deleteEntity(row.partitionKey, row.rowKey);
+    }
+
+    console.log(`🗑️ User ${email} deleted by ${req.user.email} (${removedPermissions} permissions, released: ${releasedDevices.join(', ') || 'none'})`);
+    return res.json({ ok: true, removedPermissions, releasedDevices });
+  } catch (err) {
+    console.error('DELETE /admin/users/:email error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// GET /admin/audit?actor=&deviceId=&since=&until=&limit=&cursor=
+router.get('/audit', async (req, res) => {
+  const query = parseAuditQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  try {
+    return res.json(await listAuditEvents(query));
+  } catch (err) {
+    console.error('GET /admin/audit error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// GET /admin/transfers — pending device ownership transfers, newest first
+router.get('/transfers', async (req, res) => {
+  try {
+    return res.json(await listPendingTransfers());
+  } catch (err) {
+    console.error('GET /admin/transfers error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
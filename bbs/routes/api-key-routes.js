@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const {
+  API_KEY_SCOPES,
+  validateApiKey,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../services/api-key-service');
+
+// Keys are managed with a user login; an API key cannot mint or revoke keys
+router.use(authenticateToken);
+
+// GET /api-keys
+router.get('/', async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.user.email);
+    return res.json({ scopes: API_KEY_SCOPES, keys });
+  } catch (err) {
+    console.error('GET /api-keys error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// POST /api-keys
+router.post('/', audit('auth.api-key.create', req => ({ details: { name: req.body.name, scopes: req.body.scopes, deviceKeys: req.body.deviceKeys } })), async (req, res) => {
+  const { name, scopes, deviceKeys, expiresInDays } = req.body || {};
+  const error = validateApiKey({ name, scopes, deviceKeys, expiresInDays });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const created = await createApiKey(req.user.email, { name, scopes, deviceKeys, expiresInDays });
+    res.locals.audit.target = created.id;
+    console.log(`🔑 API key "${created.name}" (${created.id}) created by ${req.user.email}: ${created.scopes.join(', ')}`);
+    return res.status(201).json(created);
+  } catch (err) {
+    console.error('POST /api-keys error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// DELETE /api-keys/:id
+router.delete('/:id', audit('auth.api-key.revoke', req => ({ target: req.params.id })), async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.user.email, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'API key not found' });
+    console.log(`🔑 API key ${req.params.id} revoked by ${req.user.email}`);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api-keys/:id error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -2,59 +2,74 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer');
 const { getTableClient, isFirstUser, TABLE_NAME_USERS } = require('../services/storage-service');
-const { JWT_SECRET } = require('../middleware/auth');
-
-const BREVO_SMTP_KEY = process.env.BREVO_SMTP_KEY;
-const BREVO_SMTP_USER = process.env.BREVO_SMTP_USER;
-const BREVO_SMTP_HOST = process.env.BREVO_SMTP_HOST || 'smtp-relay.brevo.com';
-const BREVO_SMTP_PORT = parseInt(process.env.BREVO_SMTP_PORT) || 587;
-const FROM_EMAIL = (process.env.FROM_EMAIL || 'noreply@espa-tv.com').trim();
-const FROM_NAME = (process.env.FROM_NAME || 'Espa TV Auth').trim();
-
-// Setup Nodemailer Transporter
-let mailTransporter = null;
-if (BREVO_SMTP_KEY && BREVO_SMTP_USER) {
-  mailTransporter = nodemailer.createTransport({
-    host: BREVO_SMTP_HOST,
-    port: BREVO_SMTP_PORT,
-    secure: false,
-    auth: {
-      user: BREVO_SMTP_USER,
-      pass: BREVO_SMTP_KEY,
-    },
-  });
-}
+const { JWT_SECRET, ACCESS_TOKEN_TTL, authenticateToken, signAccessToken } = require('../middleware/auth');
+const {
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/session-service');
+const { rateLimit } = require('../middleware/rate-limit');
+const { audit } = require('../middleware/audit');
+const { sendTemplatedEmail, notifyByEmail } = require('../services/email-service');
+const { SUPPORTED_LANGUAGES, resolveLanguage } = require('../services/email-templates');
+
+const MINUTE = 60 * 1000;
+const OTP_TTL_MS = 10 * MINUTE;
+const OTP_RESEND_COOLDOWN_MS = MINUTE;
+const OTP_MAX_ATTEMPTS = 5; // Wrong guesses before the code is invalidated
+const MAX_OTP_UPDATE_ATTEMPTS = 5;
+const PIN_MAX_ATTEMPTS = 3;
+const PIN_LOCK_MS = 15 * MINUTE;
+
+// Users, OTP rows and permissions are keyed by the email as typed, so the
+// routes and their rate limits use it unchanged
+const emailKey = req => (req.body && req.body.email) ? String(req.body.email) : null;
+const ipKey = req => req.ip;
+
+// Per-email limits stop mail bombing one inbox, per-IP limits stop one
+// client from walking through many addresses
+const sendOtpLimits = [
+  rateLimit({ name: 'send-otp:email', max: 5, windowMs: 60 * MINUTE, key: emailKey, message: 'Too many codes requested for this email. Try again later.' }),
+  rateLimit({ name: 'send-otp:ip', max: 20, windowMs: 60 * MINUTE, key: ipKey })
+];
+const verifyOtpLimits = [
+  rateLimit({ name: 'verify-otp:email', max: 10, windowMs: 15 * MINUTE, key: emailKey, message: 'Too many attempts. Try again later.' }),
+  rateLimit({ name: 'verify-otp:ip', max: 50, windowMs: 15 * MINUTE, key: ipKey })
+];
 
 function generateOTP() {
   return Math.floor(100000 + Math.random() * 900000).toString();
 }
 
-async function sendEmail(to, subject, text) {
-  if (!mailTransporter) {
-    console.log(`[MOCK EMAIL] To: ${to} | Subject: ${subject} | Body: ${text}`);
-    return;
-  }
-  
+async function getProfile(client, email) {
   try {
-    await mailTransporter.sendMail({
-      from: `"${FROM_NAME}" <${FROM_EMAIL}>`,
-      to,
-      subject,
-      text,
-      html: `<strong>${text}</strong>`,
-    });
-    console.log(`📧 Email sent to ${to}`);
-  } catch (error) {
-    console.error('❌ SMTP Error:', error);
-    throw new Error('Email sending failed');
+    return await client.getEntity(email, 'profile');
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
   }
 }
 
+function sessionContext(req) {
+  return { userAgent: req.get('User-Agent') || '', ip: req.ip || '' };
+}
+
+// Opens a session and returns the token pair sent to the client
+async function issueSession(req, email, isAdmin) {
+  const { sid, refreshToken } = await createSession(email, sessionContext(req));
+  return {
+    token: signAccessToken({ email, isAdmin, sid }),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
 // 1. Lookup
 router.post('/lookup', async (req, res) => {
-  const { email } = req.body;
+  const email = emailKey(req);
   if (!email) return res.status(400).json({ error: 'Email required' });
 
   try {
@@ -69,23 +84,44 @@ router.post('/lookup', async (req, res) => {
 });
 
 // 2. Send OTP
-router.post('/send-otp', async (req, res) => {
-  const { email } = req.body;
+router.post('/send-otp', audit('auth.otp.send'), sendOtpLimits, async (req, res) => {
+  const { language } = req.body;
+  const email = emailKey(req);
   if (!email) return res.status(400).json({ error: 'Email required' });
 
   const otp = generateOTP();
-  const expires = Date.now() + 10 * 60 * 1000; 
+  const now = Date.now();
+  const expires = now + OTP_TTL_MS;
 
   try {
     const client = getTableClient(TABLE_NAME_USERS);
+
+    let previous = null;
+    try {
+      previous = await client.getEntity(email, 'otp');
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+    if (previous && previous.sentAt && now - previous.sentAt < OTP_RESEND_COOLDOWN_MS) {
+      const retryAfter = Math.ceil((previous.sentAt + OTP_RESEND_COOLDOWN_MS - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'A code was just sent. Wait before requesting another.', retryAfter, cooldown: true });
+    }
+
     await client.upsertEntity({
       partitionKey: email,
       rowKey: 'otp',
       code: otp,
-      expires
+      expires,
+      sentAt: now,
+      attempts: 0
     });
 
-    await sendEmail(email, 'ESPA TV: Vahvistuskoodisi', `Tervetuloa ESPA TV -palveluun. Vahvistuskoodisi on: ${otp}`);
+    // New users have no stored preference yet, so the browser language is used
+    const profile = await getProfile(client, email);
+    await sendTemplatedEmail(email, 'otp', { code: otp, minutes: OTP_TTL_MS / MINUTE }, {
+      language: profile ? resolveLanguage(profile.language) : resolveLanguage(language)
+    });
     return res.json({ ok: true, message: 'OTP sent' });
   } catch (err) {
     console.error('Send OTP error:', err);
@@ -94,23 +130,61 @@ router.post('/send-otp', async (req, res) => {
 });
 
 // 3. Verify OTP
-router.post('/verify-otp', async (req, res) => {
-  const { email, code } = req.body;
+router.post('/verify-otp', audit('auth.otp.verify'), verifyOtpLimits, async (req, res) => {
+  const { code } = req.body;
+  const email = emailKey(req);
   if (!email || !code) return res.status(400).json({ error: 'Missing fields' });
 
   try {
     const client = getTableClient(TABLE_NAME_USERS);
-    const otpEntity = await client.getEntity(email, 'otp');
+    const deleteOtp = () => client.deleteEntity(email, 'otp').catch(err => {
+      if (err.statusCode !== 404) throw err;
+    });
 
-    if (!otpEntity || String(otpEntity.code) !== String(code)) {
-      return res.status(401).json({ error: 'Invalid code' });
+    // Every guess is counted before it is checked, with a write conditional on
+    // the row's etag: parallel guesses cannot all count from the same value
+    let otpEntity;
+    let attempts = 0;
+    for (let tries = 1; !attempts; tries++) {
+      if (tries > MAX_OTP_UPDATE_ATTEMPTS) {
+        return res.status(429).json({ error: 'Too many attempts. Try again later.' });
+      }
+      try {
+        otpEntity = await client.getEntity(email, 'otp');
+      } catch (err) {
+        if (err.statusCode === 404) return res.status(401).json({ error: 'Invalid code' });
+        throw err;
+      }
+
+      if (Date.now() > otpEntity.expires) {
+        await deleteOtp();
+        return res.status(401).json({ error: 'Code expired' });
+      }
+      if ((otpEntity.attempts || 0) >= OTP_MAX_ATTEMPTS) {
+        return res.status(429).json({ error: 'Too many wrong attempts. Request a new code.' });
+      }
+
+      try {
+        const next = (otpEntity.attempts || 0) + 1;
+        await client.updateEntity({ partitionKey: email, rowKey: 'otp', attempts: next }, "Merge", { etag: otpEntity.etag });
+        attempts = next;
+      } catch (err) {
+        if (err.statusCode === 404) return res.status(401).json({ error: 'Invalid code' });
+        if (err.statusCode !== 412) throw err;
+      }
     }
-    if (Date.now() > otpEntity.expires) {
-      return res.status(401).json({ error: 'Code expired' });
+
+    if (String(otpEntity.code) !== String(code)) {
+      if (attempts >= OTP_MAX_ATTEMPTS) {
+        await deleteOtp();
+        console.warn(`⚠️ OTP for ${email} invalidated after ${attempts} wrong attempts`);
+        return res.status(429).json({ error: 'Too many wrong attempts. Request a new code.' });
+      }
+      return res.status(401).json({ error: 'Invalid code', attemptsLeft: OTP_MAX_ATTEMPTS - attempts });
     }
 
     const setupToken = jwt.sign({ email, purpose: 'setup' }, JWT_SECRET, { expiresIn: '15m' });
-    await client.deleteEntity(email, 'otp');
+    await deleteOtp();
 
     return res.json({ ok: true, setupToken });
   } catch (err) {
@@ -120,8 +194,8 @@ router.post('/verify-otp', async (req, res) => {
 });
 
 // 4. Set PIN
-router.post('/set-pin', async (req, res) => {
-  const { pin, setupToken } = req.body;
+router.post('/set-pin', audit('auth.pin.set'), async (req, res) => {
+  const { pin, setupToken, language } = req.body;
   if (!pin || !setupToken) return res.status(400).json({ error: 'Missing fields' });
   if (!/^\d{4}$/.test(pin)) return res.status(400).json({ error: 'PIN must be 4 digits' });
 
@@ -130,22 +204,29 @@ router.post('/set-pin', async (req, res) => {
     if (decoded.purpose !== 'setup') return res.status(403).json({ error: 'Invalid token purpose' });
 
     const email = decoded.email;
+    res.locals.audit.actor = email;
     const pinHash = await bcrypt.hash(pin, 10);
 
     const client = getTableClient(TABLE_NAME_USERS);
-    const makeAdmin = await isFirstUser();
+    const existing = await getProfile(client, email);
+    // A PIN reset keeps an admin an admin; only the first user is made one
+    const isAdmin = !!(existing && existing.isAdmin) || await isFirstUser();
+    const preferredLanguage = resolveLanguage(language || (existing && existing.language));
 
     await client.upsertEntity({
       partitionKey: email,
       rowKey: 'profile',
       pinHash,
-      isAdmin: makeAdmin,
+      isAdmin,
+      language: preferredLanguage,
       failedAttempts: 0,
       lockedUntil: 0
     });
 
-    const token = jwt.sign({ email, isAdmin: makeAdmin }, JWT_SECRET, { expiresIn: '180d' });
-    return res.json({ ok: true, token, email, isAdmin: makeAdmin });
+    // A PIN reset signs out every other device (e.g. a lost phone)
+    await revokeAllSessions(email);
+    const session = await issueSession(req, email, isAdmin);
+    return res.json({ ok: true, ...session, email, isAdmin, language: preferredLanguage });
 
   } catch (err) {
     console.error('Set PIN error:', err);
@@ -154,8 +235,9 @@ router.post('/set-pin', async (req, res) => {
 });
 
 // 5. Login
-router.post('/login', async (req, res) => {
-  const { email, pin } = req.body;
+router.post('/login', audit('auth.login'), async (req, res) => {
+  const { pin } = req.body;
+  const email = emailKey(req);
   if (!email || !pin) return res.status(400).json({ error: 'Missing fields' });
 
   try {
@@ -172,7 +254,7 @@ router.post('/login', async (req, res) => {
     if (!match) {
       const attempts = (user.failedAttempts || 0) + 1;
       let lockedUntil = user.lockedUntil || 0;
-      if (attempts >= 3) lockedUntil = Date.now() + 15 * 60 * 1000;
+      if (attempts >= PIN_MAX_ATTEMPTS) lockedUntil = Date.now() + PIN_LOCK_MS;
 
       await client.updateEntity({
         partitionKey: email,
@@ -181,7 +263,9 @@ router.post('/login', async (req, res) => {
         lockedUntil: lockedUntil
       }, "Merge");
 
-      return res.status(401).json({ error: attempts >= 3 ? 'Locked. Too many failed attempts.' : 'Invalid PIN' });
+      if (attempts >= PIN_MAX_ATTEMPTS) res.locals.audit.details = { locked: true };
+      if (attempts === PIN_MAX_ATTEMPTS) notifyByEmail(email, 'accountLocked', { minutes: PIN_LOCK_MS / MINUTE });
+      return res.status(401).json({ error: attempts >= PIN_MAX_ATTEMPTS ? 'Locked. Too many failed attempts.' : 'Invalid PIN' });
     }
 
     // Success
@@ -189,8 +273,8 @@ router.post('/login', async (req, res) => {
       await client.updateEntity({ partitionKey: email, rowKey: 'profile', failedAttempts: 0, lockedUntil: 0 }, "Merge");
     }
 
-    const token = jwt.sign({ email, isAdmin: !!user.isAdmin }, JWT_SECRET, { expiresIn: '180d' });
-    return res.json({ ok: true, token, email, isAdmin: !!user.isAdmin });
+    const session = await issueSession(req, email, !!user.isAdmin);
+    return res.json({ ok: true, ...session, email, isAdmin: !!user.isAdmin, language: resolveLanguage(user.language) });
 
   } catch (err) {
     if (err.statusCode === 404) return res.status(404).json({ error: 'User not found' });
@@ -199,5 +283,102 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// 6. Refresh (rotates the refresh token)
+router.post('/refresh', audit('auth.refresh', () => ({}), { failuresOnly: true }), async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
+
+  try {
+    const rotated = await rotateRefreshToken(refreshToken, sessionContext(req));
+    if (!rotated) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+
+    const { email, sid } = rotated;
+    const client = getTableClient(TABLE_NAME_USERS);
+    let user;
+    try {
+      user = await client.getEntity(email, 'profile');
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+      await revokeSession(email, sid);
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    return res.json({
+      ok: true,
+      token: signAccessToken({ email, isAdmin: !!user.isAdmin, sid }),
+      refreshToken: rotated.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      email,
+      isAdmin: !!user.isAdmin
+    });
+  } catch (err) {
+    console.error('Refresh error:', err);
+    return res.status(500).json({ error: 'Refresh failed' });
+  }
+});
+
+// 7. Logout (revokes the current session)
+router.post('/logout', authenticateToken, audit('auth.logout'), async (req, res) => {
+  try {
+    await revokeSession(req.user.email, req.user.sid);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// 8. List sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.email);
+    return res.json(sessions.map(s => ({ ...s, current: s.id === req.user.sid })));
+  } catch (err) {
+    console.error('List sessions error:', err);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// 9. Revoke all other sessions
+router.delete('/sessions', authenticateToken, audit('auth.sessions.revoke'), async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.email, { keepSid: req.user.sid });
+    return res.json({ ok: true, revoked });
+  } catch (err) {
+    console.error('Revoke sessions error:', err);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// 10. Revoke one session
+router.delete('/sessions/:sid', authenticateToken, audit('auth.session.revoke', req => ({ target: req.params.sid })), async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.email, req.params.sid);
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// 11. Preferences (email language)
+router.patch('/preferences', authenticateToken, async (req, res) => {
+  const { language } = req.body;
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    return res.status(400).json({ error: `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+  }
+
+  try {
+    const client = getTableClient(TABLE_NAME_USERS);
+    await client.updateEntity({ partitionKey: req.user.email, rowKey: 'profile', language }, "Merge");
+    return res.json({ ok: true, language });
+  } catch (err) {
+    if (err.statusCode === 404) return res.status(404).json({ error: 'User not found' });
+    console.error('Preferences error:', err);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+});
+
 module.exports = router;
 
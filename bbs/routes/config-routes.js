@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { getTableClient, TABLE_NAME_CONFIG } = require('../services/storage-service');
 const { authenticateToken } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 // GET /config/coordinates
 router.get('/coordinates', async (req, res) => {
@@ -19,7 +20,7 @@ router.get('/coordinates', async (req, res) => {
 });
 
 // POST /config/coordinates (Admin Only)
-router.post('/coordinates', authenticateToken, async (req, res) => {
+router.post('/coordinates', authenticateToken, audit('config.coordinates.update', () => ({ target: 'coordinates' })), async (req, res) => {
   if (!req.user.isAdmin) return res.sendStatus(403);
   
   const newConfig = req.body; 
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { renderEmail, sampleData, TEMPLATE_NAMES, SUPPORTED_LANGUAGES } = require('../services/email-templates');
+
+// Development helpers, mounted only outside production (see server.js)
+
+// GET /dev/emails
+router.get('/emails', (req, res) => {
+  const links = TEMPLATE_NAMES.flatMap(name => SUPPORTED_LANGUAGES.map(lang =>
+    `<li>${name} (${lang}): <a href="emails/${name}?lang=${lang}">HTML</a> · <a href="emails/${name}?lang=${lang}&format=text">text</a></li>`
+  ));
+  return res.type('html').send(`<!DOCTYPE html><html><body><h1>Email templates</h1><ul>${links.join('')}</ul></body></html>`);
+});
+
+// GET /dev/emails/:template?lang=fi|en&format=html|text
+router.get('/emails/:template', (req, res) => {
+  const { template } = req.params;
+  if (!TEMPLATE_NAMES.includes(template)) return res.status(404).json({ error: 'Unknown template' });
+
+  const email = renderEmail(template, sampleData[template], req.query.lang);
+  res.set('X-Email-Subject', encodeURIComponent(email.subject));
+  if (req.query.format === 'text') {
+    return res.type('text').send(`Subject: ${email.subject}\n\n${email.text}`);
+  }
+  return res.type('html').send(email.html);
+});
+
+module.exports = router;
@@ -1,16 +1,83 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const IoTHubService = require('../iot-service');
+const WebSocketTransport = require('../services/websocket-transport');
+const DeviceTransport = require('../services/device-transport');
 const { DefaultAzureCredential } = require('@azure/identity');
-const { getTableClient, TABLE_NAME_DEVICES, TABLE_NAME_PERMISSIONS } = require('../services/storage-service');
-const { authenticateToken } = require('../middleware/auth');
+const { getTableClient, odata, TABLE_NAME_DEVICES, TABLE_NAME_PERMISSIONS } = require('../services/storage-service');
+const { authenticateToken, authenticateScope } = require('../middleware/auth');
+const { checkRateLimit, rateLimit } = require('../middleware/rate-limit');
+const { audit } = require('../middleware/audit');
+const { dispatchWebhookEvent } = require('../services/webhook-service');
+const { notifyByEmail } = require('../services/email-service');
+const { parseAuditQuery, listAuditEvents } = require('../services/audit-service');
+const {
+  PAIRING_CODE_TTL_MS,
+  createPairingCode,
+  getPairingStatus,
+  getPendingPairing,
+  redeemPairingCode
+} = require('../services/pairing-service');
+const {
+  generateDeviceSecret,
+  hasCredential,
+  isCredentialRevoked,
+  authenticateDeviceRequest,
+  issueDeviceCredential,
+  rotateDeviceCredential,
+  revokeDeviceCredential,
+  toCredentialResponse
+} = require('../services/device-auth-service');
+const { authenticateDevice } = require('../middleware/device-auth');
+const { getPendingTransfer, requestTransfer, clearTransfer } = require('../services/device-transfer-service');
+const {
+  SHARE_ROLES,
+  DEFAULT_SHARE_ROLE,
+  permissionsForRole,
+  hasDevicePermission,
+  getDeviceRole
+} = require('../services/device-role-service');
+const {
+  validateDesiredChanges,
+  validateReported,
+  getDeviceState,
+  updateDesiredState,
+  recordReportedState,
+  deleteDeviceState
+} = require('../services/device-state-service');
+const {
+  isShareActive,
+  parseShareExpiry,
+  toShareResponse,
+  shareDevice,
+  listInvitations,
+  respondToInvitation
+} = require('../services/share-service');
+const {
+  DEVICE_REPORTED_STATUSES,
+  DEFAULT_COMMAND_LIMIT,
+  MAX_COMMAND_LIMIT,
+  createCommand,
+  getCommand,
+  listCommands,
+  updateCommandStatus
+} = require('../services/command-service');
 
 const IOT_HUB_NAME = process.env.IOT_HUB_NAME || 'espa-tv-iot-hub';
 const IOT_HUB_RESOURCE_GROUP = process.env.IOT_HUB_RESOURCE_GROUP || 'EspaTvResourceGroup';
 const IOT_HUB_SUBSCRIPTION_ID = process.env.IOT_HUB_SUBSCRIPTION_ID;
-const DEVICE_JWT_SECRET = process.env.DEVICE_JWT_SECRET || 'device-secret-change-in-prod-456';
+const VALID_COMMANDS = ['play', 'pause', 'fullscreen', 'change-track', 'status', 'restart'];
+const COMMAND_RATE_LIMIT = { max: 5, windowMs: 60000 }; // Per user per device
+
+// A Pi asks for a new code when the previous one expires; anything faster is abuse
+const pairingCodeLimits = [
+  rateLimit({ name: 'pairing-code:ip', max: 30, windowMs: 60 * 60 * 1000, key: req => req.ip }),
+  rateLimit({ name: 'pairing-code:device', max: 5, windowMs: PAIRING_CODE_TTL_MS, key: req => req.body && req.body.deviceId ? String(req.body.deviceId) : null })
+];
+const pairLimits = [
+  rateLimit({ name: 'pair:user', max: 10, windowMs: 15 * 60 * 1000, key: req => req.user.email, message: 'Too many pairing attempts. Try again later.' })
+];
 
 // Initialize IoT Hub Service
 const iotHubService = new IoTHubService(
@@ -19,6 +86,9 @@ const iotHubService = new IoTHubService(
   IOT_HUB_NAME,
   new DefaultAzureCredential()
 );
+// Devices that open a socket to the BBS get their commands over it
+const webSocketTransport = new WebSocketTransport();
+const deviceTransport = new DeviceTransport(iotHubService, webSocketTransport);
 
 (async () => {
   try {
@@ -28,63 +98,12 @@ const iotHubService = new IoTHubService(
   }
 })();
 
-// Rate limiting storage
-const rateLimitStore = new Map();
+deviceTransport.onFeedback((deviceId, commandId, outcome, description) => {
+  updateCommandStatus(deviceId, commandId, outcome, { error: outcome === 'delivered' ? null : description })
+    .catch(err => console.error(`❌ Failed to record delivery feedback for command ${commandId}:`, err.message));
+});
 
 // --- Helper Functions ---
-function generateDeviceToken(deviceId, masterEmail) {
-  return jwt.sign(
-    {
-      deviceId: deviceId,
-      masterEmail: masterEmail,
-      type: 'device-auth',
-      issuedAt: new Date().toISOString()
-    },
-    DEVICE_JWT_SECRET,
-    { expiresIn: '365d' }
-  );
-}
-
-function verifyDeviceToken(token) {
-  try {
-    const decoded = jwt.verify(token, DEVICE_JWT_SECRET);
-    if (decoded.type !== 'device-auth') {
-      throw new Error('Invalid token type');
-    }
-    return decoded;
-  } catch (error) {
-    throw new Error('Invalid device token');
-  }
-}
-
-function checkRateLimit(identifier, maxRequests = 10, windowMs = 60000) {
-  const now = Date.now();
-  const key = `${identifier}`;
-
-  if (!rateLimitStore.has(key)) {
-    rateLimitStore.set(key, { count: 1, resetTime: now + windowMs });
-    return { allowed: true, remaining: maxRequests - 1 };
-  }
-
-  const limit = rateLimitStore.get(key);
-
-  if (now > limit.resetTime) {
-    rateLimitStore.set(key, { count: 1, resetTime: now + windowMs });
-    return { allowed: true, remaining: maxRequests - 1 };
-  }
-
-  if (limit.count >= maxRequests) {
-    return {
-      allowed: false,
-      remaining: 0,
-      resetIn: Math.ceil((limit.resetTime - now) / 1000)
-    };
-  }
-
-  limit.count++;
-  return { allowed: true, remaining: maxRequests - limit.count };
-}
-
 function generateDeviceSasToken(resourceUri, signingKey, expiresInMinutes = 60) {
   const encodedUri = encodeURIComponent(resourceUri);
   const expiry = Math.floor(Date.now() / 1000) + (expiresInMinutes * 60);
@@ -101,51 +120,51 @@ function generateIoTHubSasToken(deviceId, primaryKey, hubName, expiresInMinutes
   return generateDeviceSasToken(resourceUri, primaryKey, expiresInMinutes);
 }
 
+/**
+ * The user's role on a device (see device-role-service), or null. A legacy
+ * device keyed by the user's own email is provisioned on first use.
+ */
 async function checkAndAutoProvision(email, deviceId) {
   const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
   const deviceClient = getTableClient(TABLE_NAME_DEVICES);
 
+  const role = await getDeviceRole(email, deviceId);
+  if (role) return role;
+  if (deviceId !== email) return null;
+
   try {
-    await permClient.getEntity(email, deviceId);
-    return true; 
-  } catch (err) {
-    if (err.statusCode !== 404) throw err;
-    if (deviceId === email) {
-      try {
-        await deviceClient.getEntity(deviceId, 'metadata');
-      } catch (devErr) {
-        if (devErr.statusCode === 404) {
-          await deviceClient.createEntity({
-            partitionKey: deviceId,
-            rowKey: 'metadata',
-            friendlyName: `Legacy Device (${email})`,
-            masterEmail: email,
-            createdAt: new Date().toISOString()
-          });
-        }
-      }
-      await permClient.upsertEntity({
-        partitionKey: email,
-        rowKey: deviceId,
-        role: 'master',
-        addedBy: 'system-legacy'
+    await deviceClient.getEntity(deviceId, 'metadata');
+  } catch (devErr) {
+    if (devErr.statusCode === 404) {
+      await deviceClient.createEntity({
+        partitionKey: deviceId,
+        rowKey: 'metadata',
+        friendlyName: `Legacy Device (${email})`,
+        masterEmail: email,
+        createdAt: new Date().toISOString()
       });
-      return true;
     }
-    return false;
   }
+  await permClient.upsertEntity({
+    partitionKey: email,
+    rowKey: deviceId,
+    role: 'master',
+    addedBy: 'system-legacy'
+  }, "Replace"); // Drops a pending or expired share for the same device
+  return 'master';
 }
 
 // 1. List my devices
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateScope('devices:read'), async (req, res) => {
   try {
     const email = req.user.email;
     const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
     const deviceClient = getTableClient(TABLE_NAME_DEVICES);
 
-    const filter = `PartitionKey eq '${email.replace(/'/g, "''")}'`;
+    const filter = odata`PartitionKey eq ${email}`;
     const permissions = [];
     for await (const perm of permClient.listEntities({ queryOptions: { filter } })) {
+      if (!isShareActive(perm)) continue; // Invitations are listed by GET /devices/invitations
       permissions.push({
         deviceId: perm.rowKey,
         role: perm.role
@@ -156,16 +175,20 @@ router.get('/', authenticateToken, async (req, res) => {
     for (const perm of permissions) {
       try {
         const device = await deviceClient.getEntity(perm.deviceId, 'metadata');
+        const transfer = perm.role === 'master' ? await getPendingTransfer(perm.deviceId) : null;
         devices.push({
           id: perm.deviceId,
           role: perm.role,
+          permissions: permissionsForRole(perm.role),
           friendlyName: device.friendlyName || perm.deviceId,
-          masterEmail: device.masterEmail
+          masterEmail: device.masterEmail,
+          ...(perm.role === 'master' && { pendingTransfer: transfer && transfer.currentMaster === device.masterEmail ? transfer : null })
         });
       } catch (err) {
         devices.push({
           id: perm.deviceId,
           role: perm.role,
+          permissions: permissionsForRole(perm.role),
           friendlyName: perm.deviceId,
           masterEmail: perm.role === 'master' ? email : 'unknown'
         });
@@ -178,49 +201,145 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// 2. Claim a device
-router.post('/claim', authenticateToken, async (req, res) => {
+/**
+ * Makes `email` the master of a device. Returns false when another user
+ * already is.
+ */
+async function claimDevice(email, deviceId, friendlyName, addedBy) {
+  const deviceClient = getTableClient(TABLE_NAME_DEVICES);
+  const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
+
+  let existingDevice;
+  try {
+    existingDevice = await deviceClient.getEntity(deviceId, 'metadata');
+  } catch (err) {
+    if (err.statusCode !== 404) throw err;
+  }
+
+  if (existingDevice && existingDevice.masterEmail && existingDevice.masterEmail !== email) {
+    return false;
+  }
+
+  await deviceClient.upsertEntity({
+    partitionKey: deviceId,
+    rowKey: 'metadata',
+    friendlyName: friendlyName || deviceId,
+    masterEmail: email,
+    createdAt: existingDevice ? existingDevice.createdAt : new Date().toISOString()
+  });
+
+  await permClient.upsertEntity({
+    partitionKey: email,
+    rowKey: deviceId,
+    role: 'master',
+    addedBy
+  }, "Replace"); // Drops a pending or expired share for the same device
+  return true;
+}
+
+// 2b. Request a pairing code (called by the Pi, shown on the TV)
+router.post('/pairing-codes', audit('device.pairing-code', req => ({ deviceId: req.body.deviceId })), pairingCodeLimits, async (req, res) => {
   try {
     const { deviceId, friendlyName } = req.body;
     if (!deviceId) return res.status(400).json({ error: 'deviceId required' });
 
-    const email = req.user.email;
-    const deviceClient = getTableClient(TABLE_NAME_DEVICES);
-    const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
+    const pairing = await createPairingCode(deviceId, friendlyName);
+    console.log(`🔢 Pairing code issued for ${deviceId} (expires ${pairing.expiresAt})`);
+    return res.status(201).json(pairing);
+  } catch (err) {
+    console.error('POST /devices/pairing-codes error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
 
-    let existingDevice;
-    try {
-      existingDevice = await deviceClient.getEntity(deviceId, 'metadata');
-    } catch (err) {
-      if (err.statusCode !== 404) throw err;
-    }
+// 2c. Pairing code status (polled by the Pi with its poll token)
+router.get('/pairing-codes/:code', async (req, res) => {
+  try {
+    const status = await getPairingStatus(req.params.code, req.get('X-Pairing-Token'));
+    if (!status) return res.status(404).json({ error: 'Pairing code not found' });
+    return res.json(status);
+  } catch (err) {
+    console.error('GET /devices/pairing-codes/:code error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
 
-    if (existingDevice && existingDevice.masterEmail && existingDevice.masterEmail !== email) {
+// 2d. Claim a device with the code shown on its screen
+router.post('/pair', authenticateToken, audit('device.pair'), pairLimits, async (req, res) => {
+  try {
+    const { code, friendlyName } = req.body;
+    if (!code) return res.status(400).json({ error: 'code required' });
+
+    const pending = await getPendingPairing(code);
+    if (!pending) return res.status(404).json({ error: 'Invalid or expired pairing code' });
+    res.locals.audit.deviceId = pending.deviceId;
+
+    const email = req.user.email;
+    const existing = await getTableClient(TABLE_NAME_DEVICES).getEntity(pending.deviceId, 'metadata').catch(err => {
+      if (err.statusCode === 404) return null;
+      throw err;
+    });
+    if (existing && existing.masterEmail && existing.masterEmail !== email) {
       return res.status(403).json({ error: 'Device already claimed by another user' });
     }
+    const name = (typeof friendlyName === 'string' && friendlyName.trim()) || pending.friendlyName || (existing && existing.friendlyName);
 
-    await deviceClient.upsertEntity({
-      partitionKey: deviceId,
-      rowKey: 'metadata',
-      friendlyName: friendlyName || deviceId,
-      masterEmail: email,
-      createdAt: existingDevice ? existingDevice.createdAt : new Date().toISOString()
-    });
+    // Pairing proves the device is in front of the user: it gets a fresh credential
+    const deviceSecret = generateDeviceSecret();
+    const pairing = await redeemPairingCode(code, email, name, deviceSecret);
+    if (!pairing) return res.status(404).json({ error: 'Invalid or expired pairing code' });
 
-    await permClient.upsertEntity({
-      partitionKey: email,
-      rowKey: deviceId,
-      role: 'master',
-      addedBy: 'user-claim'
-    });
+    await claimDevice(email, pairing.deviceId, pairing.friendlyName, 'pairing-code');
+    await issueDeviceCredential(pairing.deviceId, deviceSecret);
+    console.log(`🤝 Device ${pairing.deviceId} paired by ${email}`);
+    return res.json({ ok: true, deviceId: pairing.deviceId, friendlyName: pairing.friendlyName || pairing.deviceId });
+  } catch (err) {
+    console.error('POST /devices/pair error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
 
-    return res.json({ ok: true, deviceId });
+// 2e. Open share invitations of the caller
+router.get('/invitations', authenticateToken, async (req, res) => {
+  try {
+    const invitations = await listInvitations(req.user.email);
+    const deviceClient = getTableClient(TABLE_NAME_DEVICES);
+    for (const invitation of invitations) {
+      try {
+        const device = await deviceClient.getEntity(invitation.deviceId, 'metadata');
+        invitation.friendlyName = device.friendlyName || invitation.deviceId;
+      } catch (err) {
+        if (err.statusCode !== 404) throw err;
+        invitation.friendlyName = invitation.deviceId;
+      }
+    }
+    return res.json(invitations);
   } catch (err) {
-    console.error('POST /devices/claim error:', err);
+    console.error('GET /devices/invitations error:', err);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
+// 2f. Accept or decline an invitation
+function answerInvitation(accept) {
+  return async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const share = await respondToInvitation(req.user.email, deviceId, accept);
+      if (!share) return res.status(404).json({ error: 'Invitation not found or expired' });
+
+      console.log(`📨 ${req.user.email} ${accept ? 'accepted' : 'declined'} the invitation to ${deviceId}`);
+      return res.json(accept ? { ok: true, role: share.role, expiresAt: share.expiresAt || null } : { ok: true });
+    } catch (err) {
+      console.error(`POST /devices/invitations/:deviceId/${accept ? 'accept' : 'decline'} error:`, err);
+      return res.status(500).json({ error: 'Internal Server Error' });
+    }
+  };
+}
+
+router.post('/invitations/:deviceId/accept', authenticateToken, audit('device.invitation.accept', req => ({ deviceId: req.params.deviceId })), answerInvitation(true));
+router.post('/invitations/:deviceId/decline', authenticateToken, audit('device.invitation.decline', req => ({ deviceId: req.params.deviceId })), answerInvitation(false));
+
 // 3. List shares
 router.get('/:deviceId/shares', authenticateToken, async (req, res) => {
   try {
@@ -235,13 +354,9 @@ router.get('/:deviceId/shares', authenticateToken, async (req, res) => {
     }
     
     const results = [];
-    const iter = permClient.listEntities({ queryOptions: { filter: `RowKey eq '${deviceId.replace(/'/g, "''")}'` } });
+    const iter = permClient.listEntities({ queryOptions: { filter: odata`RowKey eq ${deviceId}` } });
     for await (const perm of iter) {
-      results.push({
-        email: perm.partitionKey,
-        role: perm.role,
-        addedBy: perm.addedBy
-      });
+      results.push(toShareResponse(perm));
     }
     return res.json(results);
   } catch (err) {
@@ -250,43 +365,133 @@ router.get('/:deviceId/shares', authenticateToken, async (req, res) => {
   }
 });
 
+// 3b. Audit trail of a device (master only)
+router.get('/:deviceId/audit', authenticateToken, async (req, res) => {
+  const query = parseAuditQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  try {
+    const { deviceId } = req.params;
+    const device = await getTableClient(TABLE_NAME_DEVICES).getEntity(deviceId, 'metadata');
+    if (device.masterEmail !== req.user.email) {
+      return res.status(403).json({ error: 'Only the device master can view the audit trail' });
+    }
+
+    return res.json(await listAuditEvents({ ...query, deviceId }));
+  } catch (err) {
+    if (err.statusCode === 404) return res.status(404).json({ error: 'Device not found' });
+    console.error('GET /devices/:deviceId/audit error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
 // 4. Share device
-router.post('/:deviceId/share', authenticateToken, async (req, res) => {
+router.post('/:deviceId/share', authenticateToken, audit('device.share', req => ({ deviceId: req.params.deviceId, target: req.body.email, details: { role: req.body.role || DEFAULT_SHARE_ROLE, expiresAt: req.body.expiresAt } })), async (req, res) => {
   try {
     const { deviceId } = req.params;
-    const { email: targetEmail } = req.body;
+    const { email: rawEmail, role = DEFAULT_SHARE_ROLE } = req.body;
     const email = req.user.email;
 
-    if (!targetEmail || !targetEmail.includes('@')) {
+    if (!rawEmail || !rawEmail.includes('@')) {
       return res.status(400).json({ error: 'Valid email required' });
     }
+    if (!SHARE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${SHARE_ROLES.join(', ')}` });
+    }
+    const expiresAt = parseShareExpiry(req.body.expiresAt);
+    if (expiresAt === undefined) {
+      return res.status(400).json({ error: 'expiresAt must be a future ISO date' });
+    }
 
-    const deviceClient = getTableClient(TABLE_NAME_DEVICES);
-    const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
-
-    const device = await deviceClient.getEntity(deviceId, 'metadata');
+    const targetEmail = rawEmail.toLowerCase().trim();
+    const device = await getTableClient(TABLE_NAME_DEVICES).getEntity(deviceId, 'metadata');
     if (device.masterEmail !== email) {
       return res.status(403).json({ error: 'Only the device master can share' });
     }
+    if (targetEmail === device.masterEmail) {
+      return res.status(400).json({ error: 'Cannot change the role of the master user' });
+    }
 
-    await permClient.upsertEntity({
-      partitionKey: targetEmail.toLowerCase().trim(),
-      rowKey: deviceId,
-      role: 'contributor',
-      addedBy: email
-    });
+    const { status } = await shareDevice(deviceId, targetEmail, { role, expiresAt, invitedBy: email });
 
-    return res.json({ ok: true });
+    dispatchWebhookEvent('device.shared', {
+      deviceId,
+      email: targetEmail,
+      role,
+      status,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      sharedBy: email
+    });
+    if (status === 'pending') {
+      notifyByEmail(targetEmail, 'shareInvitation', {
+        deviceName: device.friendlyName || deviceId,
+        sharedBy: email,
+        role,
+        expiresAt: expiresAt ? expiresAt.toISOString() : null
+      });
+    }
+    return res.json({ ok: true, status });
   } catch (err) {
     console.error('POST /share error:', err);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
+// 4b. Change the role or expiry of an existing share or invitation
+router.patch('/:deviceId/share/:targetEmail', authenticateToken, audit('device.share.role', req => ({ deviceId: req.params.deviceId, target: req.params.targetEmail.toLowerCase().trim(), details: { role: req.body.role, expiresAt: req.body.expiresAt } })), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const targetEmail = req.params.targetEmail.toLowerCase().trim();
+    const { role } = req.body;
+
+    if (role === undefined && req.body.expiresAt === undefined) {
+      return res.status(400).json({ error: 'role or expiresAt required' });
+    }
+    if (role !== undefined && !SHARE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${SHARE_ROLES.join(', ')}` });
+    }
+    const expiresAt = parseShareExpiry(req.body.expiresAt);
+    if (expiresAt === undefined) {
+      return res.status(400).json({ error: 'expiresAt must be a future ISO date' });
+    }
+
+    const device = await getTableClient(TABLE_NAME_DEVICES).getEntity(deviceId, 'metadata');
+    if (device.masterEmail !== req.user.email) {
+      return res.status(403).json({ error: 'Only the device master can manage shares' });
+    }
+    if (targetEmail === device.masterEmail) {
+      return res.status(400).json({ error: 'Cannot change the role of the master user' });
+    }
+
+    const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
+    let perm;
+    try {
+      perm = await permClient.getEntity(targetEmail, deviceId);
+    } catch (err) {
+      if (err.statusCode === 404) return res.status(404).json({ error: 'Share not found' });
+      throw err;
+    }
+
+    const update = { partitionKey: targetEmail, rowKey: deviceId };
+    if (role !== undefined) update.role = role;
+    if (req.body.expiresAt !== undefined) update.expiresAt = expiresAt ? expiresAt.toISOString() : '';
+    await permClient.updateEntity(update, "Merge");
+
+    const share = toShareResponse({ ...perm, ...update });
+    console.log(`👥 Share of ${deviceId} for ${targetEmail} updated by ${req.user.email}: ${share.role}, ${share.status}${share.expiresAt ? ` until ${share.expiresAt}` : ''}`);
+    return res.json({ ok: true, ...share });
+  } catch (err) {
+    if (err.statusCode === 404) return res.status(404).json({ error: 'Device not found' });
+    console.error('PATCH /share error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
 // 5. Remove share
-router.delete('/:deviceId/share/:targetEmail', authenticateToken, async (req, res) => {
+router.delete('/:deviceId/share/:targetEmail', authenticateToken, audit('device.unshare', req => ({ deviceId: req.params.deviceId, target: req.params.targetEmail.toLowerCase().trim() })), async (req, res) => {
   try {
-    const { deviceId, targetEmail } = req.params;
+    const { deviceId } = req.params;
+    const targetEmail = req.params.targetEmail.toLowerCase().trim();
     const email = req.user.email;
     const deviceClient = getTableClient(TABLE_NAME_DEVICES);
     const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
@@ -300,41 +505,50 @@ router.delete('/:deviceId/share/:targetEmail', authenticateToken, async (req, re
       return res.status(400).json({ error: 'Cannot remove the master user' });
     }
 
-    await permClient.deleteEntity(targetEmail, deviceId);
+    try {
+      await permClient.deleteEntity(targetEmail, deviceId);
+    } catch (err) {
+      if (err.statusCode !== 404) throw err; // Not shared (any more): nothing to remove
+    }
     return res.json({ ok: true });
   } catch (err) {
+    if (err.statusCode === 404) return res.status(404).json({ error: 'Device not found' });
     console.error('DELETE /share error:', err);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
 // 6. Release/Delete Device
-router.delete('/:deviceId', authenticateToken, async (req, res) => {
+router.delete('/:deviceId', authenticateToken, audit('device.release', req => ({ deviceId: req.params.deviceId })), async (req, res) => {
   try {
     const { deviceId } = req.params;
     const email = req.user.email;
     const deviceClient = getTableClient(TABLE_NAME_DEVICES);
-    const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
 
     const device = await deviceClient.getEntity(deviceId, 'metadata');
     if (device.masterEmail !== email) {
       return res.status(403).json({ error: 'Only the device master can release the device' });
     }
 
-    const iter = permClient.listEntities({ queryOptions: { filter: `RowKey eq '${deviceId.replace(/'/g, "''")}'` } });
-    for await (const perm of iter) {
-      await permClient.deleteEntity(perm.partitionKey, perm.rowKey);
-    }
-    await deviceClient.deleteEntity(deviceId, 'metadata');
+    await removeDevicePermissions(deviceId);
+    // The row stays, masterless and with its credential revoked, so the
+    // device cannot come back on its old secret or take a new one from an
+    // announcement: it has to be paired again
+    await revokeDeviceCredential(deviceId);
+    await deviceClient.updateEntity({ partitionKey: deviceId, rowKey: 'metadata', masterEmail: '' }, "Merge");
+    webSocketTransport.disconnect(deviceId, 'Device released');
+    await clearTransfer(deviceId);
+    await deleteDeviceState(deviceId);
     return res.json({ ok: true });
   } catch (err) {
+    if (err.statusCode === 404) return res.status(404).json({ error: 'Device not found' });
     console.error('DELETE /devices error:', err);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
 // 7. Update Device Name
-router.patch('/:deviceId', authenticateToken, async (req, res) => {
+router.patch('/:deviceId', authenticateToken, audit('device.rename', req => ({ deviceId: req.params.deviceId, details: { friendlyName: req.body.friendlyName } })), async (req, res) => {
   try {
     const { deviceId } = req.params;
     const { friendlyName } = req.body;
@@ -362,7 +576,7 @@ router.patch('/:deviceId', authenticateToken, async (req, res) => {
 });
 
 // 8. IoT Hub Device Registration
-router.post('/:deviceId/register-iot', authenticateToken, async (req, res) => {
+router.post('/:deviceId/register-iot', authenticateToken, audit('device.register-iot', req => ({ deviceId: req.params.deviceId })), async (req, res) => {
   try {
     const { deviceId } = req.params;
     const email = req.user.email;
@@ -375,16 +589,13 @@ router.post('/:deviceId/register-iot', authenticateToken, async (req, res) => {
 
     console.log(`🔗 Registering device ${deviceId} with IoT Hub for user ${email}`);
     const registrationResult = await iotHubService.registerDevice(deviceId);
-    const deviceToken = generateDeviceToken(deviceId, email);
 
     await deviceClient.updateEntity({
       partitionKey: deviceId,
       rowKey: 'metadata',
       iotHubConnectionString: registrationResult.connectionString,
       iotHubStatus: registrationResult.status,
-      iotHubRegisteredAt: new Date().toISOString(),
-      deviceAuthToken: deviceToken,
-      deviceTokenIssuedAt: new Date().toISOString()
+      iotHubRegisteredAt: new Date().toISOString()
     }, "Merge");
 
     return res.json({
@@ -400,21 +611,77 @@ router.post('/:deviceId/register-iot', authenticateToken, async (req, res) => {
   }
 });
 
+// Where a Direct Method answer leaves the command. Fast-path methods answer
+// before running, so the device reports the outcome later.
+function statusFromMethodResult(methodStatus, methodPayload = {}) {
+  if (methodStatus >= 300) return 'failed';
+  return methodPayload.mode === 'fast-path' ? 'acknowledged' : 'succeeded';
+}
+
+/**
+ * Stores the command, sends it through the device's transport and raises
+ * the command.sent webhook. Permission, rate limit and command checks are the
+ * caller's business. Returns { commandId, status, messageId, methodStatus,
+ * methodPayload, mode }.
+ */
+async function sendDeviceCommand(deviceId, command, payload, sentBy) {
+  console.log(`📡 Request to send IoT command: ${command} to ${deviceId} by ${sentBy}`);
+  const queued = await createCommand(deviceId, { command, payload, sentBy });
+
+  let commandResult;
+  try {
+    commandResult = await deviceTransport.sendCommandToDevice(deviceId, command, payload, {
+      commandId: queued.id,
+      expiresAt: queued.expiresAt
+    });
+  } catch (err) {
+    await updateCommandStatus(deviceId, queued.id, 'failed', { error: err.message });
+    throw err;
+  }
+
+  const isDirectMethod = !!commandResult.methodStatus;
+  const mode = commandResult.mode || (isDirectMethod ? 'direct' : 'c2d');
+  const tracked = isDirectMethod
+    ? await updateCommandStatus(deviceId, queued.id, statusFromMethodResult(commandResult.methodStatus, commandResult.payload), {
+      mode,
+      result: commandResult.payload,
+      error: commandResult.payload && commandResult.payload.error
+    })
+    : await updateCommandStatus(deviceId, queued.id, 'queued', { mode });
+
+  console.log(`📤 IoT command processed: ${command} to ${deviceId}. Mode: ${mode}, status: ${tracked.status}`);
+  dispatchWebhookEvent('command.sent', {
+    deviceId,
+    command,
+    commandId: queued.id,
+    payload,
+    mode,
+    sentBy
+  });
+
+  return {
+    commandId: queued.id,
+    status: tracked.status,
+    messageId: commandResult.messageId || `direct-${Date.now()}`,
+    methodStatus: commandResult.methodStatus,
+    methodPayload: commandResult.payload,
+    mode
+  };
+}
+
 // 9. Send IoT Hub Command
-router.post('/:deviceId/commands/:command', authenticateToken, async (req, res) => {
+router.post('/:deviceId/commands/:command', authenticateScope('commands:send'), audit('device.command', req => ({ deviceId: req.params.deviceId, target: req.params.command })), async (req, res) => {
   try {
     const { deviceId, command } = req.params;
     const payload = req.body || {};
     const email = req.user.email;
 
-    const deviceClient = getTableClient(TABLE_NAME_DEVICES);
-    const device = await deviceClient.getEntity(deviceId, 'metadata');
-
-    if (device.masterEmail !== email) {
-      return res.status(403).json({ error: 'Only the device master can send commands' });
+    const role = await getDeviceRole(email, deviceId);
+    if (!hasDevicePermission(role, 'commands:send')) {
+      return res.status(403).json({ error: 'Your role does not allow sending commands to this device' });
     }
 
-    const rateLimit = checkRateLimit(`${email}:${deviceId}`, 5, 60000);
+    const rateLimit = await checkRateLimit(`${email}:${deviceId}`, COMMAND_RATE_LIMIT.max, COMMAND_RATE_LIMIT.windowMs);
     if (!rateLimit.allowed) {
       return res.status(429).json({
         error: 'Rate limit exceeded. Too many commands.',
@@ -422,28 +689,19 @@ router.post('/:deviceId/commands/:command', authenticateToken, async (req, res)
       });
     }
 
-    const validCommands = ['play', 'pause', 'fullscreen', 'change-track', 'status', 'restart'];
-    if (!validCommands.includes(command)) {
+    if (!VALID_COMMANDS.includes(command)) {
       console.warn(`⚠️ Invalid IoT command requested: ${command} for ${deviceId}`);
       return res.status(400).json({ error: 'Invalid command' });
     }
 
-    console.log(`📡 Request to send IoT command: ${command} to ${deviceId} by ${email}`);
-    const commandResult = await iotHubService.sendCommandToDevice(deviceId, command, payload);
-    
-    const isDirectMethod = !!commandResult.methodStatus;
-    console.log(`📤 IoT command processed: ${command} to ${deviceId}. Mode: ${isDirectMethod ? 'DirectMethod' : 'C2D'}`);
-
+    const result = await sendDeviceCommand(deviceId, command, payload, email);
     return res.json({
       ok: true,
       deviceId: deviceId,
       command: command,
       payload: payload,
-      messageId: commandResult.messageId || `direct-${Date.now()}`,
-      methodStatus: commandResult.methodStatus,
-      methodPayload: commandResult.payload,
-      sent: true,
-      mode: isDirectMethod ? 'direct' : 'c2d'
+      ...result,
+      sent: true
     });
   } catch (err) {
     console.error(`❌ POST /devices/${req.params.deviceId}/commands/${req.params.command} error:`, err);
@@ -455,24 +713,84 @@ router.post('/:deviceId/commands/:command', authenticateToken, async (req, res)
   }
 });
 
-// 11. Get IoT Hub Device Status
-router.get('/:deviceId/iot-status', authenticateToken, async (req, res) => {
+// 10. Command history (newest first)
+router.get('/:deviceId/commands', authenticateScope('devices:read'), async (req, res) => {
+  const limit = req.query.limit === undefined ? DEFAULT_COMMAND_LIMIT : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_COMMAND_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_COMMAND_LIMIT}` });
+  }
+
   try {
     const { deviceId } = req.params;
-    const email = req.user.email;
-    const deviceClient = getTableClient(TABLE_NAME_DEVICES);
-    const device = await deviceClient.getEntity(deviceId, 'metadata');
+    const role = await getDeviceRole(req.user.email, deviceId);
+    if (!hasDevicePermission(role, 'commands:send')) {
+      return res.status(403).json({ error: 'Only users who can control the device can view its commands' });
+    }
 
-    if (device.masterEmail !== email) {
-      return res.status(403).json({ error: 'Only the device master can check IoT Hub status' });
+    return res.json({ deviceId, commands: await listCommands(deviceId, { limit }) });
+  } catch (err) {
+    console.error('GET /devices/:deviceId/commands error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// 10b. A single command
+router.get('/:deviceId/commands/:commandId', authenticateScope('devices:read'), async (req, res) => {
+  try {
+    const { deviceId, commandId } = req.params;
+    const role = await getDeviceRole(req.user.email, deviceId);
+    if (!hasDevicePermission(role, 'commands:send')) {
+      return res.status(403).json({ error: 'Only users who can control the device can view its commands' });
     }
 
-    const iotDeviceInfo = await iotHubService.getDevice(deviceId);
+    const command = await getCommand(deviceId, commandId);
+    if (!command) return res.status(404).json({ error: 'Command not found' });
+    return res.json(command);
+  } catch (err) {
+    console.error('GET /devices/:deviceId/commands/:commandId error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// 10c. The device reports what became of a command (signed with the device credential)
+router.post('/:deviceId/commands/:commandId/status', authenticateDevice(req => req.params.deviceId), async (req, res) => {
+  const { status, result, error } = req.body || {};
+  if (!DEVICE_REPORTED_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${DEVICE_REPORTED_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const { deviceId, commandId } = req.params;
+    const command = await updateCommandStatus(deviceId, commandId, status, { result, error });
+    if (!command) return res.status(404).json({ error: 'Command not found' });
+    if (command.status !== status) {
+      return res.status(409).json({ error: `Command is already ${command.status}`, command });
+    }
+
+    console.log(`📥 Command ${command.command} (${commandId}) on ${deviceId}: ${status}`);
+    return res.json(command);
+  } catch (err) {
+    console.error('POST /devices/:deviceId/commands/:commandId/status error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// 11. Get IoT Hub Device Status
+router.get('/:deviceId/iot-status', authenticateScope('devices:read'), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const role = await getDeviceRole(req.user.email, deviceId);
+    if (!hasDevicePermission(role, 'commands:send')) {
+      return res.status(403).json({ error: 'Only users who can control the device can check IoT Hub status' });
+    }
+
+    const iotDeviceInfo = await deviceTransport.getDevice(deviceId);
     return res.json({
       deviceId: deviceId,
       iotHubStatus: iotDeviceInfo.status,
       connectionState: iotDeviceInfo.connectionState,
       lastActivityTime: iotDeviceInfo.lastActivityTime,
+      transport: iotDeviceInfo.transport,
       mock: iotDeviceInfo.mock || false
     });
   } catch (err) {
@@ -484,60 +802,66 @@ router.get('/:deviceId/iot-status', authenticateToken, async (req, res) => {
   }
 });
 
-// 10. Get Device Authentication Token
-router.get('/:deviceId/auth-token', async (req, res) => {
+// 11b. Desired and reported state, with the gap between them
+router.get('/:deviceId/state', authenticateScope('devices:read'), async (req, res) => {
   try {
     const { deviceId } = req.params;
-    const deviceClient = getTableClient(TABLE_NAME_DEVICES);
-    const device = await deviceClient.getEntity(deviceId, 'metadata');
-
-    if (device.deviceAuthToken) {
-      return res.json({
-        deviceToken: device.deviceAuthToken,
-        issuedAt: device.deviceTokenIssuedAt,
-        masterEmail: device.masterEmail
-      });
-    } else {
-      console.log(`🔄 Generating device token on-demand for ${deviceId}`);
-      const deviceToken = generateDeviceToken(deviceId, device.masterEmail);
-      await deviceClient.updateEntity({
-        partitionKey: deviceId,
-        rowKey: 'metadata',
-        deviceAuthToken: deviceToken,
-        deviceTokenIssuedAt: new Date().toISOString()
-      }, "Merge");
-      return res.json({
-        deviceToken: deviceToken,
-        issuedAt: new Date().toISOString(),
-        masterEmail: device.masterEmail
-      });
+    const role = await getDeviceRole(req.user.email, deviceId);
+    if (!hasDevicePermission(role, 'commands:send')) {
+      return res.status(403).json({ error: 'Only users who can control the device can view its state' });
     }
+
+    return res.json(await getDeviceState(deviceId));
   } catch (err) {
-    if (err.statusCode === 404) return res.status(404).json({ error: 'Device not found' });
-    console.error('GET /devices/:deviceId/auth-token error:', err);
-    return res.status(500).json({ error: 'Failed to retrieve device auth token' });
+    console.error('GET /devices/:deviceId/state error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-// 12. Get IoT Hub Connection String
-router.get('/:deviceId/iot-connection', async (req, res) => {
+// 11c. Change the desired state; a connected device hears of it right away
+router.patch('/:deviceId/state', authenticateScope('commands:send'), audit('device.state.update', req => ({ deviceId: req.params.deviceId, details: req.body })), async (req, res) => {
+  const { changes, error } = validateDesiredChanges(req.body);
+  if (error) return res.status(400).json({ error });
+
   try {
     const { deviceId } = req.params;
-    const { token } = req.query;
+    const role = await getDeviceRole(req.user.email, deviceId);
+    if (!hasDevicePermission(role, 'commands:send')) {
+      return res.status(403).json({ error: 'Your role does not allow changing the state of this device' });
+    }
 
-    if (!token) return res.status(400).json({ error: 'Device authentication token required' });
+    const state = await updateDesiredState(deviceId, changes, req.user.email);
+    console.log(`🎛️ Desired state of ${deviceId} set to version ${state.version} by ${req.user.email}`);
+    const notified = await deviceTransport.notifyDesiredState(deviceId, state).catch(err => {
+      console.warn(`⚠️ Could not push desired state to ${deviceId}:`, err.message);
+      return false;
+    });
+    return res.json({ ...state, notified });
+  } catch (err) {
+    console.error('PATCH /devices/:deviceId/state error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
 
-    let tokenPayload;
-    try {
-      tokenPayload = verifyDeviceToken(token);
-    } catch (error) {
-      return res.status(403).json({ error: 'Invalid device authentication token' });
-    }
+// 11d. The device reports its state (signed) and gets the desired state back
+router.put('/:deviceId/state/reported', authenticateDevice(req => req.params.deviceId), async (req, res) => {
+  const { reported, error } = validateReported(req.body);
+  if (error) return res.status(400).json({ error });
 
-    if (tokenPayload.deviceId !== deviceId) return res.status(403).json({ error: 'Token not valid for this device' });
+  try {
+    const { desired, version } = await recordReportedState(req.params.deviceId, reported);
+    return res.json({ desired, version });
+  } catch (err) {
+    console.error('PUT /devices/:deviceId/state/reported error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
 
-    const deviceClient = getTableClient(TABLE_NAME_DEVICES);
-    const device = await deviceClient.getEntity(deviceId, 'metadata');
+// 12. Get IoT Hub Connection String
+router.get('/:deviceId/iot-connection', authenticateDevice(req => req.params.deviceId), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const device = req.device;
 
     if (!device.iotHubConnectionString) return res.status(404).json({ error: 'Device not registered with IoT Hub' });
 
@@ -563,8 +887,48 @@ router.get('/:deviceId/iot-connection', async (req, res) => {
   }
 });
 
-// 13. Device Announcement
-router.post('/announce', async (req, res) => {
+/**
+ * Removes every permission (master, shares and open invitations) on a device.
+ */
+async function removeDevicePermissions(deviceId) {
+  const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
+  const iter = permClient.listEntities({ queryOptions: { filter: odata`RowKey eq ${deviceId}` } });
+  for await (const perm of iter) {
+    try {
+      await permClient.deleteEntity(perm.partitionKey, perm.rowKey);
+    } catch (err) {
+      if (err.statusCode !== 404) throw err; // Removed meanwhile, e.g. a declined invitation
+    }
+  }
+}
+
+/**
+ * Moves a device to a new master: everyone's permissions are dropped. The
+ * device keeps its credential.
+ */
+async function transferDevice(deviceId, newMaster, friendlyName, addedBy) {
+  const deviceClient = getTableClient(TABLE_NAME_DEVICES);
+  const permClient = getTableClient(TABLE_NAME_PERMISSIONS);
+
+  await removeDevicePermissions(deviceId);
+
+  await deviceClient.updateEntity({
+    partitionKey: deviceId,
+    rowKey: 'metadata',
+    friendlyName: friendlyName || deviceId,
+    masterEmail: newMaster
+  }, "Merge");
+
+  await permClient.upsertEntity({
+    partitionKey: newMaster,
+    rowKey: deviceId,
+    role: 'master',
+    addedBy
+  });
+}
+
+// 13. Device Announcement (signed with the device credential once it has one)
+router.post('/announce', audit('device.announce', req => ({ deviceId: req.body.deviceId })), async (req, res) => {
   try {
     const { deviceId, email, friendlyName } = req.body;
     if (!deviceId || !email || !friendlyName) return res.status(400).json({ error: 'Missing fields' });
@@ -579,51 +943,84 @@ router.post('/announce', async (req, res) => {
       if (err.statusCode !== 404) throw err;
     }
 
+    if (hasCredential(existingDevice)) {
+      const auth = await authenticateDeviceRequest(existingDevice, req.get('X-Device-Signature'), {
+        method: req.method,
+        path: req.originalUrl,
+        body: req.rawBody
+      });
+      if (!auth.ok) return res.status(401).json({ error: 'Invalid device signature' });
+      if (auth.newSecret) res.set('X-Device-Secret', auth.newSecret);
+    } else if (isCredentialRevoked(existingDevice)) {
+      return res.status(401).json({ error: 'Device credential revoked', revoked: true });
+    }
+    // Only a device nobody owns yet gets a credential with this announcement;
+    // anyone could send it unsigned, so an owned device must pair for one
+    const needsCredential = !existingDevice || !existingDevice.masterEmail;
+    const pairingRequired = !hasCredential(existingDevice) && !needsCredential;
+
     if (existingDevice && existingDevice.masterEmail && existingDevice.masterEmail !== email) {
-      console.log(`🔄 Device ${deviceId} changing hands from ${existingDevice.masterEmail} to ${email}`);
-      try {
-        const iter = permClient.listEntities({ 
-          queryOptions: { filter: `RowKey eq '${deviceId.replace(/'/g, "''")}'` } 
+      const { transfer, created } = await requestTransfer(deviceId, {
+        requestedEmail: email,
+        currentMaster: existingDevice.masterEmail,
+        friendlyName
+      });
+      await deviceClient.updateEntity({
+        partitionKey: deviceId,
+        rowKey: 'metadata',
+        lastAnnouncedAt: new Date().toISOString()
+      }, "Merge");
+
+      res.locals.audit.details = { status: 'transfer-pending', requestedEmail: email, currentMaster: existingDevice.masterEmail };
+      if (created) {
+        console.log(`⏳ Device ${deviceId} asks to move from ${existingDevice.masterEmail} to ${email}; waiting for approval`);
+        notifyByEmail(existingDevice.masterEmail, 'transferRequested', {
+          deviceName: existingDevice.friendlyName || deviceId,
+          deviceId,
+          requestedBy: email
         });
-        for await (const perm of iter) {
-          await permClient.deleteEntity(perm.partitionKey, perm.rowKey);
-        }
-      } catch (e) {
-        console.warn(`⚠️ Failed to fully revoke old permissions for ${deviceId}:`, e.message);
       }
+      return res.json({ ok: true, status: 'transfer-pending', requestedAt: transfer.requestedAt, ...(pairingRequired && { pairingRequired }) });
     }
 
     let finalFriendlyName = friendlyName;
     const isDefaultName = friendlyName.startsWith('ESPA-Pi-') || friendlyName === deviceId;
-    const ownerChanged = existingDevice && existingDevice.masterEmail !== email;
 
-    if (existingDevice && !ownerChanged && isDefaultName && existingDevice.friendlyName && !existingDevice.friendlyName.startsWith('ESPA-Pi-')) {
+    if (existingDevice && existingDevice.masterEmail && isDefaultName && existingDevice.friendlyName && !existingDevice.friendlyName.startsWith('ESPA-Pi-')) {
       finalFriendlyName = existingDevice.friendlyName;
     }
 
-    const deviceToken = generateDeviceToken(deviceId, email);
-
     await deviceClient.upsertEntity({
       partitionKey: deviceId,
       rowKey: 'metadata',
       friendlyName: finalFriendlyName || deviceId,
       masterEmail: email,
       createdAt: existingDevice ? existingDevice.createdAt : new Date().toISOString(),
-      lastAnnouncedAt: new Date().toISOString(),
-      deviceAuthToken: deviceToken,
-      deviceTokenIssuedAt: new Date().toISOString()
+      lastAnnouncedAt: new Date().toISOString()
     });
+    const deviceSecret = needsCredential ? await issueDeviceCredential(deviceId) : null;
 
     await permClient.upsertEntity({
       partitionKey: email,
       rowKey: deviceId,
       role: 'master',
       addedBy: 'pi-announcement'
+    }, "Replace");
+
+    const status = existingDevice ? 'updated' : 'registered';
+    res.locals.audit.details = { status };
+    dispatchWebhookEvent('device.announced', {
+      deviceId,
+      friendlyName: finalFriendlyName || deviceId,
+      masterEmail: email,
+      status
     });
 
     return res.json({ 
       ok: true, 
-      status: existingDevice ? (existingDevice.masterEmail === email ? 'updated' : 'transferred') : 'registered' 
+      status,
+      ...(deviceSecret && { deviceSecret }),
+      ...(pairingRequired && { pairingRequired })
     });
   } catch (err) {
     console.error('POST /devices/announce error:', err);
@@ -631,8 +1028,156 @@ router.post('/announce', async (req, res) => {
   }
 });
 
+/**
+ * The device and its pending transfer, or { status, error } when `user` may
+ * not see it or there is none.
+ */
+async function findTransferForManager(deviceId, user) {
+  let device;
+  try {
+    device = await getTableClient(TABLE_NAME_DEVICES).getEntity(deviceId, 'metadata');
+  } catch (err) {
+    if (err.statusCode === 404) return { status: 404, error: 'Device not found' };
+    throw err;
+  }
+  if (device.masterEmail !== user.email && !user.isAdmin) {
+    return { status: 403, error: 'Only the device master or an admin can manage transfers' };
+  }
+  const transfer = await getPendingTransfer(deviceId);
+  if (!transfer) return { status: 404, error: 'No pending transfer' };
+  return { device, transfer };
+}
+
+// 14. Pending ownership transfer (master or admin)
+router.get('/:deviceId/transfer', authenticateToken, async (req, res) => {
+  try {
+    const found = await findTransferForManager(req.params.deviceId, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+    return res.json(found.transfer);
+  } catch (err) {
+    console.error('GET /devices/:deviceId/transfer error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// 15. Approve a transfer: the requester becomes master, everyone else loses access
+router.post('/:deviceId/transfer/approve', authenticateToken, audit('device.transfer.approve', req => ({ deviceId: req.params.deviceId })), async (req, res) => {
+  try {
+    const found = await findTransferForManager(req.params.deviceId, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+    const { device, transfer } = found;
+    const { deviceId } = req.params;
+    res.locals.audit.target = transfer.requestedEmail;
+
+    if (transfer.currentMaster !== device.masterEmail) {
+      // The master changed after the request; it no longer describes this device
+      await clearTransfer(deviceId);
+      return res.status(409).json({ error: 'Transfer request is out of date' });
+    }
+
+    await transferDevice(deviceId, transfer.requestedEmail, transfer.friendlyName, 'transfer-approved');
+    await clearTransfer(deviceId);
+    console.log(`🔄 Device ${deviceId} transferred from ${device.masterEmail} to ${transfer.requestedEmail} (approved by ${req.user.email})`);
+
+    dispatchWebhookEvent('device.announced', {
+      deviceId,
+      friendlyName: transfer.friendlyName,
+      masterEmail: transfer.requestedEmail,
+      status: 'transferred'
+    });
+    if (device.masterEmail && device.masterEmail !== req.user.email) {
+      notifyByEmail(device.masterEmail, 'deviceTransferred', {
+        deviceName: device.friendlyName || deviceId,
+        deviceId,
+        newOwner: transfer.requestedEmail
+      });
+    }
+    return res.json({ ok: true, masterEmail: transfer.requestedEmail });
+  } catch (err) {
+    console.error('POST /devices/:deviceId/transfer/approve error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// 16. Reject a transfer
+router.post('/:deviceId/transfer/reject', authenticateToken, audit('device.transfer.reject', req => ({ deviceId: req.params.deviceId })), async (req, res) => {
+  try {
+    const found = await findTransferForManager(req.params.deviceId, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+    res.locals.audit.target = found.transfer.requestedEmail;
+
+    await clearTransfer(req.params.deviceId);
+    console.log(`🚫 Transfer of ${req.params.deviceId} to ${found.transfer.requestedEmail} rejected by ${req.user.email}`);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('POST /devices/:deviceId/transfer/reject error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// 17. Device credential status (master only; the secret itself is never shown)
+router.get('/:deviceId/credential', authenticateToken, async (req, res) => {
+  try {
+    const device = await getTableClient(TABLE_NAME_DEVICES).getEntity(req.params.deviceId, 'metadata');
+    if (device.masterEmail !== req.user.email) {
+      return res.status(403).json({ error: 'Only the device master can manage its credential' });
+    }
+    return res.json(toCredentialResponse(device));
+  } catch (err) {
+    if (err.statusCode === 404) return res.status(404).json({ error: 'Device not found' });
+    console.error('GET /devices/:deviceId/credential error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// 18. Rotate the credential: the device switches over on its next request
+router.post('/:deviceId/credential/rotate', authenticateToken, audit('device.credential.rotate', req => ({ deviceId: req.params.deviceId })), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const device = await getTableClient(TABLE_NAME_DEVICES).getEntity(deviceId, 'metadata');
+    if (device.masterEmail !== req.user.email) {
+      return res.status(403).json({ error: 'Only the device master can manage its credential' });
+    }
+    if (!hasCredential(device)) {
+      return res.status(409).json({ error: 'Device has no active credential; pair it again' });
+    }
+
+    await rotateDeviceCredential(deviceId);
+    console.log(`🔐 Credential of ${deviceId} rotated by ${req.user.email}`);
+    return res.json({ ok: true, rotationPending: true });
+  } catch (err) {
+    if (err.statusCode === 404) return res.status(404).json({ error: 'Device not found' });
+    console.error('POST /devices/:deviceId/credential/rotate error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// 19. Revoke the credential: the device stops working until it is paired again
+router.post('/:deviceId/credential/revoke', authenticateToken, audit('device.credential.revoke', req => ({ deviceId: req.params.deviceId })), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const device = await getTableClient(TABLE_NAME_DEVICES).getEntity(deviceId, 'metadata');
+    if (device.masterEmail !== req.user.email) {
+      return res.status(403).json({ error: 'Only the device master can manage its credential' });
+    }
+
+    await revokeDeviceCredential(deviceId);
+    webSocketTransport.disconnect(deviceId, 'Device credential revoked');
+    console.log(`🔐 Credential of ${deviceId} revoked by ${req.user.email}`);
+    return res.json({ ok: true });
+  } catch (err) {
+    if (err.statusCode === 404) return res.status(404).json({ error: 'Device not found' });
+    console.error('POST /devices/:deviceId/credential/revoke error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
 module.exports = {
   router,
-  checkAndAutoProvision
+  attachDeviceSockets: server => webSocketTransport.attach(server),
+  VALID_COMMANDS,
+  COMMAND_RATE_LIMIT,
+  checkAndAutoProvision,
+  sendDeviceCommand
 };
 
@@ -1,67 +1,355 @@
 const express = require('express');
 const router = express.Router();
 const { getTableClient, TABLE_NAME_ENTRIES } = require('../services/storage-service');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  newEntryRowKey,
+  listEntriesPage,
+  listEntriesCreatedAfter,
+  resolveActiveEntry,
+  countEntries,
+  getEntry,
+  appendEditLog,
+  toEntryResponse
+} = require('../services/entry-service');
+const { normalizeStreamUrl, deriveTitle } = require('../services/veo-url');
+const { publishEntryEvent, subscribeToEntries } = require('../services/entry-events');
+const { dispatchWebhookEvent } = require('../services/webhook-service');
+const { authenticateScope } = require('../middleware/auth');
+const { authenticateDevice } = require('../middleware/device-auth');
+const { apiKeyAllowsDevice } = require('../services/api-key-service');
+const { audit } = require('../middleware/audit');
 const { checkAndAutoProvision } = require('./device-routes');
+const { getDeviceRole, hasDevicePermission } = require('../services/device-role-service');
 
-// GET /entries/:key
-router.get('/:key', async (req, res) => {
+const STREAM_HEARTBEAT_MS = 25000; // Below common proxy idle timeouts
+const STREAM_RETRY_MS = 5000;
+
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return null;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+function parseScheduleParam(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Entry reads take either a device signed with its credential, reading its
+ * own key or one its master can see, or a user (or `devices:read` API key)
+ * who can see the device. EventSource cannot set headers, so the web UI
+ * sends its token as ?access_token=.
+ */
+function authenticateEntryReader() {
+  const asDevice = authenticateDevice();
+  const asUser = authenticateScope('devices:read');
+
+  return (req, res, next) => {
+    const key = req.params.key;
+    const allowIf = (mayRead) => async () => {
+      try {
+        if (!await mayRead()) return res.status(403).json({ error: 'Not allowed to read entries of this device' });
+        next();
+      } catch (err) {
+        console.error('Entry read authorization error:', err);
+        return res.status(500).json({ error: 'Internal Server Error' });
+      }
+    };
+
+    if (req.get('X-Device-Signature')) {
+      return asDevice(req, res, allowIf(async () => req.device.partitionKey === key ||
+        hasDevicePermission(await getDeviceRole(req.device.masterEmail, key), 'devices:read')));
+    }
+    if (!req.get('Authorization') && typeof req.query.access_token === 'string') {
+      req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    return asUser(req, res, allowIf(async () =>
+      hasDevicePermission(await checkAndAutoProvision(req.user.email, key), 'devices:read')));
+  };
+}
+
+// Serialises one SSE event. Only creations carry an id, so Last-Event-ID
+// always points at the newest entry the client has seen.
+function writeStreamEvent(res, { type, entry }) {
+  if (type === 'created') res.write(`id: ${entry.rowKey}\n`);
+  res.write(`event: entry-${type}\n`);
+  res.write(`data: ${JSON.stringify(entry)}\n\n`);
+}
+
+// GET /entries/:key/stream (Server-Sent Events)
+router.get('/:key/stream', authenticateEntryReader(), async (req, res) => {
+  const key = req.params.key;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+
+  // Buffer live events until the replay has been written to keep ordering
+  let replaying = true;
+  const pending = [];
+  const unsubscribe = subscribeToEntries(key, (event) => {
+    if (replaying) pending.push(event);
+    else writeStreamEvent(res, event);
+  });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  const replayed = new Set();
+  try {
+    if (lastEventId) {
+      const missed = await listEntriesCreatedAfter(key, lastEventId);
+      const now = Date.now();
+      const active = missed.length ? await resolveActiveEntry(key, now) : null;
+      const activeRowKey = active ? active.rowKey : null;
+      for (const entity of missed) {
+        replayed.add(entity.rowKey);
+        writeStreamEvent(res, { type: 'created', entry: toEntryResponse(entity, { now, activeRowKey }) });
+      }
+    }
+  } catch (err) {
+    console.error('GET /entries/:key/stream replay error:', err);
+  }
+
+  replaying = false;
+  for (const event of pending) {
+    if (event.type !== 'created' || !replayed.has(event.entry.rowKey)) writeStreamEvent(res, event);
+  }
+});
+
+// GET /entries/:key?limit=&cursor=&since=&until=&view=history&count=true
+router.get('/:key', authenticateEntryReader(), async (req, res) => {
   try {
     const key = req.params.key;
     if (!key) return res.status(400).json({ error: 'key is required' });
 
-    const client = getTableClient(TABLE_NAME_ENTRIES);
-    const filter = `PartitionKey eq '${key.replace(/'/g, "''")}'`;
-    
-    const results = [];
-    for await (const entity of client.listEntities({ queryOptions: { filter } })) {
-      results.push({
-        value1: entity.value1,
-        value2: entity.value2,
-        timestamp: entity.timestamp
-      });
-      if (results.length >= 200) break; 
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
     }
 
-    results.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
-    return res.json(results.slice(0, 10));
+    const since = parseTimeParam(req.query.since);
+    const until = parseTimeParam(req.query.until);
+    if (since === undefined || until === undefined) {
+      return res.status(400).json({ error: 'since and until must be ISO dates or epoch milliseconds' });
+    }
+
+    // Counting reads the whole partition, so only clients that show it ask
+    const [page, total] = await Promise.all([
+      listEntriesPage(key, {
+        limit,
+        cursor: req.query.cursor,
+        since,
+        until,
+        activeFirst: req.query.view !== 'history'
+      }),
+      req.query.count === 'true' ? countEntries(key, { since, until }) : null
+    ]);
+
+    // Body stays a plain array so existing devices keep reading entries[0]
+    if (total !== null) res.set('X-Total-Count', String(total));
+    if (page.nextCursor) res.set('X-Next-Cursor', page.nextCursor);
+    if (page.activeRowKey) res.set('X-Active-Entry', page.activeRowKey);
+    res.set('Access-Control-Expose-Headers', 'X-Total-Count, X-Next-Cursor, X-Active-Entry');
+    return res.json(page.entries);
   } catch (err) {
     console.error('GET /entries/:key error:', err);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
+/**
+ * Validates the link and schedule of a new entry (POST /entry, POST
+ * /groups/:id/entry). Returns { error } or { link, title, start, end }.
+ */
+function parseEntryInput({ value1, value2, startsAt, endsAt }) {
+  const link = normalizeStreamUrl(value1);
+  if (!link.ok) return { error: link.error };
+
+  let start = parseScheduleParam(startsAt);
+  const end = parseScheduleParam(endsAt);
+  if (start === undefined || end === undefined) {
+    return { error: 'startsAt and endsAt must be ISO dates' };
+  }
+  if (end && !start) start = new Date();
+  if (start && end && end <= start) {
+    return { error: 'endsAt must be after startsAt' };
+  }
+
+  const title = ((typeof value2 === 'string') ? value2.trim() : '') || deriveTitle(link.url) || '';
+  return { link, title, start, end };
+}
+
+/**
+ * Stores a new entry for a device key and announces it to SSE clients and
+ * webhooks. Permissions are the caller's business. Returns the entity.
+ */
+async function createEntry(key, { link, title, start, end }, createdBy) {
+  const now = Date.now();
+  const entity = {
+    partitionKey: key,
+    rowKey: newEntryRowKey(now),
+    timestamp: new Date(now).toISOString(),
+    value1: link.url,
+    value2: title,
+    createdBy
+  };
+  if (start) entity.startsAt = start.toISOString();
+  if (end) entity.endsAt = end.toISOString();
+
+  await getTableClient(TABLE_NAME_ENTRIES).createEntity(entity);
+  const active = await resolveActiveEntry(key, now);
+  const created = toEntryResponse(entity, { now, activeRowKey: active ? active.rowKey : null });
+  publishEntryEvent(key, 'created', created);
+  dispatchWebhookEvent('entry.created', { key, entry: created, createdBy });
+  return entity;
+}
+
 // POST /entry
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateScope('entries:write'), audit('entry.create', req => ({ deviceId: req.body && req.body.key })), async (req, res) => {
   try {
-    const { key, value1, value2 } = req.body || {};
+    const { key, value1 } = req.body || {};
     if (!key || !value1) return res.status(400).json({ error: 'key and value1 required' });
 
-    const hasAccess = await checkAndAutoProvision(req.user.email, key);
-    if (!hasAccess) {
-      return res.status(403).json({ error: 'No permission for this device' });
+    const input = parseEntryInput(req.body);
+    if (input.error) return res.status(400).json({ error: input.error });
+
+    const role = apiKeyAllowsDevice(req.user, key) ? await checkAndAutoProvision(req.user.email, key) : null;
+    if (!hasDevicePermission(role, 'entries:write')) {
+      return res.status(403).json({ error: 'No permission to post to this device' });
     }
 
-    const title = (typeof value2 === 'string') ? value2.trim() : '';
-    const timestamp = new Date().toISOString(); 
-    const rowKey = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`; 
+    const entity = await createEntry(key, input, req.user.email);
+    res.locals.audit.target = entity.rowKey;
 
+    return res.status(201).json({
+      ok: true,
+      timestamp: entity.timestamp,
+      rowKey: entity.rowKey,
+      value1: entity.value1,
+      value2: entity.value2,
+      startsAt: entity.startsAt || null,
+      endsAt: entity.endsAt || null,
+      warnings: input.link.warnings
+    });
+  } catch (err) {
+    console.error('POST /entry error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// PATCH /entries/:key/:rowKey
+router.patch('/:key/:rowKey', authenticateScope('entries:write'), audit('entry.update', req => ({ deviceId: req.params.key, target: req.params.rowKey })), async (req, res) => {
+  try {
+    const { key, rowKey } = req.params;
+    const { value1, value2 } = req.body || {};
+
+    if (value1 === undefined && value2 === undefined) {
+      return res.status(400).json({ error: 'value1 or value2 required' });
+    }
+    if (value1 !== undefined && (typeof value1 !== 'string' || !value1.trim())) {
+      return res.status(400).json({ error: 'value1 must be a non-empty string' });
+    }
+    if (value2 !== undefined && typeof value2 !== 'string') {
+      return res.status(400).json({ error: 'value2 must be a string' });
+    }
+
+    const role = apiKeyAllowsDevice(req.user, key) ? await checkAndAutoProvision(req.user.email, key) : null;
+    if (!hasDevicePermission(role, 'entries:write')) {
+      return res.status(403).json({ error: 'No permission to post to this device' });
+    }
+
+    let link = null;
+    if (value1 !== undefined) {
+      link = normalizeStreamUrl(value1);
+      if (!link.ok) return res.status(400).json({ error: link.error });
+    }
+
+    const entry = await getEntry(key, rowKey);
+    if (!entry) return res.status(404).json({ error: 'Entry not found' });
+
+    const changes = {};
+    if (link && link.url !== entry.value1) {
+      changes.value1 = { from: entry.value1, to: link.url };
+    }
+    if (value2 !== undefined && value2.trim() !== (entry.value2 || '')) {
+      changes.value2 = { from: entry.value2 || '', to: value2.trim() };
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.json({ ok: true, entry: toEntryResponse(entry) });
+    }
+
+    const updatedAt = new Date().toISOString();
+    const update = {
+      partitionKey: key,
+      rowKey,
+      updatedAt,
+      updatedBy: req.user.email,
+      editLog: appendEditLog(entry, { action: 'update', by: req.user.email, at: updatedAt, changes })
+    };
+    if (changes.value1) update.value1 = changes.value1.to;
+    if (changes.value2) update.value2 = changes.value2.to;
+
+    const client = getTableClient(TABLE_NAME_ENTRIES);
+    await client.updateEntity(update, "Merge");
+    publishEntryEvent(key, 'updated', toEntryResponse({ ...entry, ...update }));
+
+    console.log(`✏️ Entry ${key}/${rowKey} updated by ${req.user.email}: ${Object.keys(changes).join(', ')}`);
+    return res.json({ ok: true, entry: toEntryResponse({ ...entry, ...update }), warnings: link ? link.warnings : [] });
+  } catch (err) {
+    console.error('PATCH /entries/:key/:rowKey error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// DELETE /entries/:key/:rowKey
+router.delete('/:key/:rowKey', authenticateScope('entries:write'), audit('entry.delete', req => ({ deviceId: req.params.key, target: req.params.rowKey })), async (req, res) => {
+  try {
+    const { key, rowKey } = req.params;
+
+    const role = apiKeyAllowsDevice(req.user, key) ? await checkAndAutoProvision(req.user.email, key) : null;
+    if (!hasDevicePermission(role, 'entries:write')) {
+      return res.status(403).json({ error: 'No permission to post to this device' });
+    }
+
+    const entry = await getEntry(key, rowKey);
+    if (!entry) return res.status(404).json({ error: 'Entry not found' });
+
+    const deletedAt = new Date().toISOString();
     const client = getTableClient(TABLE_NAME_ENTRIES);
-    await client.createEntity({
+    await client.updateEntity({
       partitionKey: key,
       rowKey,
-      timestamp,
-      value1,
-      value2: title,
-      createdBy: req.user.email
-    });
+      deletedAt,
+      deletedBy: req.user.email,
+      editLog: appendEditLog(entry, { action: 'delete', by: req.user.email, at: deletedAt })
+    }, "Merge");
+    publishEntryEvent(key, 'deleted', { rowKey });
 
-    return res.status(201).json({ ok: true, timestamp });
+    console.log(`🗑️ Entry ${key}/${rowKey} deleted by ${req.user.email}`);
+    return res.json({ ok: true });
   } catch (err) {
-    console.error('POST /entry error:', err);
+    console.error('DELETE /entries/:key/:rowKey error:', err);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-module.exports = router;
+module.exports = {
+  router,
+  parseEntryInput,
+  createEntry
+};
 
@@ -0,0 +1,228 @@
+const express = require('express');
+const router = express.Router();
+const { getTableClient, TABLE_NAME_DEVICES } = require('../services/storage-service');
+const { authenticateToken, authenticateScope } = require('../middleware/auth');
+const { audit, auditEach } = require('../middleware/audit');
+const { checkRateLimit } = require('../middleware/rate-limit');
+const { apiKeyAllowsDevice } = require('../services/api-key-service');
+const { permissionsForRole, hasDevicePermission, getDeviceRole } = require('../services/device-role-service');
+const {
+  validateGroup,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup
+} = require('../services/group-service');
+const { VALID_COMMANDS, COMMAND_RATE_LIMIT, checkAndAutoProvision, sendDeviceCommand } = require('./device-routes');
+const { parseEntryInput, createEntry } = require('./entry-routes');
+
+async function getFriendlyName(deviceId) {
+  try {
+    const device = await getTableClient(TABLE_NAME_DEVICES).getEntity(deviceId, 'metadata');
+    return device.friendlyName || deviceId;
+  } catch (err) {
+    if (err.statusCode === 404) return deviceId;
+    throw err;
+  }
+}
+
+// Members the user can no longer access stay in the group with role null
+async function withMembers(email, group) {
+  const members = await Promise.all(group.deviceIds.map(async deviceId => {
+    const role = await getDeviceRole(email, deviceId);
+    return {
+      deviceId,
+      friendlyName: role ? await getFriendlyName(deviceId) : deviceId,
+      role,
+      permissions: permissionsForRole(role)
+    };
+  }));
+  return { ...group, members };
+}
+
+async function findInaccessibleDevices(email, deviceIds) {
+  const roles = await Promise.all(deviceIds.map(deviceId => getDeviceRole(email, deviceId)));
+  return deviceIds.filter((deviceId, i) => !roles[i]);
+}
+
+/**
+ * Posts a parsed entry (see parseEntryInput) to one device if `user` may, as
+ * POST /entry would. Returns { deviceId, ok, status, rowKey?, error? }.
+ */
+async function postEntryAs(user, deviceId, input) {
+  try {
+    const role = apiKeyAllowsDevice(user, deviceId) ? await checkAndAutoProvision(user.email, deviceId) : null;
+    if (!hasDevicePermission(role, 'entries:write')) {
+      return { deviceId, ok: false, status: 403, error: 'No permission to post to this device' };
+    }
+    const entity = await createEntry(deviceId, input, user.email);
+    return { deviceId, ok: true, status: 201, rowKey: entity.rowKey };
+  } catch (err) {
+    console.error(`❌ Entry for ${deviceId} failed:`, err);
+    return { deviceId, ok: false, status: 500, error: 'Internal Server Error' };
+  }
+}
+
+/**
+ * Sends a command to one device if `user` may, as POST
+ * /devices/:deviceId/commands/:command would (`rateLimited: false` skips the
+ * per-user rate limit). Returns { deviceId, ok, status, commandStatus?,
+ * commandId?, mode?, error? }.
+ */
+async function sendCommandAs(user, deviceId, command, payload, { rateLimited = true } = {}) {
+  try {
+    const role = await getDeviceRole(user.email, deviceId);
+    if (!hasDevicePermission(role, 'commands:send')) {
+      return { deviceId, ok: false, status: 403, error: 'Your role does not allow sending commands to this device' };
+    }
+    if (rateLimited) {
+      const rateLimit = await checkRateLimit(`${user.email}:${deviceId}`, COMMAND_RATE_LIMIT.max, COMMAND_RATE_LIMIT.windowMs);
+      if (!rateLimit.allowed) {
+        return { deviceId, ok: false, status: 429, error: 'Rate limit exceeded. Too many commands.', retryAfter: rateLimit.resetIn };
+      }
+    }
+    const { status: commandStatus, ...sent } = await sendDeviceCommand(deviceId, command, payload, user.email);
+    return { deviceId, ok: true, status: 200, commandStatus, ...sent };
+  } catch (err) {
+    console.error(`❌ Command ${command} for ${deviceId} failed:`, err);
+    return { deviceId, ok: false, status: 500, error: 'Failed to send IoT command', details: err.message };
+  }
+}
+
+function summarize(results) {
+  const succeeded = results.filter(r => r.ok).length;
+  return { total: results.length, succeeded, failed: results.length - succeeded };
+}
+
+// GET /groups
+router.get('/', authenticateScope('devices:read'), async (req, res) => {
+  try {
+    const groups = await listGroups(req.user.email);
+    return res.json(await Promise.all(groups.map(group => withMembers(req.user.email, group))));
+  } catch (err) {
+    console.error('GET /groups error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// POST /groups
+router.post('/', authenticateToken, audit('group.create', req => ({ details: { name: req.body.name, deviceIds: req.body.deviceIds } })), async (req, res) => {
+  const { name, deviceIds } = req.body || {};
+  const error = validateGroup({ name, deviceIds });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const inaccessible = await findInaccessibleDevices(req.user.email, deviceIds);
+    if (inaccessible.length) {
+      return res.status(400).json({ error: `No access to devices: ${inaccessible.join(', ')}` });
+    }
+
+    const group = await createGroup(req.user.email, { name, deviceIds });
+    res.locals.audit.target = group.id;
+    console.log(`🗂️ Group "${group.name}" (${group.id}) created by ${req.user.email}: ${group.deviceIds.join(', ')}`);
+    return res.status(201).json(await withMembers(req.user.email, group));
+  } catch (err) {
+    console.error('POST /groups error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// PATCH /groups/:id
+router.patch('/:id', authenticateToken, audit('group.update', req => ({ target: req.params.id, details: { name: req.body.name, deviceIds: req.body.deviceIds } })), async (req, res) => {
+  const { name, deviceIds } = req.body || {};
+  if (name === undefined && deviceIds === undefined) {
+    return res.status(400).json({ error: 'name or deviceIds required' });
+  }
+  const error = validateGroup({ name, deviceIds }, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (deviceIds !== undefined) {
+      const inaccessible = await findInaccessibleDevices(req.user.email, deviceIds);
+      if (inaccessible.length) {
+        return res.status(400).json({ error: `No access to devices: ${inaccessible.join(', ')}` });
+      }
+    }
+
+    const group = await updateGroup(req.user.email, req.params.id, { name, deviceIds });
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    return res.json(await withMembers(req.user.email, group));
+  } catch (err) {
+    console.error('PATCH /groups/:id error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// DELETE /groups/:id
+router.delete('/:id', authenticateToken, audit('group.delete', req => ({ target: req.params.id })), async (req, res) => {
+  try {
+    if (!await deleteGroup(req.user.email, req.params.id)) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    console.log(`🗂️ Group ${req.params.id} deleted by ${req.user.email}`);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /groups/:id error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// POST /groups/:id/entry — one link to every member the caller may post to
+router.post('/:id/entry', authenticateScope('entries:write'), audit('group.entry', req => ({ target: req.params.id })), async (req, res) => {
+  try {
+    if (!req.body || !req.body.value1) return res.status(400).json({ error: 'value1 required' });
+    const input = parseEntryInput(req.body);
+    if (input.error) return res.status(400).json({ error: input.error });
+
+    const group = await getGroup(req.user.email, req.params.id);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+
+    const results = await Promise.all(group.deviceIds.map(async deviceId => {
+      const result = await postEntryAs(req.user, deviceId, input);
+      auditEach(req, 'entry.create', { deviceId, target: result.rowKey, status: result.status, details: { group: group.id } });
+      return result;
+    }));
+
+    const summary = summarize(results);
+    res.locals.audit.details = summary;
+    console.log(`🗂️ Group ${group.id} entry by ${req.user.email}: ${summary.succeeded}/${summary.total} devices`);
+    return res.json({ ok: summary.failed === 0, groupId: group.id, summary, results, warnings: input.link.warnings });
+  } catch (err) {
+    console.error('POST /groups/:id/entry error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// POST /groups/:id/commands/:command — fan a command out to the members
+router.post('/:id/commands/:command', authenticateScope('commands:send'), audit('group.command', req => ({ target: req.params.id, details: { command: req.params.command } })), async (req, res) => {
+  try {
+    const { command } = req.params;
+    const payload = req.body || {};
+    const email = req.user.email;
+    if (!VALID_COMMANDS.includes(command)) return res.status(400).json({ error: 'Invalid command' });
+
+    const group = await getGroup(email, req.params.id);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+
+    const results = await Promise.all(group.deviceIds.map(async deviceId => {
+      const result = await sendCommandAs(req.user, deviceId, command, payload);
+      auditEach(req, 'device.command', { deviceId, target: command, status: result.status, details: { group: group.id } });
+      return result;
+    }));
+
+    const summary = summarize(results);
+    res.locals.audit.details = { command, ...summary };
+    return res.json({ ok: summary.failed === 0, groupId: group.id, command, summary, results });
+  } catch (err) {
+    console.error(`❌ POST /groups/:id/commands/${req.params.command} error:`, err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = {
+  router,
+  postEntryAs,
+  sendCommandAs,
+  summarize
+};
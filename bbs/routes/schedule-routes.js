@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { audit, outcomeFor } = require('../middleware/audit');
+const { recordAuditEvent } = require('../services/audit-service');
+const { hasDevicePermission, getDeviceRole } = require('../services/device-role-service');
+const { getGroup } = require('../services/group-service');
+const {
+  MAX_JOBS_PER_USER,
+  mergeJob,
+  validateJob,
+  listJobs,
+  getJob,
+  createJob,
+  updateJob,
+  deleteJob,
+  recordJobRun
+} = require('../services/schedule-service');
+const { parseEntryInput } = require('./entry-routes');
+const { postEntryAs, sendCommandAs, summarize } = require('./group-routes');
+
+function permissionFor(action) {
+  return action === 'entry' ? 'entries:write' : 'commands:send';
+}
+
+// Only the link and title are kept for "entry" jobs; times come from the run
+function entryPayload(payload = {}) {
+  return { value1: payload.value1, value2: payload.value2 };
+}
+
+/**
+ * Checks that the user may point the job at its target. Returns an error
+ * { status, error } or null. Group members are checked at run time.
+ */
+async function checkJobTarget(email, job) {
+  if (job.action === 'entry') {
+    const input = parseEntryInput(entryPayload(job.payload));
+    if (input.error) return { status: 400, error: input.error };
+  }
+  if (job.groupId) {
+    return await getGroup(email, job.groupId) ? null : { status: 400, error: 'Group not found' };
+  }
+  const role = await getDeviceRole(email, job.deviceId);
+  if (!hasDevicePermission(role, permissionFor(job.action))) {
+    return { status: 403, error: 'Your role on the device does not allow this action' };
+  }
+  return null;
+}
+
+/**
+ * Carries a job out as its owner. Due runs skip the per-user command rate
+ * limit; a run asked for by hand (`rateLimited`) counts against it like any
+ * command. Every device gets its own audit event, as with group operations.
+ * Resolves to { outcome: 'success' | 'partial' | 'failure', results }.
+ */
+async function runScheduledJob(email, job, { rateLimited = false } = {}) {
+  const user = { email };
+  let deviceIds = [job.deviceId];
+  if (job.groupId) {
+    const group = await getGroup(email, job.groupId);
+    if (!group) return { outcome: 'failure', results: { error: 'Group not found' } };
+    deviceIds = group.deviceIds;
+  }
+
+  let input = null;
+  if (job.action === 'entry') {
+    input = parseEntryInput(entryPayload(job.payload));
+    if (input.error) return { outcome: 'failure', results: { error: input.error } };
+  }
+
+  const results = await Promise.all(deviceIds.map(async deviceId => {
+    const result = input
+      ? await postEntryAs(user, deviceId, input)
+      : await sendCommandAs(user, deviceId, job.action, job.payload, { rateLimited });
+    recordAuditEvent({
+      actor: email,
+      via: `schedule:${job.id}`,
+      action: input ? 'entry.create' : 'device.command',
+      target: input ? result.rowKey : job.action,
+      deviceId,
+      outcome: outcomeFor(result.status),
+      status: result.status,
+      details: { schedule: job.id, group: job.groupId || undefined }
+    });
+    return result;
+  }));
+
+  const summary = summarize(results);
+  const outcome = summary.failed === 0 ? 'success' : (summary.succeeded > 0 ? 'partial' : 'failure');
+  return {
+    outcome,
+    results: {
+      summary,
+      results: results.map(({ deviceId, ok, status, commandId, rowKey, error }) => ({ deviceId, ok, status, commandId, rowKey, error }))
+    }
+  };
+}
+
+// GET /schedules
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    return res.json(await listJobs(req.user.email));
+  } catch (err) {
+    console.error('GET /schedules error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// POST /schedules
+router.post('/', authenticateToken, audit('schedule.create', req => ({ deviceId: req.body.deviceId, details: { name: req.body.name, action: req.body.action, groupId: req.body.groupId, runAt: req.body.runAt, cron: req.body.cron } })), async (req, res) => {
+  const body = req.body || {};
+  const error = validateJob(body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const denied = await checkJobTarget(req.user.email, body);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const payload = body.action === 'entry' ? entryPayload(body.payload) : body.payload;
+    const job = await createJob(req.user.email, { ...body, payload });
+    if (!job) return res.status(400).json({ error: `A user can have at most ${MAX_JOBS_PER_USER} schedules` });
+
+    res.locals.audit.target = job.id;
+    console.log(`⏰ Schedule "${job.name}" (${job.id}) created by ${req.user.email}: ${job.action} ${job.cron || job.runAt}`);
+    return res.status(201).json(job);
+  } catch (err) {
+    console.error('POST /schedules error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// PATCH /schedules/:id
+router.patch('/:id', authenticateToken, audit('schedule.update', req => ({ target: req.params.id, details: req.body })), async (req, res) => {
+  try {
+    const current = await getJob(req.user.email, req.params.id);
+    if (!current) return res.status(404).json({ error: 'Schedule not found' });
+
+    const body = req.body || {};
+    const error = validateJob(body, { partial: true, current });
+    if (error) return res.status(400).json({ error });
+
+    const changes = { ...body };
+    if (changes.payload !== undefined && (body.action || current.action) === 'entry') changes.payload = entryPayload(changes.payload);
+    const denied = await checkJobTarget(req.user.email, mergeJob(current, changes));
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    return res.json(await updateJob(req.user.email, req.params.id, changes));
+  } catch (err) {
+    console.error('PATCH /schedules/:id error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// DELETE /schedules/:id
+router.delete('/:id', authenticateToken, audit('schedule.delete', req => ({ target: req.params.id })), async (req, res) => {
+  try {
+    if (!await deleteJob(req.user.email, req.params.id)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    console.log(`⏰ Schedule ${req.params.id} deleted by ${req.user.email}`);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /schedules/:id error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// POST /schedules/:id/run — run now, leaving the schedule as it is
+router.post('/:id/run', authenticateToken, audit('schedule.run', req => ({ target: req.params.id })), async (req, res) => {
+  try {
+    const job = await getJob(req.user.email, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Schedule not found' });
+
+    const { outcome, results } = await runScheduledJob(req.user.email, job, { rateLimited: true });
+    res.locals.audit.details = { outcome };
+    const updated = await recordJobRun(req.user.email, job.id, outcome, results);
+    return res.json({ ok: outcome === 'success', outcome, results, schedule: updated });
+  } catch (err) {
+    console.error('POST /schedules/:id/run error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = {
+  router,
+  runScheduledJob
+};
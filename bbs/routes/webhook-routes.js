@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  WEBHOOK_EVENTS,
+  validateWebhook,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhook,
+  listDeliveries,
+  toWebhookResponse
+} = require('../services/webhook-service');
+
+// Webhooks are managed by admins only
+router.use(authenticateToken, (req, res, next) => {
+  if (!req.user.isAdmin) return res.sendStatus(403);
+  next();
+});
+
+// GET /webhooks
+router.get('/', async (req, res) => {
+  try {
+    const hooks = await listWebhooks();
+    return res.json({ events: WEBHOOK_EVENTS, webhooks: hooks.map(toWebhookResponse) });
+  } catch (err) {
+    console.error('GET /webhooks error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// POST /webhooks
+router.post('/', async (req, res) => {
+  try {
+    const { url, events, description } = req.body || {};
+    if (!url || !events) return res.status(400).json({ error: 'url and events required' });
+
+    const invalid = validateWebhook({ url, events });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const webhook = await createWebhook({ url, events, description, createdBy: req.user.email });
+    console.log(`🪝 Webhook ${webhook.id} registered by ${req.user.email}: ${events.join(', ')} → ${url}`);
+    return res.status(201).json(webhook);
+  } catch (err) {
+    console.error('POST /webhooks error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// PATCH /webhooks/:id
+router.patch('/:id', async (req, res) => {
+  try {
+    const { url, events, description, enabled } = req.body || {};
+    const invalid = validateWebhook({ url, events });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const webhook = await updateWebhook(req.params.id, { url, events, description, enabled });
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    return res.json(webhook);
+  } catch (err) {
+    console.error('PATCH /webhooks/:id error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// DELETE /webhooks/:id
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteWebhook(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Webhook not found' });
+    console.log(`🗑️ Webhook ${req.params.id} removed by ${req.user.email}`);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /webhooks/:id error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// GET /webhooks/:id/deliveries?limit=
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    if (!await getWebhook(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
+    return res.json(await listDeliveries(req.params.id, limit));
+  } catch (err) {
+    console.error('GET /webhooks/:id/deliveries error:', err);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -4,16 +4,30 @@ const path = require('path');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth-routes');
-const deviceRoutes = require('./routes/device-routes').router;
+const { router: deviceRoutes, attachDeviceSockets } = require('./routes/device-routes');
 const configRoutes = require('./routes/config-routes');
-const entryRoutes = require('./routes/entry-routes');
+const entryRoutes = require('./routes/entry-routes').router;
+const webhookRoutes = require('./routes/webhook-routes');
+const adminRoutes = require('./routes/admin-routes');
+const apiKeyRoutes = require('./routes/api-key-routes');
+const groupRoutes = require('./routes/group-routes').router;
+const { router: scheduleRoutes, runScheduledJob } = require('./routes/schedule-routes');
+const devRoutes = require('./routes/dev-routes');
+const { startWebhookWorker } = require('./services/webhook-service');
+const { startScheduler } = require('./services/schedule-service');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind Azure App Service's front end req.ip must come from X-Forwarded-For,
+// otherwise per-IP rate limits would lump all clients together
+const trustProxy = process.env.TRUST_PROXY || (process.env.WEBSITE_SITE_NAME ? '1' : '');
+if (trustProxy) app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
 // Basic Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for device request signatures
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Routes
@@ -22,7 +36,20 @@ app.use('/devices', deviceRoutes);
 app.use('/config', configRoutes);
 app.use('/entries', entryRoutes); // For /entries/:key
 app.use('/entry', entryRoutes);   // For /entry (POST)
+app.use('/webhooks', webhookRoutes);
+app.use('/admin', adminRoutes);
+app.use('/api-keys', apiKeyRoutes);
+app.use('/groups', groupRoutes);
+app.use('/schedules', scheduleRoutes);
+// Email template previews for local development; never on App Service
+if (process.env.NODE_ENV !== 'production' && !process.env.WEBSITE_SITE_NAME) {
+  app.use('/dev', devRoutes);
+}
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`BBS listening on port ${port}`);
+  startWebhookWorker();
+  startScheduler(runScheduledJob);
 });
+// Devices without IoT Hub open a WebSocket for their commands
+attachDeviceSockets(server);
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { getTableClient, odata, TABLE_NAME_API_KEYS } = require('./storage-service');
+
+/**
+ * API keys for automation clients. A key acts as its owner, limited to its
+ * scopes (and, for entries:write, to the listed device keys). Only a hash of
+ * the secret is stored; the full key is shown once, when it is created.
+ *
+ * Format: "espa_<id>_<secret>", so a request can be resolved with one read.
+ */
+
+const API_KEY_SCOPES = ['entries:write', 'commands:send', 'devices:read'];
+const API_KEY_PREFIX = 'espa_';
+const API_KEY_PARTITION = 'apikey';
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // Avoids a write on every request
+const DAY = 24 * 60 * 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function isApiKey(token) {
+  return String(token || '').startsWith(API_KEY_PREFIX);
+}
+
+function parseApiKey(token) {
+  const match = /^espa_([0-9a-f]{16})_([A-Za-z0-9_-]{20,})$/.exec(String(token || ''));
+  return match ? { id: match[1], secret: match[2] } : null;
+}
+
+function parseList(value) {
+  return String(value || '').split(',').filter(Boolean);
+}
+
+function toApiKeyResponse(entity) {
+  return {
+    id: entity.rowKey,
+    name: entity.name,
+    scopes: parseList(entity.scopes),
+    deviceKeys: parseList(entity.deviceKeys),
+    createdAt: entity.createdAt,
+    expiresAt: new Date(entity.expiresAt).toISOString(),
+    lastUsedAt: entity.lastUsedAt || null,
+    expired: entity.expiresAt <= Date.now()
+  };
+}
+
+/**
+ * Validates a create request. Returns an error message or null.
+ */
+function validateApiKey({ name, scopes, deviceKeys, expiresInDays }) {
+  if (!name || typeof name !== 'string' || !name.trim()) return 'name required';
+  if (name.length > 100) return 'name too long';
+  if (!Array.isArray(scopes) || scopes.length === 0) return 'scopes must be a non-empty array';
+  const unknown = scopes.filter(s => !API_KEY_SCOPES.includes(s));
+  if (unknown.length) return `Unknown scopes: ${unknown.join(', ')}`;
+  if (deviceKeys !== undefined && (!Array.isArray(deviceKeys) || deviceKeys.some(k => typeof k !== 'string' || !k || k.includes(',')))) {
+    return 'deviceKeys must be an array of device keys';
+  }
+  if (scopes.includes('entries:write') && !(deviceKeys && deviceKeys.length)) {
+    return 'entries:write requires at least one device key';
+  }
+  if (expiresInDays !== undefined) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) return `expiresInDays must be 1-${MAX_EXPIRY_DAYS}`;
+  }
+  return null;
+}
+
+async function listApiKeys(email) {
+  const client = getTableClient(TABLE_NAME_API_KEYS);
+  const filter = odata`PartitionKey eq ${API_KEY_PARTITION} and email eq ${email}`;
+  const keys = [];
+  for await (const entity of client.listEntities({ queryOptions: { filter } })) {
+    keys.push(toApiKeyResponse(entity));
+  }
+  return keys.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Creates a key for `email` and returns it with the plain `key` (shown once).
+ */
+async function createApiKey(email, { name, scopes, deviceKeys = [], expiresInDays = DEFAULT_EXPIRY_DAYS }) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  const entity = {
+    partitionKey: API_KEY_PARTITION,
+    rowKey: id,
+    email,
+    name: name.trim(),
+    scopes: [...new Set(scopes)].join(','),
+    deviceKeys: scopes.includes('entries:write') ? [...new Set(deviceKeys)].join(',') : '',
+    secretHash: hashSecret(secret),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: now + Number(expiresInDays) * DAY
+  };
+  await getTableClient(TABLE_NAME_API_KEYS).createEntity(entity);
+  return { ...toApiKeyResponse(entity), key: `${API_KEY_PREFIX}${id}_${secret}` };
+}
+
+/**
+ * Resolves a presented key to { id, email, scopes, deviceKeys }, or null when
+ * it is unknown, expired or revoked.
+ */
+async function verifyApiKey(token) {
+  const parsed = parseApiKey(token);
+  if (!parsed) return null;
+
+  const client = getTableClient(TABLE_NAME_API_KEYS);
+  let entity;
+  try {
+    entity = await client.getEntity(API_KEY_PARTITION, parsed.id);
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+
+  const expected = Buffer.from(entity.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(parsed.secret), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  if (entity.expiresAt <= Date.now()) return null;
+
+  if (!entity.lastUsedAt || Date.now() - Date.parse(entity.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    client.updateEntity({ partitionKey: API_KEY_PARTITION, rowKey: parsed.id, lastUsedAt: new Date().toISOString() }, "Merge")
+      .catch(err => console.warn(`⚠️ Could not record API key use for ${parsed.id}:`, err.message));
+  }
+
+  return {
+    id: parsed.id,
+    email: entity.email,
+    scopes: parseList(entity.scopes),
+    deviceKeys: parseList(entity.deviceKeys)
+  };
+}
+
+/**
+ * Revokes one of the user's keys. Returns false when it does not exist.
+ */
+async function revokeApiKey(email, id) {
+  const client = getTableClient(TABLE_NAME_API_KEYS);
+  try {
+    const entity = await client.getEntity(API_KEY_PARTITION, id);
+    if (entity.email !== email) return false;
+    await client.deleteEntity(API_KEY_PARTITION, id);
+    return true;
+  } catch (err) {
+    if (err.statusCode === 404) return false;
+    throw err;
+  }
+}
+
+async function revokeAllApiKeys(email) {
+  let revoked = 0;
+  for (const key of await listApiKeys(email)) {
+    if (await revokeApiKey(email, key.id)) revoked++;
+  }
+  return revoked;
+}
+
+/**
+ * True unless the request is made with an API key that is not limited to
+ * this device key (user tokens are checked by device permissions alone).
+ * Only `entries:write` keys carry device keys, so only posting checks this;
+ * command and read keys go by the owner's role.
+ */
+function apiKeyAllowsDevice(user, deviceKey) {
+  return !user.apiKey || user.apiKey.deviceKeys.includes(deviceKey);
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_EXPIRY_DAYS,
+  isApiKey,
+  validateApiKey,
+  listApiKeys,
+  createApiKey,
+  verifyApiKey,
+  revokeApiKey,
+  revokeAllApiKeys,
+  apiKeyAllowsDevice
+};
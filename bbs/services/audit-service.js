@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { getTableClient, odata, TABLE_NAME_AUDIT } = require('./storage-service');
+const { stringifyWithin } = require('./limited-json');
+
+/**
+ * Audit trail of security-relevant actions. One partition, RowKeys use
+ * inverted ticks so the newest events come first and time ranges map to
+ * RowKey ranges. Writes never fail the request that caused them.
+ */
+
+const AUDIT_PARTITION = 'audit';
+const MAX_TICKS = 9999999999999;
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 200;
+const MAX_DETAILS_LENGTH = 1000;
+
+function invertedTicks(ms) {
+  return String(MAX_TICKS - ms).padStart(14, '0');
+}
+
+function newAuditRowKey(now) {
+  return `${invertedTicks(now)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function toAuditResponse(entity) {
+  let details = null;
+  try {
+    details = entity.details ? JSON.parse(entity.details) : null;
+  } catch (_) {}
+  return {
+    id: entity.rowKey,
+    timestamp: entity.timestamp,
+    actor: entity.actor,
+    via: entity.via || null,
+    action: entity.action,
+    target: entity.target || null,
+    deviceId: entity.deviceId || null,
+    ip: entity.ip || null,
+    outcome: entity.outcome,
+    status: entity.status || null,
+    details
+  };
+}
+
+/**
+ * Appends an event. `outcome` is success, denied, failure or error.
+ */
+async function recordAuditEvent({ actor, via, action, target, deviceId, ip, outcome, status, details }) {
+  const now = Date.now();
+  const entity = {
+    partitionKey: AUDIT_PARTITION,
+    rowKey: newAuditRowKey(now),
+    timestamp: new Date(now).toISOString(),
+    actor: actor || 'anonymous',
+    action,
+    outcome,
+    ip: ip || ''
+  };
+  if (via) entity.via = via;
+  if (target) entity.target = String(target);
+  if (deviceId) entity.deviceId = String(deviceId);
+  if (status) entity.status = status;
+  if (details) entity.details = stringifyWithin(details, MAX_DETAILS_LENGTH);
+
+  try {
+    await getTableClient(TABLE_NAME_AUDIT).createEntity(entity);
+  } catch (err) {
+    console.error(`❌ Audit write failed (${action} by ${entity.actor}):`, err.message);
+  }
+}
+
+function parseTime(value) {
+  if (value === undefined || value === '') return null;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Parses ?actor=&deviceId=&since=&until=&limit=&cursor= into listAuditEvents
+ * options. Returns { error } for invalid input.
+ */
+function parseAuditQuery(query) {
+  const limit = query.limit === undefined ? DEFAULT_AUDIT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_AUDIT_LIMIT}` };
+  }
+  const since = parseTime(query.since);
+  const until = parseTime(query.until);
+  if (since === undefined || until === undefined) {
+    return { error: 'since and until must be ISO dates or epoch milliseconds' };
+  }
+  return {
+    actor: query.actor || null,
+    deviceId: query.deviceId || null,
+    since,
+    until,
+    limit,
+    cursor: query.cursor || null
+  };
+}
+
+/**
+ * Reads events newest first. Returns { events, nextCursor }.
+ */
+async function listAuditEvents({ actor = null, deviceId = null, since = null, until = null, limit = DEFAULT_AUDIT_LIMIT, cursor = null } = {}) {
+  const after = cursor ? Buffer.from(String(cursor), 'base64url').toString('utf8') : null;
+  const parts = [
+    odata`PartitionKey eq ${AUDIT_PARTITION}`,
+    actor && odata`actor eq ${actor}`,
+    deviceId && odata`deviceId eq ${deviceId}`,
+    since && odata`RowKey lt ${invertedTicks(since.getTime()) + '.'}`,
+    until && odata`RowKey ge ${invertedTicks(until.getTime())}`,
+    after && odata`RowKey gt ${after}`
+  ];
+  const filter = parts.filter(Boolean).map(p => `(${p})`).join(' and ');
+
+  const rows = [];
+  for await (const entity of getTableClient(TABLE_NAME_AUDIT).listEntities({ queryOptions: { filter } })) {
+    rows.push(entity);
+    if (rows.length > limit) break;
+  }
+
+  const page = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  return {
+    events: page.map(toAuditResponse),
+    nextCursor: hasMore ? Buffer.from(page[page.length - 1].rowKey, 'utf8').toString('base64url') : null
+  };
+}
+
+module.exports = {
+  recordAuditEvent,
+  parseAuditQuery,
+  listAuditEvents
+};
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { getTableClient, odata, TABLE_NAME_COMMANDS } = require('./storage-service');
+const { stringifyWithin } = require('./limited-json');
+
+/**
+ * Commands sent to devices, one partition per device. RowKeys use inverted
+ * ticks so the newest come first; the RowKey is also the command ID that
+ * travels to the device (C2D message ID, `commandId` in the payload).
+ *
+ * A command moves forward only:
+ *   queued → delivered → acknowledged → succeeded | failed
+ * IoT Hub tells us about delivery (the Direct Method answer or C2D feedback)
+ * and the device reports the rest. A command that has not reached the device
+ * by `expiresAt` is expired; one the device has acknowledged never expires.
+ */
+
+const COMMAND_STATUSES = ['queued', 'delivered', 'acknowledged', 'succeeded', 'failed', 'expired'];
+const FINAL_STATUSES = ['succeeded', 'failed', 'expired'];
+const DEVICE_REPORTED_STATUSES = ['acknowledged', 'succeeded', 'failed'];
+const COMMAND_TTL_MS = 15 * 60 * 1000; // Also the C2D message expiry
+const DEFAULT_COMMAND_LIMIT = 20;
+const MAX_COMMAND_LIMIT = 100;
+const MAX_RESULT_LENGTH = 2000;
+const MAX_TICKS = 9999999999999;
+
+const STATUS_RANK = {
+  queued: 0,
+  delivered: 1,
+  acknowledged: 2,
+  succeeded: 3,
+  failed: 3,
+  expired: 3
+};
+
+function newCommandId(now) {
+  return `${String(MAX_TICKS - now).padStart(14, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function parseJson(value) {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function commandStatus(entity, now = Date.now()) {
+  if (STATUS_RANK[entity.status] < STATUS_RANK.acknowledged && new Date(entity.expiresAt).getTime() <= now) {
+    return 'expired';
+  }
+  return entity.status;
+}
+
+function isFinalStatus(status) {
+  return FINAL_STATUSES.includes(status);
+}
+
+function toCommandResponse(entity) {
+  return {
+    id: entity.rowKey,
+    deviceId: entity.partitionKey,
+    command: entity.command,
+    payload: parseJson(entity.payload) || {},
+    status: commandStatus(entity),
+    mode: entity.mode || null,
+    sentBy: entity.sentBy,
+    createdAt: entity.createdAt,
+    updatedAt: entity.updatedAt || null,
+    expiresAt: entity.expiresAt,
+    completedAt: entity.completedAt || null,
+    result: parseJson(entity.result),
+    error: entity.error || null
+  };
+}
+
+async function getCommandEntity(deviceId, id) {
+  try {
+    return await getTableClient(TABLE_NAME_COMMANDS).getEntity(deviceId, id);
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Stores a new command as queued, before it is handed to IoT Hub.
+ */
+async function createCommand(deviceId, { command, payload = {}, sentBy }) {
+  const now = Date.now();
+  const entity = {
+    partitionKey: deviceId,
+    rowKey: newCommandId(now),
+    command,
+    payload: JSON.stringify(payload),
+    sentBy,
+    status: 'queued',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + COMMAND_TTL_MS).toISOString()
+  };
+  await getTableClient(TABLE_NAME_COMMANDS).createEntity(entity);
+  return toCommandResponse(entity);
+}
+
+async function getCommand(deviceId, id) {
+  const entity = await getCommandEntity(deviceId, id);
+  return entity ? toCommandResponse(entity) : null;
+}
+
+/**
+ * The device's latest commands, newest first.
+ */
+async function listCommands(deviceId, { limit = DEFAULT_COMMAND_LIMIT } = {}) {
+  const filter = odata`PartitionKey eq ${deviceId}`;
+  const commands = [];
+  for await (const entity of getTableClient(TABLE_NAME_COMMANDS).listEntities({ queryOptions: { filter } })) {
+    commands.push(toCommandResponse(entity));
+    if (commands.length >= limit) break;
+  }
+  return commands;
+}
+
+/**
+ * Moves a command to `status`, with optional { mode, result, error }. Reports
+ * that would move it backwards (e.g. C2D delivery feedback arriving after
+ * the device's own result) or touch a finished command are ignored. Returns
+ * the command as it now stands, or null when there is no such command.
+ */
+async function updateCommandStatus(deviceId, id, status, { mode, result, error } = {}) {
+  const entity = await getCommandEntity(deviceId, id);
+  if (!entity) return null;
+
+  const current = commandStatus(entity);
+  if (isFinalStatus(current) || STATUS_RANK[status] < STATUS_RANK[current]) {
+    return toCommandResponse(entity);
+  }
+
+  const now = new Date().toISOString();
+  const update = { partitionKey: deviceId, rowKey: id, status, updatedAt: now };
+  if (mode) update.mode = mode;
+  if (result !== undefined && result !== null) update.result = stringifyWithin(result, MAX_RESULT_LENGTH);
+  if (error) update.error = String(error).slice(0, MAX_RESULT_LENGTH);
+  if (isFinalStatus(status)) update.completedAt = now;
+
+  await getTableClient(TABLE_NAME_COMMANDS).updateEntity(update, "Merge");
+  return toCommandResponse({ ...entity, ...update });
+}
+
+module.exports = {
+  COMMAND_STATUSES,
+  DEVICE_REPORTED_STATUSES,
+  COMMAND_TTL_MS,
+  DEFAULT_COMMAND_LIMIT,
+  MAX_COMMAND_LIMIT,
+  isFinalStatus,
+  createCommand,
+  getCommand,
+  listCommands,
+  updateCommandStatus
+};
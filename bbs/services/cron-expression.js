@@ -0,0 +1,154 @@
+/**
+ * Five-field cron expressions ("minute hour day-of-month month day-of-week")
+ * evaluated in an IANA time zone. Supports *, numbers, ranges (1-5), lists
+ * (1,15) and steps (0-59/15, 8-18/2); day-of-week 0 and 7 are Sunday. As in
+ * classic cron, when both day fields are restricted either one may match.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SEARCH_DAYS = 5 * 366; // Enough for "29 Feb" to come round
+
+const formatters = new Map();
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name}: ${part}`);
+
+    let from = min;
+    let to = max;
+    if (match[1] !== undefined) {
+      from = Number(match[1]);
+      to = match[2] !== undefined ? Number(match[2]) : (match[3] ? max : from);
+    }
+    const step = match[3] ? Number(match[3]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid ${name}: ${part}`);
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('A cron expression has 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+/**
+ * Returns an error message for an invalid expression, otherwise null.
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function zonedParts(ms, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(new Date(ms))) parts[type] = Number(value);
+  return parts;
+}
+
+// Wall-clock time in the zone as epoch ms, or null when it does not exist
+// there (the hour skipped when clocks go forward)
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (ms) => {
+    const p = zonedParts(ms, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ms / 60000) * 60000;
+  };
+
+  let utc = wall - offsetAt(wall);
+  utc = wall - offsetAt(utc);
+
+  const check = zonedParts(utc, timeZone);
+  if (check.year !== year || check.month !== month || check.day !== day || check.hour !== hour || check.minute !== minute) {
+    return null;
+  }
+  return utc;
+}
+
+function dayMatches(cron, day, weekday) {
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return cron.weekdays.has(weekday);
+  if (cron.anyWeekday) return cron.days.has(day);
+  return cron.days.has(day) || cron.weekdays.has(weekday);
+}
+
+/**
+ * The first time after `after` that the expression matches in `timeZone`,
+ * or null if it never does (e.g. "0 0 31 2 *").
+ */
+function nextCronRun(expression, after = new Date(), timeZone = 'UTC') {
+  const cron = parseCron(expression);
+  const afterMs = new Date(after).getTime();
+  const start = zonedParts(afterMs, timeZone);
+
+  let date = Date.UTC(start.year, start.month - 1, start.day);
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, date += DAY_MS) {
+    const calendar = new Date(date);
+    const year = calendar.getUTCFullYear();
+    const month = calendar.getUTCMonth() + 1;
+    const day = calendar.getUTCDate();
+    if (!cron.months.has(month) || !dayMatches(cron, day, calendar.getUTCDay())) continue;
+
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const utc = zonedTimeToUtc(year, month, day, hour, minute, timeZone);
+        if (utc !== null && utc > afterMs) return new Date(utc);
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  validateCron,
+  isValidTimeZone,
+  nextCronRun
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { getTableClient, TABLE_NAME_DEVICES } = require('./storage-service');
+
+/**
+ * Device credentials. Each device has one secret, handed to it once: when it
+ * is paired (or, for a device that never had one, on its first
+ * announcement). Device requests are signed with it, using the same scheme as
+ * webhooks, except that the HMAC also covers the request line and the device
+ * ID, so a captured signature cannot be replayed on another endpoint:
+ *   X-Device-Id: <deviceId>
+ *   X-Device-Signature: t=<unix seconds>,v1=<hex hmac-sha256 of
+ *     "<t>\n<METHOD>\n<path and query>\n<deviceId>\n<raw body>">
+ * The BBS needs the secret itself to check the HMAC, so it is stored as is,
+ * on the device's metadata row.
+ *
+ * The master can rotate the secret (the device picks up the new one in the
+ * X-Device-Secret response header of its next signed request, after which the
+ * old one stops working) or revoke it (the device has to be paired again).
+ */
+
+const SIGNATURE_TOLERANCE_S = 5 * 60; // Allowed clock skew and replay window
+
+function generateDeviceSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hmac(secret, { method, path, deviceId, body }, timestamp) {
+  const signed = [timestamp, String(method).toUpperCase(), path, deviceId, body || ''].join('\n');
+  return crypto.createHmac('sha256', secret).update(signed).digest();
+}
+
+/**
+ * Signs `request` ({ method, path, deviceId, body }); `path` includes the
+ * query string.
+ */
+function signDeviceRequest(secret, request, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, request, timestamp).toString('hex')}`;
+}
+
+/**
+ * True when `header` is a fresh signature of `request` made with `secret`.
+ */
+function verifyDeviceSignature(secret, header, request, now = Date.now()) {
+  const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(String(header || ''));
+  if (!secret || !match) return false;
+
+  const timestamp = Number(match[1]);
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_S) return false;
+
+  return crypto.timingSafeEqual(hmac(secret, request, timestamp), Buffer.from(match[2], 'hex'));
+}
+
+function hasCredential(device) {
+  return !!(device && device.deviceSecret);
+}
+
+function isCredentialRevoked(device) {
+  return !!(device && !device.deviceSecret && device.credentialRevokedAt);
+}
+
+/**
+ * Checks a device request ({ method, path, body }) against the device's
+ * metadata row. Returns { ok: true, newSecret? } — `newSecret` when a
+ * rotation is waiting to be delivered — or { ok: false, revoked }.
+ */
+async function authenticateDeviceRequest(device, signature, { method, path, body }) {
+  if (!hasCredential(device)) return { ok: false, revoked: isCredentialRevoked(device) };
+
+  const request = { method, path, deviceId: device.partitionKey, body };
+  if (verifyDeviceSignature(device.deviceSecret, signature, request)) {
+    return { ok: true, newSecret: device.pendingDeviceSecret || null };
+  }
+
+  if (device.pendingDeviceSecret && verifyDeviceSignature(device.pendingDeviceSecret, signature, request)) {
+    // First request with the rotated secret: the old one stops working
+    await getTableClient(TABLE_NAME_DEVICES).updateEntity({
+      partitionKey: device.partitionKey,
+      rowKey: 'metadata',
+      deviceSecret: device.pendingDeviceSecret,
+      pendingDeviceSecret: '',
+      credentialIssuedAt: new Date().toISOString()
+    }, "Merge");
+    return { ok: true, newSecret: null };
+  }
+
+  return { ok: false, revoked: false };
+}
+
+/**
+ * Gives the device a new secret, replacing (and un-revoking) any previous
+ * one. Returns the secret; the caller hands it to the device.
+ */
+async function issueDeviceCredential(deviceId, secret = generateDeviceSecret()) {
+  await getTableClient(TABLE_NAME_DEVICES).updateEntity({
+    partitionKey: deviceId,
+    rowKey: 'metadata',
+    deviceSecret: secret,
+    pendingDeviceSecret: '',
+    credentialIssuedAt: new Date().toISOString(),
+    credentialRevokedAt: ''
+  }, "Merge");
+  return secret;
+}
+
+async function rotateDeviceCredential(deviceId) {
+  await getTableClient(TABLE_NAME_DEVICES).updateEntity({
+    partitionKey: deviceId,
+    rowKey: 'metadata',
+    pendingDeviceSecret: generateDeviceSecret(),
+    credentialRotatedAt: new Date().toISOString()
+  }, "Merge");
+}
+
+async function revokeDeviceCredential(deviceId) {
+  await getTableClient(TABLE_NAME_DEVICES).updateEntity({
+    partitionKey: deviceId,
+    rowKey: 'metadata',
+    deviceSecret: '',
+    pendingDeviceSecret: '',
+    credentialRevokedAt: new Date().toISOString()
+  }, "Merge");
+}
+
+function toCredentialResponse(device) {
+  return {
+    deviceId: device.partitionKey,
+    status: hasCredential(device) ? 'active' : (isCredentialRevoked(device) ? 'revoked' : 'none'),
+    issuedAt: device.credentialIssuedAt || null,
+    rotationPending: !!device.pendingDeviceSecret,
+    rotatedAt: device.credentialRotatedAt || null,
+    revokedAt: device.credentialRevokedAt || null
+  };
+}
+
+module.exports = {
+  generateDeviceSecret,
+  signDeviceRequest,
+  verifyDeviceSignature,
+  hasCredential,
+  isCredentialRevoked,
+  authenticateDeviceRequest,
+  issueDeviceCredential,
+  rotateDeviceCredential,
+  revokeDeviceCredential,
+  toCredentialResponse
+};
@@ -0,0 +1,55 @@
+const { getTableClient, TABLE_NAME_PERMISSIONS } = require('./storage-service');
+const { isShareActive } = require('./share-service');
+
+/**
+ * What each device role may do. Permission names follow the API key scopes;
+ * an API key is limited by both its scopes and its owner's role.
+ *
+ *                  master  operator  contributor  viewer
+ *   devices:read     x        x          x          x
+ *   entries:write    x                   x
+ *   commands:send    x        x
+ *   devices:manage   x
+ */
+const ROLE_PERMISSIONS = {
+  master: ['devices:read', 'entries:write', 'commands:send', 'devices:manage'],
+  operator: ['devices:read', 'commands:send'],
+  contributor: ['devices:read', 'entries:write'],
+  viewer: ['devices:read']
+};
+
+const DEVICE_ROLES = Object.keys(ROLE_PERMISSIONS);
+const SHARE_ROLES = DEVICE_ROLES.filter(role => role !== 'master');
+const DEFAULT_SHARE_ROLE = 'contributor';
+
+function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasDevicePermission(role, permission) {
+  return permissionsForRole(role).includes(permission);
+}
+
+/**
+ * The user's role on a device, or null without an active share (none, not
+ * accepted yet or expired).
+ */
+async function getDeviceRole(email, deviceId) {
+  try {
+    const perm = await getTableClient(TABLE_NAME_PERMISSIONS).getEntity(email, deviceId);
+    if (!isShareActive(perm)) return null;
+    return perm.role || DEFAULT_SHARE_ROLE;
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+module.exports = {
+  DEVICE_ROLES,
+  SHARE_ROLES,
+  DEFAULT_SHARE_ROLE,
+  permissionsForRole,
+  hasDevicePermission,
+  getDeviceRole
+};
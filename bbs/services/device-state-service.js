@@ -0,0 +1,244 @@
+const { getTableClient, TABLE_NAME_DEVICE_STATE } = require('./storage-service');
+const { normalizeStreamUrl } = require('./veo-url');
+
+/**
+ * Desired and reported state of a device, in the manner of an IoT Hub device
+ * twin. Users with control of the device set the desired state; the device
+ * reports what it is actually doing and converges on the desired state
+ * whenever it connects or the desired state changes.
+ *
+ * A desired field left null is up to the device (BBS entries pick the
+ * stream, the global config the click coordinates, and so on). Every change
+ * bumps `version`, which the device echoes as `desiredVersion` once it has
+ * applied that state. One row per device: PartitionKey = deviceId,
+ * RowKey = 'state'.
+ */
+
+const DESIRED_FIELDS = ['streamUrl', 'volume', 'displayOn', 'coordinates'];
+const PLAYBACK_STATES = ['playing', 'paused'];
+const MAX_REPORTED_LENGTH = 4000;
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const EMPTY_DESIRED = { streamUrl: null, volume: null, displayOn: null, coordinates: null };
+
+function parseJson(value, fallback = null) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function isPoint(point) {
+  return !!point && Number.isFinite(point.x) && Number.isFinite(point.y) && point.x >= 0 && point.y >= 0;
+}
+
+// Same shape as /config/coordinates: { 1920: { play: {x,y}, fullscreen: {x,y} }, ... }
+function validateCoordinates(coordinates) {
+  if (typeof coordinates !== 'object' || Array.isArray(coordinates)) return 'coordinates must be an object';
+  const widths = Object.keys(coordinates);
+  if (!widths.includes('1920')) return 'coordinates must include the 1920 layout';
+  for (const width of widths) {
+    if (!/^\d{3,4}$/.test(width)) return `coordinates has an invalid screen width: ${width}`;
+    const layout = coordinates[width];
+    if (!layout || !isPoint(layout.play) || !isPoint(layout.fullscreen)) {
+      return `coordinates.${width} needs play and fullscreen points { x, y }`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates a change to the desired state. Only the given fields change and
+ * null hands a field back to the device. Returns { changes } or { error }.
+ */
+function validateDesiredChanges(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Body must be an object' };
+  const unknown = Object.keys(body).filter(key => !DESIRED_FIELDS.includes(key));
+  if (unknown.length) return { error: `Unknown fields: ${unknown.join(', ')}` };
+  if (!Object.keys(body).length) return { error: `Give at least one of ${DESIRED_FIELDS.join(', ')}` };
+
+  const changes = {};
+  const { streamUrl, volume, displayOn, coordinates } = body;
+
+  if (streamUrl !== undefined) {
+    if (streamUrl === null) {
+      changes.streamUrl = null;
+    } else {
+      const result = normalizeStreamUrl(streamUrl);
+      if (!result.ok) return { error: `streamUrl: ${result.error}` };
+      changes.streamUrl = result.url;
+    }
+  }
+  if (volume !== undefined) {
+    if (volume !== null && !(Number.isInteger(volume) && volume >= 0 && volume <= 100)) {
+      return { error: 'volume must be an integer from 0 to 100' };
+    }
+    changes.volume = volume;
+  }
+  if (displayOn !== undefined) {
+    if (displayOn !== null && typeof displayOn !== 'boolean') return { error: 'displayOn must be a boolean' };
+    changes.displayOn = displayOn;
+  }
+  if (coordinates !== undefined) {
+    if (coordinates !== null) {
+      const error = validateCoordinates(coordinates);
+      if (error) return { error };
+    }
+    changes.coordinates = coordinates;
+  }
+  return { changes };
+}
+
+function optionalString(value, maxLength) {
+  return typeof value === 'string' && value.length <= maxLength ? value : null;
+}
+
+/**
+ * Picks the known fields out of what the device reported; anything else
+ * (e.g. from a newer Pi version) is dropped. Returns { reported } or
+ * { error }.
+ */
+function validateReported(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Body must be an object' };
+  if (JSON.stringify(body).length > MAX_REPORTED_LENGTH) return { error: 'Reported state too large' };
+
+  const { playerState, streamUrl, playback, resolution, appVersion, volume, displayOn, desiredVersion } = body;
+  if (desiredVersion !== undefined && !(Number.isInteger(desiredVersion) && desiredVersion >= 0)) {
+    return { error: 'desiredVersion must be a non-negative integer' };
+  }
+
+  return {
+    reported: {
+      playerState: optionalString(playerState, 32),
+      streamUrl: optionalString(streamUrl, 2048),
+      playback: PLAYBACK_STATES.includes(playback) ? playback : null,
+      resolution: optionalString(resolution, 20),
+      appVersion: optionalString(appVersion, 32),
+      volume: Number.isInteger(volume) && volume >= 0 && volume <= 100 ? volume : null,
+      displayOn: typeof displayOn === 'boolean' ? displayOn : null,
+      desiredVersion: desiredVersion || 0
+    }
+  };
+}
+
+/**
+ * Where the reported state differs from the desired one. Coordinates are not
+ * reported back, so they count as applied once the device has caught up
+ * with the desired version.
+ */
+function findDifferences(desired, version, reported) {
+  if (!reported) {
+    return DESIRED_FIELDS
+      .filter(field => desired[field] !== null)
+      .map(field => ({ field, desired: desired[field], reported: null }));
+  }
+
+  const differences = ['streamUrl', 'volume', 'displayOn']
+    .filter(field => desired[field] !== null && desired[field] !== reported[field])
+    .map(field => ({ field, desired: desired[field], reported: reported[field] }));
+
+  if (desired.coordinates !== null && reported.desiredVersion < version) {
+    differences.push({ field: 'coordinates', desired: desired.coordinates, reported: null });
+  }
+  return differences;
+}
+
+function toStateResponse(deviceId, entity) {
+  const desired = { ...EMPTY_DESIRED, ...parseJson(entity && entity.desired, {}) };
+  const version = (entity && entity.desiredVersion) || 0;
+  const reported = parseJson(entity && entity.reported);
+  const differences = findDifferences(desired, version, reported);
+
+  return {
+    deviceId,
+    desired,
+    version,
+    desiredUpdatedAt: (entity && entity.desiredUpdatedAt) || null,
+    desiredUpdatedBy: (entity && entity.desiredUpdatedBy) || null,
+    reported,
+    reportedAt: (entity && entity.reportedAt) || null,
+    pending: !!reported && reported.desiredVersion < version,
+    differences,
+    inSync: differences.length === 0
+  };
+}
+
+async function getStateEntity(deviceId) {
+  try {
+    return await getTableClient(TABLE_NAME_DEVICE_STATE).getEntity(deviceId, 'state');
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+async function getDeviceState(deviceId) {
+  return toStateResponse(deviceId, await getStateEntity(deviceId));
+}
+
+/**
+ * Applies validated changes to the desired state and bumps its version. The
+ * write is conditional on the row's etag, so concurrent changes (or a report
+ * from the device) make it start over on the fresh row rather than lose an
+ * update.
+ */
+async function updateDesiredState(deviceId, changes, email) {
+  const client = getTableClient(TABLE_NAME_DEVICE_STATE);
+
+  for (let attempt = 1; ; attempt++) {
+    const entity = await getStateEntity(deviceId);
+    const desired = { ...EMPTY_DESIRED, ...parseJson(entity && entity.desired, {}), ...changes };
+    const update = {
+      partitionKey: deviceId,
+      rowKey: 'state',
+      desired: JSON.stringify(desired),
+      desiredVersion: ((entity && entity.desiredVersion) || 0) + 1,
+      desiredUpdatedAt: new Date().toISOString(),
+      desiredUpdatedBy: email
+    };
+
+    try {
+      if (entity) await client.updateEntity(update, "Merge", { etag: entity.etag });
+      else await client.createEntity(update);
+      return toStateResponse(deviceId, { ...entity, ...update });
+    } catch (err) {
+      // 412: the row changed since we read it; 409: it was created meanwhile
+      const conflict = err.statusCode === 412 || err.statusCode === 409;
+      if (!conflict || attempt >= MAX_UPDATE_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/**
+ * Stores what the device reported and returns the full state, so the device
+ * learns of a desired state it has not applied yet in the same round trip.
+ */
+async function recordReportedState(deviceId, reported) {
+  const update = {
+    partitionKey: deviceId,
+    rowKey: 'state',
+    reported: JSON.stringify(reported),
+    reportedAt: new Date().toISOString()
+  };
+  await getTableClient(TABLE_NAME_DEVICE_STATE).upsertEntity(update, "Merge");
+  return getDeviceState(deviceId);
+}
+
+async function deleteDeviceState(deviceId) {
+  try {
+    await getTableClient(TABLE_NAME_DEVICE_STATE).deleteEntity(deviceId, 'state');
+  } catch (err) {
+    if (err.statusCode !== 404) throw err;
+  }
+}
+
+module.exports = {
+  DESIRED_FIELDS,
+  validateDesiredChanges,
+  validateReported,
+  getDeviceState,
+  updateDesiredState,
+  recordReportedState,
+  deleteDeviceState
+};
@@ -0,0 +1,77 @@
+const { getTableClient, odata, TABLE_NAME_DEVICES } = require('./storage-service');
+
+/**
+ * Pending ownership transfers. When a device announces itself for someone
+ * other than its master, the request waits in the device's partition
+ * (RowKey "transfer") until the master or an admin approves or rejects it;
+ * meanwhile the device keeps its current owners. One pending request per
+ * device, a newer one replaces it.
+ */
+
+const TRANSFER_ROW = 'transfer';
+
+function toTransferResponse(entity) {
+  return {
+    deviceId: entity.partitionKey,
+    requestedEmail: entity.requestedEmail,
+    currentMaster: entity.currentMaster,
+    friendlyName: entity.friendlyName,
+    requestedAt: entity.requestedAt
+  };
+}
+
+async function getPendingTransfer(deviceId) {
+  try {
+    return toTransferResponse(await getTableClient(TABLE_NAME_DEVICES).getEntity(deviceId, TRANSFER_ROW));
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Records a request to move `deviceId` to `requestedEmail`. Returns the
+ * pending transfer and whether it is new (false when the same request was
+ * already waiting).
+ */
+async function requestTransfer(deviceId, { requestedEmail, currentMaster, friendlyName }) {
+  const existing = await getPendingTransfer(deviceId);
+  if (existing && existing.requestedEmail === requestedEmail && existing.currentMaster === currentMaster) {
+    return { transfer: existing, created: false };
+  }
+
+  const entity = {
+    partitionKey: deviceId,
+    rowKey: TRANSFER_ROW,
+    requestedEmail,
+    currentMaster,
+    friendlyName: friendlyName || deviceId,
+    requestedAt: new Date().toISOString()
+  };
+  await getTableClient(TABLE_NAME_DEVICES).upsertEntity(entity, "Replace");
+  return { transfer: toTransferResponse(entity), created: true };
+}
+
+async function clearTransfer(deviceId) {
+  try {
+    await getTableClient(TABLE_NAME_DEVICES).deleteEntity(deviceId, TRANSFER_ROW);
+  } catch (err) {
+    if (err.statusCode !== 404) throw err;
+  }
+}
+
+async function listPendingTransfers() {
+  const transfers = [];
+  const filter = odata`RowKey eq ${TRANSFER_ROW}`;
+  for await (const entity of getTableClient(TABLE_NAME_DEVICES).listEntities({ queryOptions: { filter } })) {
+    transfers.push(toTransferResponse(entity));
+  }
+  return transfers.sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
+}
+
+module.exports = {
+  getPendingTransfer,
+  requestTransfer,
+  clearTransfer,
+  listPendingTransfers
+};
@@ -0,0 +1,46 @@
+/**
+ * Picks how a command reaches a device. A device with an open socket (see
+ * websocket-transport.js) gets it over the socket; otherwise IoT Hub carries
+ * it (Direct Method, then C2D). Without IoT Hub configured, commands for a
+ * device that is not connected wait for its socket instead of only being
+ * logged.
+ *
+ * Both transports share one contract: sendCommandToDevice(deviceId, command,
+ * payload, { commandId, expiresAt }), getDevice(deviceId) and
+ * onFeedback(callback).
+ */
+class DeviceTransport {
+  constructor(iotHubService, webSocketTransport) {
+    this.iotHub = iotHubService;
+    this.webSocket = webSocketTransport;
+  }
+
+  transportFor(deviceId) {
+    return this.webSocket.isConnected(deviceId) || this.iotHub.mockMode ? this.webSocket : this.iotHub;
+  }
+
+  onFeedback(callback) {
+    this.iotHub.onFeedback(callback);
+    this.webSocket.onFeedback(callback);
+  }
+
+  async sendCommandToDevice(deviceId, command, payload = {}, options = {}) {
+    return this.transportFor(deviceId).sendCommandToDevice(deviceId, command, payload, options);
+  }
+
+  /**
+   * Tells the device its desired state changed. Only a socket can carry it
+   * right away; IoT Hub devices pick it up on their next state sync.
+   */
+  async notifyDesiredState(deviceId, state) {
+    return this.webSocket.sendDesiredState(deviceId, state);
+  }
+
+  async getDevice(deviceId) {
+    const transport = this.transportFor(deviceId);
+    const device = await transport.getDevice(deviceId);
+    return transport === this.iotHub ? { ...device, transport: 'iothub' } : device;
+  }
+}
+
+module.exports = DeviceTransport;
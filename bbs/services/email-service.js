@@ -0,0 +1,82 @@
+const nodemailer = require('nodemailer');
+const { getTableClient, TABLE_NAME_USERS } = require('./storage-service');
+const { renderEmail, DEFAULT_LANGUAGE } = require('./email-templates');
+
+const BREVO_SMTP_KEY = process.env.BREVO_SMTP_KEY;
+const BREVO_SMTP_USER = process.env.BREVO_SMTP_USER;
+const BREVO_SMTP_HOST = process.env.BREVO_SMTP_HOST || 'smtp-relay.brevo.com';
+const BREVO_SMTP_PORT = parseInt(process.env.BREVO_SMTP_PORT) || 587;
+const FROM_EMAIL = (process.env.FROM_EMAIL || 'noreply@espa-tv.com').trim();
+const FROM_NAME = (process.env.FROM_NAME || 'Espa TV Auth').trim();
+
+// Setup Nodemailer Transporter
+let mailTransporter = null;
+if (BREVO_SMTP_KEY && BREVO_SMTP_USER) {
+  mailTransporter = nodemailer.createTransport({
+    host: BREVO_SMTP_HOST,
+    port: BREVO_SMTP_PORT,
+    secure: false,
+    auth: {
+      user: BREVO_SMTP_USER,
+      pass: BREVO_SMTP_KEY,
+    },
+  });
+}
+
+async function sendEmail(to, { subject, text, html }) {
+  if (!mailTransporter) {
+    // Single line so the code in the body can be picked from the log
+    console.log(`[MOCK EMAIL] To: ${to} | Subject: ${subject} | Body: ${text.replace(/\s*\n\s*/g, ' ')}`);
+    return;
+  }
+
+  try {
+    await mailTransporter.sendMail({
+      from: `"${FROM_NAME}" <${FROM_EMAIL}>`,
+      to,
+      subject,
+      text,
+      html,
+    });
+    console.log(`📧 Email sent to ${to}`);
+  } catch (error) {
+    console.error('❌ SMTP Error:', error);
+    throw new Error('Email sending failed');
+  }
+}
+
+/**
+ * The user's preferred email language, or the default for unknown users.
+ */
+async function getUserLanguage(email) {
+  try {
+    const profile = await getTableClient(TABLE_NAME_USERS).getEntity(email, 'profile');
+    return profile.language || DEFAULT_LANGUAGE;
+  } catch (err) {
+    if (err.statusCode === 404) return DEFAULT_LANGUAGE;
+    throw err;
+  }
+}
+
+/**
+ * Renders a template in the recipient's language and sends it. Pass
+ * `language` to override the stored preference (e.g. before a profile exists).
+ */
+async function sendTemplatedEmail(to, template, data, { language } = {}) {
+  const lang = language || await getUserLanguage(to);
+  await sendEmail(to, renderEmail(template, data, lang));
+}
+
+/**
+ * Fire-and-forget variant for notifications that must not fail the request.
+ */
+function notifyByEmail(to, template, data) {
+  sendTemplatedEmail(to, template, data)
+    .catch(err => console.error(`❌ ${template} email to ${to} failed:`, err.message));
+}
+
+module.exports = {
+  sendTemplatedEmail,
+  notifyByEmail,
+  getUserLanguage
+};
@@ -0,0 +1,191 @@
+/**
+ * Transactional email templates in Finnish and English. Each template returns
+ * { subject, heading, paragraphs, code?, action? } and is rendered into both
+ * an HTML and a plain-text body by renderEmail().
+ */
+
+const SUPPORTED_LANGUAGES = ['fi', 'en'];
+const DEFAULT_LANGUAGE = 'fi';
+const APP_URL = (process.env.APP_URL || 'https://espa-tv-app.azurewebsites.net').replace(/\/+$/, '');
+
+// What a share lets the recipient do, by role
+const SHARE_ABILITIES = {
+  fi: {
+    operator: device => `ohjata laitteen ${device} toistoa`,
+    contributor: device => `lisätä lähetyksiä laitteelle ${device}`,
+    viewer: device => `nähdä, mitä laitteella ${device} toistetaan`
+  },
+  en: {
+    operator: device => `control playback on ${device}`,
+    contributor: device => `post streams to ${device}`,
+    viewer: device => `see what is playing on ${device}`
+  }
+};
+
+// Mails go to Finnish clubs; dates are shown in Finnish time
+function formatDate(iso, lang) {
+  return new Date(iso).toLocaleString(lang === 'fi' ? 'fi-FI' : 'en-GB', { timeZone: 'Europe/Helsinki', dateStyle: 'short', timeStyle: 'short' });
+}
+
+const templates = {
+  otp: {
+    fi: ({ code, minutes }) => ({
+      subject: 'ESPA TV: Vahvistuskoodisi',
+      heading: 'Tervetuloa ESPA TV -palveluun',
+      paragraphs: ['Vahvistuskoodisi on:', `Koodi on voimassa ${minutes} minuuttia. Jos et pyytänyt koodia, voit jättää tämän viestin huomiotta.`],
+      code
+    }),
+    en: ({ code, minutes }) => ({
+      subject: 'ESPA TV: Your verification code',
+      heading: 'Welcome to ESPA TV',
+      paragraphs: ['Your verification code is:', `The code is valid for ${minutes} minutes. If you did not request it, you can ignore this message.`],
+      code
+    })
+  },
+
+  shareInvitation: {
+    fi: ({ deviceName, sharedBy, role = 'contributor', expiresAt = null }) => ({
+      subject: `ESPA TV: ${deviceName} jaettiin kanssasi`,
+      heading: 'Sinulle jaettiin laite',
+      paragraphs: [
+        `${sharedBy} kutsui sinut: saat oikeuden ${SHARE_ABILITIES.fi[role](deviceName)}.`,
+        ...(expiresAt ? [`Käyttöoikeus on voimassa ${formatDate(expiresAt, 'fi')} asti.`] : []),
+        'Kirjaudu sisään sähköpostiosoitteellasi ja hyväksy kutsu.'
+      ],
+      action: { label: 'Avaa ESPA TV', url: APP_URL }
+    }),
+    en: ({ deviceName, sharedBy, role = 'contributor', expiresAt = null }) => ({
+      subject: `ESPA TV: ${deviceName} was shared with you`,
+      heading: 'A device was shared with you',
+      paragraphs: [
+        `${sharedBy} invited you to ${SHARE_ABILITIES.en[role](deviceName)}.`,
+        ...(expiresAt ? [`Access is valid until ${formatDate(expiresAt, 'en')}.`] : []),
+        'Sign in with your email address and accept the invitation.'
+      ],
+      action: { label: 'Open ESPA TV', url: APP_URL }
+    })
+  },
+
+  deviceTransferred: {
+    fi: ({ deviceName, deviceId, newOwner }) => ({
+      subject: `ESPA TV: ${deviceName} siirtyi toiselle käyttäjälle`,
+      heading: 'Laitteen omistaja vaihtui',
+      paragraphs: [`Laite ${deviceName} (${deviceId}) on nyt käyttäjän ${newOwner} hallinnassa, eikä se enää näy tililläsi.`, 'Jos et tunnista muutosta, ota yhteyttä ylläpitoon.']
+    }),
+    en: ({ deviceName, deviceId, newOwner }) => ({
+      subject: `ESPA TV: ${deviceName} was transferred`,
+      heading: 'Device owner changed',
+      paragraphs: [`The device ${deviceName} (${deviceId}) is now managed by ${newOwner} and no longer appears on your account.`, 'If you do not recognise this change, contact the administrators.']
+    })
+  },
+
+  transferRequested: {
+    fi: ({ deviceName, deviceId, requestedBy }) => ({
+      subject: `ESPA TV: ${deviceName} pyytää omistajan vaihtoa`,
+      heading: 'Hyväksytkö laitteen siirron?',
+      paragraphs: [`Laite ${deviceName} (${deviceId}) ilmoittautui käyttäjälle ${requestedBy}. Laite siirtyy vasta, kun hyväksyt pyynnön, ja toimii siihen asti kuten ennenkin.`, 'Hyväksy tai hylkää pyyntö ESPA TV:ssä. Jos et tunnista pyyntöä, hylkää se.'],
+      action: { label: 'Avaa ESPA TV', url: APP_URL }
+    }),
+    en: ({ deviceName, deviceId, requestedBy }) => ({
+      subject: `ESPA TV: ${deviceName} requests a new owner`,
+      heading: 'Approve the device transfer?',
+      paragraphs: [`The device ${deviceName} (${deviceId}) announced itself for ${requestedBy}. It only moves once you approve the request and keeps working as before until then.`, 'Approve or reject the request in ESPA TV. If you do not recognise it, reject it.'],
+      action: { label: 'Open ESPA TV', url: APP_URL }
+    })
+  },
+
+  accountLocked: {
+    fi: ({ minutes }) => ({
+      subject: 'ESPA TV: Tilisi on lukittu',
+      heading: 'Liian monta väärää PIN-koodia',
+      paragraphs: [`Tilisi on lukittu ${minutes} minuutiksi toistuvien epäonnistuneiden kirjautumisten vuoksi.`, 'Jos unohdit PIN-koodisi, voit asettaa uuden sähköpostikoodin avulla. Jos et yrittänyt kirjautua, ilmoita ylläpitoon.'],
+      action: { label: 'Avaa ESPA TV', url: APP_URL }
+    }),
+    en: ({ minutes }) => ({
+      subject: 'ESPA TV: Your account is locked',
+      heading: 'Too many wrong PINs',
+      paragraphs: [`Your account has been locked for ${minutes} minutes after repeated failed sign-ins.`, 'If you forgot your PIN, you can set a new one with an email code. If this was not you, let the administrators know.'],
+      action: { label: 'Open ESPA TV', url: APP_URL }
+    })
+  }
+};
+
+// Example data for the development preview route
+const sampleData = {
+  otp: { code: '123456', minutes: 10 },
+  shareInvitation: { deviceName: 'Klubitalo', sharedBy: 'valmentaja@espa.fi', role: 'contributor', expiresAt: '2025-06-15T18:00:00.000Z' },
+  deviceTransferred: { deviceName: 'Klubitalo', deviceId: 'rpi-a4f637f7591a24fe', newOwner: 'toimisto@espa.fi' },
+  transferRequested: { deviceName: 'Klubitalo', deviceId: 'rpi-a4f637f7591a24fe', requestedBy: 'toimisto@espa.fi' },
+  accountLocked: { minutes: 15 }
+};
+
+function resolveLanguage(language) {
+  const lang = String(language || '').toLowerCase().slice(0, 2);
+  return SUPPORTED_LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function renderHtml({ heading, paragraphs, code, action }, lang) {
+  const body = [
+    `<h1 style="margin:0 0 16px; font-size:20px; color:#0071e3;">${escapeHtml(heading)}</h1>`,
+    `<p style="margin:0 0 12px;">${escapeHtml(paragraphs[0])}</p>`,
+    code ? `<p style="margin:0 0 16px; font-size:28px; font-weight:bold; letter-spacing:6px;">${escapeHtml(code)}</p>` : '',
+    ...paragraphs.slice(1).map(p => `<p style="margin:0 0 12px;">${escapeHtml(p)}</p>`),
+    action ? `<p style="margin:20px 0 0;"><a href="${escapeHtml(action.url)}" style="background:#0071e3; color:#fff; padding:10px 18px; border-radius:4px; text-decoration:none;">${escapeHtml(action.label)}</a></p>` : ''
+  ].filter(Boolean).join('\n      ');
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head><meta charset="UTF-8"></head>
+<body style="margin:0; padding:24px; background:#f3f2f1; font-family:-apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color:#323130;">
+  <div style="max-width:480px; margin:0 auto; background:#fff; border-radius:8px; padding:24px;">
+      ${body}
+  </div>
+  <p style="text-align:center; font-size:12px; color:#a19f9d;">ESPA TV</p>
+</body>
+</html>`;
+}
+
+function renderText({ heading, paragraphs, code, action }) {
+  const lines = [heading, '', paragraphs[0]];
+  if (code) lines.push('', `    ${code}`);
+  for (const p of paragraphs.slice(1)) lines.push('', p);
+  if (action) lines.push('', `${action.label}: ${action.url}`);
+  lines.push('', '-- ', 'ESPA TV');
+  return lines.join('\n');
+}
+
+/**
+ * Renders a template into { subject, html, text, language }.
+ * Throws for unknown template names.
+ */
+function renderEmail(name, data, language) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+
+  const lang = resolveLanguage(language);
+  const content = template[lang](data);
+  return {
+    subject: content.subject,
+    html: renderHtml(content, lang),
+    text: renderText(content),
+    language: lang
+  };
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  TEMPLATE_NAMES: Object.keys(templates),
+  sampleData,
+  resolveLanguage,
+  renderEmail
+};
@@ -0,0 +1,33 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process pub/sub for entry changes, keyed by device key.
+ * Feeds the Server-Sent Events stream; subscribers only see writes handled
+ * by this instance.
+ */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open SSE connection
+
+function channel(key) {
+  return `entries:${key}`;
+}
+
+/**
+ * Publishes an entry change ('created', 'updated' or 'deleted') for a key.
+ */
+function publishEntryEvent(key, type, entry) {
+  emitter.emit(channel(key), { type, key, entry });
+}
+
+/**
+ * Subscribes to entry changes for a key. Returns an unsubscribe function.
+ */
+function subscribeToEntries(key, listener) {
+  emitter.on(channel(key), listener);
+  return () => emitter.off(channel(key), listener);
+}
+
+module.exports = {
+  publishEntryEvent,
+  subscribeToEntries
+};
@@ -0,0 +1,273 @@
+const { getTableClient, odata, TABLE_NAME_ENTRIES } = require('./storage-service');
+
+// Azure Tables returns rows in ascending RowKey order. New entries use inverted
+// ticks ("0" + 13 digits) so the newest sort first. Legacy keys ("<ms>-<rand>")
+// start with "1" and are read after them, newest first, from a bounded scan.
+const MAX_TICKS = 9999999999999;
+const INVERTED_KEY_LENGTH = 14;
+const LEGACY_KEY_FLOOR = '1';
+const MAX_LEGACY_SCAN = 200;
+const START_ROW_KEY = '0'; // Sorts before every inverted key, i.e. "from the top"
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_EDIT_LOG = 20;
+const MAX_PAGE_SIZE = 100;
+
+function invertedTicks(ms) {
+  return String(MAX_TICKS - ms).padStart(INVERTED_KEY_LENGTH, '0');
+}
+
+function newEntryRowKey(now = Date.now()) {
+  return `${invertedTicks(now)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function isLegacyRowKey(rowKey) {
+  return String(rowKey) >= LEGACY_KEY_FLOOR;
+}
+
+function encodeCursor(rowKey) {
+  return Buffer.from(String(rowKey), 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  const rowKey = Buffer.from(String(cursor), 'base64url').toString('utf8');
+  return rowKey || null;
+}
+
+// Deleted entries stay in the table as tombstones so the change log survives
+function isDeletedEntry(entity) {
+  return !!entity.deletedAt;
+}
+
+function isScheduledEntry(entity) {
+  return !!entity.startsAt;
+}
+
+/**
+ * Schedule status of an entry at `now`: 'upcoming', 'live', 'expired',
+ * or null for unscheduled entries.
+ */
+function scheduleStatus(entity, now = Date.now()) {
+  if (!isScheduledEntry(entity)) return null;
+  if (now < Date.parse(entity.startsAt)) return 'upcoming';
+  if (entity.endsAt && now >= Date.parse(entity.endsAt)) return 'expired';
+  return 'live';
+}
+
+function toEntryResponse(entity, { now = Date.now(), activeRowKey = null } = {}) {
+  const entry = {
+    rowKey: entity.rowKey,
+    value1: entity.value1,
+    value2: entity.value2,
+    timestamp: entity.timestamp
+  };
+  if (entity.updatedAt) entry.updatedAt = entity.updatedAt;
+  if (isScheduledEntry(entity)) {
+    entry.startsAt = entity.startsAt;
+    entry.endsAt = entity.endsAt || null;
+    entry.status = scheduleStatus(entity, now);
+  }
+  entry.active = !!activeRowKey && entity.rowKey === activeRowKey;
+  return entry;
+}
+
+function andFilters(...parts) {
+  return parts.filter(Boolean).map(p => `(${p})`).join(' and ');
+}
+
+// Time-window filters expressed as RowKey ranges so Azure can use the index
+function invertedRangeFilter(since, until) {
+  return andFilters(
+    odata`RowKey lt ${LEGACY_KEY_FLOOR}`,
+    since && odata`RowKey lt ${invertedTicks(since.getTime()) + '.'}`,
+    until && odata`RowKey ge ${invertedTicks(until.getTime())}`
+  );
+}
+
+function legacyRangeFilter(since, until) {
+  return andFilters(
+    odata`RowKey ge ${LEGACY_KEY_FLOOR}`,
+    since && odata`RowKey ge ${String(since.getTime())}`,
+    until && odata`RowKey lt ${String(until.getTime()) + '.'}`
+  );
+}
+
+/**
+ * Yields the live (non-deleted) entities for a key, newest first, starting
+ * after the given RowKey.
+ */
+async function* entriesNewestFirst(key, { after = null, since = null, until = null } = {}) {
+  const client = getTableClient(TABLE_NAME_ENTRIES);
+
+  if (!after || !isLegacyRowKey(after)) {
+    const filter = andFilters(
+      odata`PartitionKey eq ${key}`,
+      invertedRangeFilter(since, until),
+      after && odata`RowKey gt ${after}`
+    );
+    for await (const entity of client.listEntities({ queryOptions: { filter } })) {
+      if (!isDeletedEntry(entity)) yield entity;
+    }
+  }
+
+  const filter = andFilters(
+    odata`PartitionKey eq ${key}`,
+    legacyRangeFilter(since, until),
+    after && isLegacyRowKey(after) && odata`RowKey lt ${after}`
+  );
+  const legacy = [];
+  let scanned = 0;
+  for await (const entity of client.listEntities({ queryOptions: { filter } })) {
+    if (!isDeletedEntry(entity)) legacy.push(entity);
+    if (++scanned >= MAX_LEGACY_SCAN) break;
+  }
+  legacy.sort((a, b) => String(b.rowKey).localeCompare(String(a.rowKey)));
+  yield* legacy;
+}
+
+/**
+ * Resolves the entry a device should play at `now`: the live scheduled entry
+ * with the latest start, otherwise the newest unscheduled entry.
+ */
+async function resolveActiveEntry(key, now = Date.now()) {
+  const client = getTableClient(TABLE_NAME_ENTRIES);
+  const filter = andFilters(
+    odata`PartitionKey eq ${key}`,
+    odata`startsAt le ${new Date(now).toISOString()}`
+  );
+
+  let active = null;
+  for await (const entity of client.listEntities({ queryOptions: { filter } })) {
+    if (isDeletedEntry(entity) || scheduleStatus(entity, now) !== 'live') continue;
+    if (!active || entity.startsAt > active.startsAt) active = entity;
+  }
+  if (active) return active;
+
+  for await (const entity of entriesNewestFirst(key)) {
+    if (!isScheduledEntry(entity)) return entity;
+  }
+  return null;
+}
+
+/**
+ * Reads one page of entries for a key, newest first.
+ * Returns { entries, nextCursor } where nextCursor is null on the last page.
+ * With `activeFirst` (the device view) the first page leads with the entry
+ * that is active right now, so clients reading entries[0] play the right one.
+ */
+async function listEntriesPage(key, { limit = DEFAULT_PAGE_SIZE, cursor = null, since = null, until = null, activeFirst = false } = {}) {
+  const now = Date.now();
+  const after = decodeCursor(cursor);
+  const wanted = limit + 1; // One extra row tells us whether another page exists
+  const rows = [];
+
+  for await (const entity of entriesNewestFirst(key, { after, since, until })) {
+    rows.push(entity);
+    if (rows.length >= wanted) break;
+  }
+
+  const active = await resolveActiveEntry(key, now);
+  const activeRowKey = active ? active.rowKey : null;
+
+  let page = rows.slice(0, limit);
+  let hasMore = rows.length > limit;
+  let resumeAfter = page.length > 0 ? page[page.length - 1].rowKey : null;
+
+  if (activeFirst && !after && active) {
+    const rest = page.filter(e => e.rowKey !== active.rowKey);
+    if (rest.length === page.length) {
+      // The active entry comes from deeper history: make room for it and let
+      // the next page pick up the row it displaced
+      const kept = rest.slice(0, limit - 1);
+      hasMore = hasMore || kept.length < rest.length;
+      resumeAfter = kept.length > 0 ? kept[kept.length - 1].rowKey : START_ROW_KEY;
+      page = [active, ...kept];
+    } else {
+      page = [active, ...rest];
+    }
+  }
+
+  return {
+    entries: page.map(e => toEntryResponse(e, { now, activeRowKey })),
+    nextCursor: hasMore && resumeAfter ? encodeCursor(resumeAfter) : null,
+    activeRowKey
+  };
+}
+
+/**
+ * Returns the entries created after the given RowKey, oldest first, so a
+ * reconnecting stream client can replay what it missed.
+ */
+async function listEntriesCreatedAfter(key, rowKey, max = MAX_PAGE_SIZE) {
+  if (!rowKey || isLegacyRowKey(rowKey)) return [];
+  const client = getTableClient(TABLE_NAME_ENTRIES);
+  const filter = andFilters(
+    odata`PartitionKey eq ${key}`,
+    odata`RowKey lt ${rowKey}`
+  );
+
+  const newer = [];
+  for await (const entity of client.listEntities({ queryOptions: { filter } })) {
+    if (!isDeletedEntry(entity)) newer.push(entity);
+    if (newer.length >= max) break;
+  }
+  return newer.reverse();
+}
+
+/**
+ * Counts the entries for a key inside the optional time window.
+ */
+async function countEntries(key, { since = null, until = null } = {}) {
+  const client = getTableClient(TABLE_NAME_ENTRIES);
+  const filter = andFilters(
+    odata`PartitionKey eq ${key}`,
+    `(${invertedRangeFilter(since, until)}) or (${legacyRangeFilter(since, until)})`
+  );
+  let total = 0;
+  for await (const entity of client.listEntities({ queryOptions: { filter, select: ['RowKey', 'deletedAt'] } })) {
+    if (!isDeletedEntry(entity)) total++;
+  }
+  return total;
+}
+
+/**
+ * Loads a single live entry, or null when it does not exist or was deleted.
+ */
+async function getEntry(key, rowKey) {
+  const client = getTableClient(TABLE_NAME_ENTRIES);
+  try {
+    const entity = await client.getEntity(key, rowKey);
+    return isDeletedEntry(entity) ? null : entity;
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Appends a change record to the entity's edit log (kept as a JSON string
+ * because table properties must be scalars).
+ */
+function appendEditLog(entity, record) {
+  let log = [];
+  try {
+    log = entity.editLog ? JSON.parse(entity.editLog) : [];
+  } catch (_) {}
+  log.push(record);
+  return JSON.stringify(log.slice(-MAX_EDIT_LOG));
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  newEntryRowKey,
+  andFilters,
+  listEntriesPage,
+  resolveActiveEntry,
+  listEntriesCreatedAfter,
+  countEntries,
+  getEntry,
+  appendEditLog,
+  toEntryResponse
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { getTableClient, odata, TABLE_NAME_GROUPS } = require('./storage-service');
+
+/**
+ * Device groups ("clubhouse screens"). A group belongs to the user who made
+ * it (PartitionKey = owner email) and is only a list of device IDs: it grants
+ * nothing, so every bulk operation is checked against each member's
+ * permissions when it runs.
+ */
+
+const MAX_GROUP_DEVICES = 50;
+
+function parseList(value) {
+  return String(value || '').split(',').filter(Boolean);
+}
+
+function toGroupResponse(entity) {
+  return {
+    id: entity.rowKey,
+    name: entity.name,
+    deviceIds: parseList(entity.deviceIds),
+    createdAt: entity.createdAt,
+    updatedAt: entity.updatedAt || null
+  };
+}
+
+/**
+ * Validates a create (or, with `partial`, an update) request. Returns an
+ * error message or null.
+ */
+function validateGroup({ name, deviceIds }, { partial = false } = {}) {
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string' || !name.trim()) return 'name required';
+    if (name.length > 100) return 'name too long';
+  }
+  if (deviceIds !== undefined || !partial) {
+    if (!Array.isArray(deviceIds) || deviceIds.length === 0) return 'deviceIds must be a non-empty array';
+    if (deviceIds.some(id => typeof id !== 'string' || !id || id.includes(','))) return 'deviceIds must be device IDs';
+    if (deviceIds.length > MAX_GROUP_DEVICES) return `A group can have at most ${MAX_GROUP_DEVICES} devices`;
+  }
+  return null;
+}
+
+async function listGroups(email) {
+  const groups = [];
+  const filter = odata`PartitionKey eq ${email}`;
+  for await (const entity of getTableClient(TABLE_NAME_GROUPS).listEntities({ queryOptions: { filter } })) {
+    groups.push(toGroupResponse(entity));
+  }
+  return groups.sort((a, b) => a.name.localeCompare(b.name, 'fi'));
+}
+
+async function getGroup(email, id) {
+  try {
+    return toGroupResponse(await getTableClient(TABLE_NAME_GROUPS).getEntity(email, id));
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+async function createGroup(email, { name, deviceIds }) {
+  const entity = {
+    partitionKey: email,
+    rowKey: crypto.randomBytes(8).toString('hex'),
+    name: name.trim(),
+    deviceIds: [...new Set(deviceIds)].join(','),
+    createdAt: new Date().toISOString()
+  };
+  await getTableClient(TABLE_NAME_GROUPS).createEntity(entity);
+  return toGroupResponse(entity);
+}
+
+/**
+ * Renames a group and/or replaces its members. Returns the group, or null
+ * when the user has no such group.
+ */
+async function updateGroup(email, id, { name, deviceIds }) {
+  const group = await getGroup(email, id);
+  if (!group) return null;
+
+  const update = { partitionKey: email, rowKey: id, updatedAt: new Date().toISOString() };
+  if (name !== undefined) update.name = name.trim();
+  if (deviceIds !== undefined) update.deviceIds = [...new Set(deviceIds)].join(',');
+  await getTableClient(TABLE_NAME_GROUPS).updateEntity(update, "Merge");
+  return getGroup(email, id);
+}
+
+async function deleteGroup(email, id) {
+  try {
+    await getTableClient(TABLE_NAME_GROUPS).deleteEntity(email, id);
+    return true;
+  } catch (err) {
+    if (err.statusCode === 404) return false;
+    throw err;
+  }
+}
+
+module.exports = {
+  MAX_GROUP_DEVICES,
+  validateGroup,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup
+};
@@ -0,0 +1,67 @@
+/**
+ * JSON for table columns with a length limit. Cutting the serialised text
+ * leaves JSON nobody can parse, so an oversized value is trimmed first and
+ * marked `truncated`:
+ *   array  -> { items: <first items that fit>, truncated: true, total }
+ *   object -> the leading properties that fit, plus truncated: true
+ *   string -> the start of the string
+ */
+
+const TRUNCATED_ARRAY_OVERHEAD = '{"items":[],"truncated":true,"total":}'.length;
+
+function jsonLength(value) {
+  const json = JSON.stringify(value);
+  return json === undefined ? 0 : json.length;
+}
+
+function trimArray(array, maxLength) {
+  let length = TRUNCATED_ARRAY_OVERHEAD + String(array.length).length;
+  const items = [];
+  for (const item of array) {
+    length += jsonLength(item === undefined ? null : item) + (items.length ? 1 : 0);
+    if (length > maxLength) break;
+    items.push(item);
+  }
+  return { items, truncated: true, total: array.length };
+}
+
+function trimObject(object, maxLength) {
+  let length = jsonLength({ truncated: true });
+  const kept = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined || typeof value === 'function') continue;
+    const entryLength = jsonLength(key) + 1 + jsonLength(value) + 1;
+    if (length + entryLength > maxLength) continue; // A later, shorter property may still fit
+    kept[key] = value;
+    length += entryLength;
+  }
+  kept.truncated = true;
+  return kept;
+}
+
+function trimString(string, maxLength) {
+  // Escapes make the JSON longer than the string, so shrink until it fits
+  let end = Math.max(maxLength - 2, 0);
+  while (end > 0 && jsonLength(string.slice(0, end)) > maxLength) end = Math.floor(end * 0.9);
+  return string.slice(0, end);
+}
+
+/**
+ * JSON.stringify(value), trimmed as above to at most `maxLength` characters.
+ */
+function stringifyWithin(value, maxLength) {
+  const json = JSON.stringify(value);
+  if (json === undefined || json.length <= maxLength) return json;
+
+  let trimmed = null;
+  if (Array.isArray(value)) trimmed = trimArray(value, maxLength);
+  else if (value && typeof value === 'object') trimmed = trimObject(value, maxLength);
+  else if (typeof value === 'string') trimmed = trimString(value, maxLength);
+
+  const result = JSON.stringify(trimmed);
+  return result.length <= maxLength ? result : JSON.stringify({ truncated: true });
+}
+
+module.exports = {
+  stringifyWithin
+};
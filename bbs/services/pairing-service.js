@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { getTableClient, TABLE_NAME_PAIRING_CODES } = require('./storage-service');
+
+/**
+ * Pairing codes let a user claim the device shown on a TV without typing its
+ * ID. The Pi requests a code, shows it on the splash screen and polls its
+ * status with the poll token it got alongside; a logged-in user redeems the
+ * code once, before it expires. The device's new credential rides along on
+ * the first poll that sees the code claimed, and is then dropped.
+ */
+
+const PAIRING_PARTITION = 'pairing';
+const PAIRING_CODE_TTL_MS = 5 * 60 * 1000;
+const PAIRING_CODE_LENGTH = 6;
+const PAIRING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const MAX_CREATE_ATTEMPTS = 5;
+
+const redeeming = new Set();
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < PAIRING_CODE_LENGTH; i++) {
+    code += PAIRING_ALPHABET[crypto.randomInt(PAIRING_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Accepts "abc-123", " ABC123 " etc. as typed by a user
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+async function getPairing(code) {
+  try {
+    return await getTableClient(TABLE_NAME_PAIRING_CODES).getEntity(PAIRING_PARTITION, normalizeCode(code));
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+function pairingStatus(entity, now = Date.now()) {
+  if (entity.status === 'claimed') return 'claimed';
+  return entity.expiresAt <= now ? 'expired' : 'pending';
+}
+
+/**
+ * Issues a code for a device. Returns { code, pollToken, expiresAt }.
+ */
+async function createPairingCode(deviceId, friendlyName = '') {
+  const client = getTableClient(TABLE_NAME_PAIRING_CODES);
+  const pollToken = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = Date.now() + PAIRING_CODE_TTL_MS;
+
+  for (let attempt = 1; attempt <= MAX_CREATE_ATTEMPTS; attempt++) {
+    const code = generateCode();
+    const existing = await getPairing(code);
+    if (existing && pairingStatus(existing) === 'pending') continue; // Expired and used codes are recycled
+
+    await client.upsertEntity({
+      partitionKey: PAIRING_PARTITION,
+      rowKey: code,
+      deviceId,
+      friendlyName: String(friendlyName).slice(0, 100),
+      pollTokenHash: hashToken(pollToken),
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      expiresAt
+    }, "Replace");
+    return { code, pollToken, expiresAt: new Date(expiresAt).toISOString() };
+  }
+  throw new Error('Could not allocate a pairing code');
+}
+
+/**
+ * Status for the Pi: { status, masterEmail?, friendlyName?, deviceSecret? },
+ * or null for an unknown code or wrong poll token.
+ */
+async function getPairingStatus(code, pollToken) {
+  const entity = await getPairing(code);
+  if (!entity || entity.pollTokenHash !== hashToken(String(pollToken || ''))) return null;
+
+  const status = pairingStatus(entity);
+  if (status !== 'claimed') return { status };
+
+  const result = { status, masterEmail: entity.claimedBy, friendlyName: entity.friendlyName };
+  if (entity.deviceSecret) {
+    result.deviceSecret = entity.deviceSecret;
+    await getTableClient(TABLE_NAME_PAIRING_CODES).updateEntity({
+      partitionKey: PAIRING_PARTITION,
+      rowKey: entity.rowKey,
+      deviceSecret: ''
+    }, "Merge");
+  }
+  return result;
+}
+
+/**
+ * The pending pairing behind a code, or null when it is unknown, expired or
+ * already used.
+ */
+async function getPendingPairing(code) {
+  const entity = await getPairing(code);
+  return entity && pairingStatus(entity) === 'pending' ? entity : null;
+}
+
+/**
+ * Marks a pending code as used and returns { deviceId, friendlyName }, or null
+ * when the code is unknown, expired or already used. A `friendlyName` given
+ * by the user replaces the one the Pi suggested; `deviceSecret` is kept for
+ * the Pi to collect.
+ */
+async function redeemPairingCode(code, email, friendlyName = '', deviceSecret = '') {
+  const key = normalizeCode(code);
+  if (redeeming.has(key)) return null;
+  redeeming.add(key);
+
+  try {
+    const entity = await getPendingPairing(key);
+    if (!entity) return null;
+
+    await getTableClient(TABLE_NAME_PAIRING_CODES).updateEntity({
+      partitionKey: PAIRING_PARTITION,
+      rowKey: key,
+      status: 'claimed',
+      claimedBy: email,
+      claimedAt: new Date().toISOString(),
+      friendlyName: friendlyName || entity.friendlyName,
+      deviceSecret
+    }, "Merge");
+    return { deviceId: entity.deviceId, friendlyName: friendlyName || entity.friendlyName };
+  } finally {
+    redeeming.delete(key);
+  }
+}
+
+module.exports = {
+  PAIRING_CODE_TTL_MS,
+  createPairingCode,
+  getPairingStatus,
+  getPendingPairing,
+  redeemPairingCode
+};
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const { getTableClient, odata, TABLE_NAME_SCHEDULES } = require('./storage-service');
+const { validateCron, isValidTimeZone, nextCronRun } = require('./cron-expression');
+const { stringifyWithin } = require('./limited-json');
+
+/**
+ * Scheduled jobs: a command (or a posted entry) for a device or a group,
+ * either once (`runAt`) or on a cron expression. Jobs belong to the user who
+ * made them (PartitionKey = owner email) and run with that user's
+ * permissions as they stand at run time.
+ *
+ * The sweep looks for enabled jobs whose `nextRunAt` has passed, moves
+ * `nextRunAt` on before running them and records the outcome afterwards, so
+ * jobs survive restarts. Moving it on is conditional on the row's etag: when
+ * several server instances sweep at once only the one whose write lands
+ * runs the job. A run missed by more than MISSED_RUN_GRACE_MS (the
+ * server was down) is skipped and recorded as `missed`.
+ */
+
+const SCHEDULE_ACTIONS = ['play', 'pause', 'fullscreen', 'change-track', 'status', 'restart', 'entry'];
+const DEFAULT_TIME_ZONE = process.env.SCHEDULE_TIME_ZONE || 'Europe/Helsinki';
+const MAX_JOBS_PER_USER = 50;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+const MISSED_RUN_GRACE_MS = 15 * 60 * 1000;
+const MAX_RESULTS_LENGTH = 2000;
+
+let sweepTimer = null;
+const inFlight = new Set();
+
+function parseJson(value, fallback = null) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function toJobResponse(entity) {
+  return {
+    id: entity.rowKey,
+    name: entity.name,
+    deviceId: entity.deviceId || null,
+    groupId: entity.groupId || null,
+    action: entity.action,
+    payload: parseJson(entity.payload, {}),
+    runAt: entity.runAt || null,
+    cron: entity.cron || null,
+    timeZone: entity.timeZone,
+    enabled: entity.enabled === true,
+    nextRunAt: entity.nextRunAt || null,
+    lastRunAt: entity.lastRunAt || null,
+    lastOutcome: entity.lastOutcome || null,
+    lastResults: parseJson(entity.lastResults),
+    runCount: entity.runCount || 0,
+    createdAt: entity.createdAt,
+    updatedAt: entity.updatedAt || null
+  };
+}
+
+// When the job runs next, or null once a one-off has passed
+function computeNextRun({ runAt, cron, timeZone }, after = new Date()) {
+  if (cron) return nextCronRun(cron, after, timeZone);
+  return runAt && new Date(runAt) > after ? new Date(runAt) : null;
+}
+
+// An update naming a new target or timing replaces the other kind
+function mergeJob(current, changes) {
+  const job = { ...current, ...changes };
+  if (changes.deviceId) job.groupId = null;
+  if (changes.groupId) job.deviceId = null;
+  if (changes.cron) job.runAt = null;
+  if (changes.runAt) job.cron = null;
+  return job;
+}
+
+/**
+ * Validates a create (or, with `partial`, an update of the `current` job)
+ * request. Returns an error message or null. The target's permissions are
+ * the caller's business.
+ */
+function validateJob(body, { partial = false, current = {} } = {}) {
+  const job = mergeJob(current, body);
+  const { name, deviceId, groupId, action, payload, runAt, cron, timeZone, enabled } = job;
+
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== 'string' || !name.trim()) return 'name required';
+    if (name.length > 100) return 'name too long';
+  }
+  if (!!deviceId === !!groupId) return 'Exactly one of deviceId and groupId required';
+  if (!SCHEDULE_ACTIONS.includes(action)) return `action must be one of ${SCHEDULE_ACTIONS.join(', ')}`;
+  if (payload !== undefined && (typeof payload !== 'object' || payload === null || Array.isArray(payload))) {
+    return 'payload must be an object';
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be a boolean';
+  if (!!runAt === !!cron) return 'Exactly one of runAt and cron required';
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) return 'timeZone must be an IANA time zone, e.g. Europe/Helsinki';
+
+  if (cron) {
+    const cronError = validateCron(cron);
+    if (cronError) return cronError;
+    if (!nextCronRun(cron, new Date(), timeZone || DEFAULT_TIME_ZONE)) return 'cron never matches';
+  } else if ((body.runAt !== undefined || body.enabled === true || !partial) && !(new Date(runAt) > new Date())) {
+    return 'runAt must be a future ISO date';
+  }
+  return null;
+}
+
+async function getJobEntity(email, id) {
+  try {
+    return await getTableClient(TABLE_NAME_SCHEDULES).getEntity(email, id);
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+async function listJobs(email) {
+  const jobs = [];
+  const filter = odata`PartitionKey eq ${email}`;
+  for await (const entity of getTableClient(TABLE_NAME_SCHEDULES).listEntities({ queryOptions: { filter } })) {
+    jobs.push(toJobResponse(entity));
+  }
+  return jobs.sort((a, b) => (a.nextRunAt || '~').localeCompare(b.nextRunAt || '~'));
+}
+
+async function getJob(email, id) {
+  const entity = await getJobEntity(email, id);
+  return entity ? toJobResponse(entity) : null;
+}
+
+/**
+ * Stores a validated job. Returns the job, or null when the user already has
+ * MAX_JOBS_PER_USER jobs.
+ */
+async function createJob(email, { name, deviceId, groupId, action, payload = {}, runAt, cron, timeZone = DEFAULT_TIME_ZONE, enabled = true }) {
+  if ((await listJobs(email)).length >= MAX_JOBS_PER_USER) return null;
+
+  const nextRunAt = computeNextRun({ runAt, cron, timeZone });
+  const entity = {
+    partitionKey: email,
+    rowKey: crypto.randomBytes(8).toString('hex'),
+    name: name.trim(),
+    deviceId: deviceId || '',
+    groupId: groupId || '',
+    action,
+    payload: JSON.stringify(payload),
+    runAt: runAt ? new Date(runAt).toISOString() : '',
+    cron: cron ? cron.trim() : '',
+    timeZone,
+    enabled,
+    nextRunAt: enabled && nextRunAt ? nextRunAt.toISOString() : '',
+    runCount: 0,
+    createdAt: new Date().toISOString()
+  };
+  await getTableClient(TABLE_NAME_SCHEDULES).createEntity(entity);
+  return toJobResponse(entity);
+}
+
+/**
+ * Applies a validated update and works out `nextRunAt` again. Returns the
+ * job, or null when the user has no such job.
+ */
+async function updateJob(email, id, changes) {
+  const entity = await getJobEntity(email, id);
+  if (!entity) return null;
+
+  const merged = mergeJob(toJobResponse(entity), changes);
+  const nextRunAt = merged.enabled ? computeNextRun(merged) : null;
+  const update = {
+    partitionKey: email,
+    rowKey: id,
+    name: merged.name.trim(),
+    deviceId: merged.deviceId || '',
+    groupId: merged.groupId || '',
+    action: merged.action,
+    payload: JSON.stringify(merged.payload || {}),
+    runAt: merged.runAt ? new Date(merged.runAt).toISOString() : '',
+    cron: merged.cron ? merged.cron.trim() : '',
+    timeZone: merged.timeZone,
+    enabled: merged.enabled,
+    nextRunAt: nextRunAt ? nextRunAt.toISOString() : '',
+    updatedAt: new Date().toISOString()
+  };
+  await getTableClient(TABLE_NAME_SCHEDULES).updateEntity(update, "Merge");
+  return toJobResponse({ ...entity, ...update });
+}
+
+async function deleteJob(email, id) {
+  try {
+    await getTableClient(TABLE_NAME_SCHEDULES).deleteEntity(email, id);
+    return true;
+  } catch (err) {
+    if (err.statusCode === 404) return false;
+    throw err;
+  }
+}
+
+/**
+ * Records a run: `outcome` is success, partial, failure or missed and
+ * `results` what the run returned.
+ */
+async function recordJobRun(email, id, outcome, results) {
+  const entity = await getJobEntity(email, id);
+  if (!entity) return null;
+
+  const update = {
+    partitionKey: email,
+    rowKey: id,
+    lastRunAt: new Date().toISOString(),
+    lastOutcome: outcome,
+    lastResults: stringifyWithin(results || null, MAX_RESULTS_LENGTH),
+    runCount: (entity.runCount || 0) + 1
+  };
+  await getTableClient(TABLE_NAME_SCHEDULES).updateEntity(update, "Merge");
+  return toJobResponse({ ...entity, ...update });
+}
+
+async function runDueJob(entity, runJob, now) {
+  const key = `${entity.partitionKey}/${entity.rowKey}`;
+  if (inFlight.has(key)) return;
+  inFlight.add(key);
+
+  try {
+    const job = toJobResponse(entity);
+    const next = computeNextRun(job, now);
+
+    // Move on first: a crash mid-run must not run the job again on restart.
+    // A 412 means another sweep claimed this run (or the job was edited).
+    try {
+      await getTableClient(TABLE_NAME_SCHEDULES).updateEntity({
+        partitionKey: entity.partitionKey,
+        rowKey: entity.rowKey,
+        nextRunAt: next ? next.toISOString() : '',
+        enabled: !!next
+      }, "Merge", { etag: entity.etag });
+    } catch (err) {
+      if (err.statusCode === 412 || err.statusCode === 404) return;
+      throw err;
+    }
+
+    if (now.getTime() - new Date(job.nextRunAt).getTime() > MISSED_RUN_GRACE_MS) {
+      console.warn(`⏰ Skipping missed run of job "${job.name}" (${job.id}) due at ${job.nextRunAt}`);
+      await recordJobRun(entity.partitionKey, entity.rowKey, 'missed', { dueAt: job.nextRunAt });
+      return;
+    }
+
+    console.log(`⏰ Running job "${job.name}" (${job.id}) for ${entity.partitionKey}: ${job.action}`);
+    const { outcome, results } = await runJob(entity.partitionKey, job);
+    await recordJobRun(entity.partitionKey, entity.rowKey, outcome, results);
+  } catch (err) {
+    console.error(`❌ Scheduled job ${key} error:`, err.message);
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+async function sweepDueJobs(runJob) {
+  const now = new Date();
+  const filter = `(${odata`enabled eq ${true}`}) and (${odata`nextRunAt le ${now.toISOString()}`}) and (${odata`nextRunAt ne ${''}`})`;
+  const due = [];
+  for await (const entity of getTableClient(TABLE_NAME_SCHEDULES).listEntities({ queryOptions: { filter } })) {
+    due.push(entity);
+  }
+  for (const entity of due) {
+    await runDueJob(entity, runJob, now);
+  }
+}
+
+/**
+ * Starts the background sweep. `runJob(ownerEmail, job)` carries a job out
+ * and resolves to { outcome, results }. Safe to call more than once.
+ */
+function startScheduler(runJob) {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    sweepDueJobs(runJob).catch(err => console.error('❌ Schedule sweep error:', err.message));
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+module.exports = {
+  SCHEDULE_ACTIONS,
+  DEFAULT_TIME_ZONE,
+  MAX_JOBS_PER_USER,
+  mergeJob,
+  validateJob,
+  listJobs,
+  getJob,
+  createJob,
+  updateJob,
+  deleteJob,
+  recordJobRun,
+  startScheduler
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { getTableClient, odata, TABLE_NAME_USERS } = require('./storage-service');
+
+/**
+ * Login sessions, stored next to the user profile as "session_<id>" rows.
+ * Access tokens are short-lived JWTs carrying the session id; the opaque
+ * refresh token rotates on every use. Revoking a session deletes its row.
+ */
+
+const SESSION_PREFIX = 'session_';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const ACTIVE_CACHE_MS = 30 * 1000; // Other instances see a revocation within this window
+const ROTATION_GRACE_MS = 30 * 1000; // Two tabs refreshing at once both send the old token
+const MAX_ROTATE_ATTEMPTS = 3;
+
+const activeCache = new Map();
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function sessionRowKey(sid) {
+  return `${SESSION_PREFIX}${sid}`;
+}
+
+// "<base64url email>.<sid>.<secret>" so a refresh needs no other input
+function encodeRefreshToken(email, sid, secret) {
+  return `${Buffer.from(email, 'utf8').toString('base64url')}.${sid}.${secret}`;
+}
+
+function decodeRefreshToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || !parts[1] || !parts[2]) return null;
+  const email = Buffer.from(parts[0], 'base64url').toString('utf8');
+  return email ? { email, sid: parts[1], secret: parts[2] } : null;
+}
+
+async function getSession(email, sid) {
+  const client = getTableClient(TABLE_NAME_USERS);
+  try {
+    return await client.getEntity(email, sessionRowKey(sid));
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+function isExpired(session, now = Date.now()) {
+  return !session || session.expiresAt <= now;
+}
+
+/**
+ * Opens a session and returns { sid, refreshToken }.
+ */
+async function createSession(email, { userAgent = '', ip = '' } = {}) {
+  const sid = crypto.randomBytes(12).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  await getTableClient(TABLE_NAME_USERS).createEntity({
+    partitionKey: email,
+    rowKey: sessionRowKey(sid),
+    refreshTokenHash: hashToken(secret),
+    createdAt: new Date(now).toISOString(),
+    lastUsedAt: new Date(now).toISOString(),
+    expiresAt: now + REFRESH_TOKEN_TTL_MS,
+    userAgent: String(userAgent).slice(0, 200),
+    ip: String(ip)
+  });
+
+  activeCache.set(`${email}/${sid}`, now + ACTIVE_CACHE_MS);
+  return { sid, refreshToken: encodeRefreshToken(email, sid, secret) };
+}
+
+/**
+ * Exchanges a refresh token for a new one. Returns { email, sid, refreshToken }
+ * or null. Presenting an already rotated token revokes the session, since it
+ * means the token was copied; the token replaced in the last
+ * ROTATION_GRACE_MS is only refused, as it is what a second tab sends when
+ * both refresh at once.
+ */
+async function rotateRefreshToken(token, { ip = '' } = {}) {
+  const decoded = decodeRefreshToken(token);
+  if (!decoded) return null;
+
+  const { email, sid, secret } = decoded;
+  const presentedHash = hashToken(secret);
+
+  for (let attempt = 1; ; attempt++) {
+    const session = await getSession(email, sid);
+    if (isExpired(session)) return null;
+
+    if (session.refreshTokenHash !== presentedHash) {
+      const justReplaced = session.previousTokenHash === presentedHash &&
+        Date.now() - (session.rotatedAt || 0) < ROTATION_GRACE_MS;
+      if (justReplaced) return null;
+
+      console.warn(`⚠️ Refresh token reuse for ${email} (session ${sid}), revoking session`);
+      await revokeSession(email, sid);
+      return null;
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    try {
+      // Conditional, so of two rotations of the same token only one wins
+      await getTableClient(TABLE_NAME_USERS).updateEntity({
+        partitionKey: email,
+        rowKey: sessionRowKey(sid),
+        refreshTokenHash: hashToken(nextSecret),
+        previousTokenHash: presentedHash,
+        rotatedAt: now,
+        lastUsedAt: new Date(now).toISOString(),
+        expiresAt: now + REFRESH_TOKEN_TTL_MS,
+        ip: String(ip)
+      }, "Merge", { etag: session.etag });
+    } catch (err) {
+      if (err.statusCode === 404) return null; // Revoked meanwhile
+      if (err.statusCode !== 412 || attempt >= MAX_ROTATE_ATTEMPTS) throw err;
+      continue;
+    }
+
+    activeCache.set(`${email}/${sid}`, now + ACTIVE_CACHE_MS);
+    return { email, sid, refreshToken: encodeRefreshToken(email, sid, nextSecret) };
+  }
+}
+
+/**
+ * True while the session exists and has not expired.
+ */
+async function isSessionActive(email, sid) {
+  const key = `${email}/${sid}`;
+  const cachedUntil = activeCache.get(key);
+  if (cachedUntil && cachedUntil > Date.now()) return true;
+
+  const active = !isExpired(await getSession(email, sid));
+  if (active) activeCache.set(key, Date.now() + ACTIVE_CACHE_MS);
+  else activeCache.delete(key);
+  return active;
+}
+
+async function listSessions(email) {
+  const client = getTableClient(TABLE_NAME_USERS);
+  const filter = odata`PartitionKey eq ${email} and RowKey ge ${SESSION_PREFIX} and RowKey lt ${SESSION_PREFIX.slice(0, -1) + '`'}`;
+  const sessions = [];
+  for await (const entity of client.listEntities({ queryOptions: { filter } })) {
+    const sid = entity.rowKey.slice(SESSION_PREFIX.length);
+    if (isExpired(entity)) {
+      await revokeSession(email, sid);
+      continue;
+    }
+    sessions.push({
+      id: sid,
+      createdAt: entity.createdAt,
+      lastUsedAt: entity.lastUsedAt,
+      expiresAt: new Date(entity.expiresAt).toISOString(),
+      userAgent: entity.userAgent || '',
+      ip: entity.ip || ''
+    });
+  }
+  return sessions;
+}
+
+async function revokeSession(email, sid) {
+  activeCache.delete(`${email}/${sid}`);
+  try {
+    await getTableClient(TABLE_NAME_USERS).deleteEntity(email, sessionRowKey(sid));
+    return true;
+  } catch (err) {
+    if (err.statusCode === 404) return false;
+    throw err;
+  }
+}
+
+/**
+ * Revokes every session of a user except `keepSid`. Returns the count.
+ */
+async function revokeAllSessions(email, { keepSid = null } = {}) {
+  let revoked = 0;
+  for (const session of await listSessions(email)) {
+    if (session.id === keepSid) continue;
+    if (await revokeSession(email, session.id)) revoked++;
+  }
+  return revoked;
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
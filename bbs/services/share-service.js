@@ -0,0 +1,127 @@
+const { getTableClient, odata, TABLE_NAME_PERMISSIONS } = require('./storage-service');
+
+/**
+ * Shares are permission rows. Sharing a device writes a pending row (an
+ * invitation) that grants nothing until the invitee logs in and accepts it;
+ * a share with `expiresAt` stops granting access at that time. Rows written
+ * before invitations existed have no status and count as active.
+ */
+
+function shareStatus(perm, now = Date.now()) {
+  if (perm.expiresAt && new Date(perm.expiresAt).getTime() <= now) return 'expired';
+  return perm.status === 'pending' ? 'pending' : 'active';
+}
+
+function isShareActive(perm, now = Date.now()) {
+  return shareStatus(perm, now) === 'active';
+}
+
+/**
+ * Parses an optional share expiry. Returns null for none, undefined when
+ * invalid or not in the future.
+ */
+function parseShareExpiry(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime()) || date.getTime() <= now) return undefined;
+  return date;
+}
+
+function toShareResponse(perm) {
+  return {
+    email: perm.partitionKey,
+    role: perm.role,
+    addedBy: perm.addedBy,
+    status: shareStatus(perm),
+    invitedAt: perm.invitedAt || null,
+    acceptedAt: perm.acceptedAt || null,
+    expiresAt: perm.expiresAt || null
+  };
+}
+
+async function getShare(email, deviceId) {
+  try {
+    return await getTableClient(TABLE_NAME_PERMISSIONS).getEntity(email, deviceId);
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Shares a device with `email`. An active share only has its role and expiry
+ * updated; otherwise a new invitation replaces whatever was there. Returns
+ * { status: 'active' | 'pending' }.
+ */
+async function shareDevice(deviceId, email, { role, expiresAt = null, invitedBy }) {
+  const client = getTableClient(TABLE_NAME_PERMISSIONS);
+  const existing = await getShare(email, deviceId);
+
+  if (existing && isShareActive(existing)) {
+    await client.updateEntity({
+      partitionKey: email,
+      rowKey: deviceId,
+      role,
+      expiresAt: expiresAt ? expiresAt.toISOString() : ''
+    }, "Merge");
+    return { status: 'active' };
+  }
+
+  await client.upsertEntity({
+    partitionKey: email,
+    rowKey: deviceId,
+    role,
+    addedBy: invitedBy,
+    status: 'pending',
+    invitedAt: new Date().toISOString(),
+    expiresAt: expiresAt ? expiresAt.toISOString() : ''
+  }, "Replace");
+  return { status: 'pending' };
+}
+
+/**
+ * The user's open invitations: [{ deviceId, role, invitedBy, invitedAt, expiresAt }].
+ */
+async function listInvitations(email) {
+  const filter = odata`PartitionKey eq ${email}`;
+  const invitations = [];
+  for await (const perm of getTableClient(TABLE_NAME_PERMISSIONS).listEntities({ queryOptions: { filter } })) {
+    if (shareStatus(perm) !== 'pending') continue;
+    invitations.push({
+      deviceId: perm.rowKey,
+      role: perm.role,
+      invitedBy: perm.addedBy,
+      invitedAt: perm.invitedAt || null,
+      expiresAt: perm.expiresAt || null
+    });
+  }
+  return invitations;
+}
+
+/**
+ * Accepts or declines an open invitation. Returns the share, or null when
+ * there is no open invitation for the device.
+ */
+async function respondToInvitation(email, deviceId, accept) {
+  const perm = await getShare(email, deviceId);
+  if (!perm || shareStatus(perm) !== 'pending') return null;
+
+  const client = getTableClient(TABLE_NAME_PERMISSIONS);
+  if (!accept) {
+    await client.deleteEntity(email, deviceId);
+    return perm;
+  }
+  const acceptedAt = new Date().toISOString();
+  await client.updateEntity({ partitionKey: email, rowKey: deviceId, status: 'active', acceptedAt }, "Merge");
+  return { ...perm, status: 'active', acceptedAt };
+}
+
+module.exports = {
+  shareStatus,
+  isShareActive,
+  parseShareExpiry,
+  toShareResponse,
+  shareDevice,
+  listInvitations,
+  respondToInvitation
+};
@@ -1,23 +1,32 @@
-const { TableClient } = require('@azure/data-tables');
+const fs = require('fs');
+const path = require('path');
+const { TableClient, odata } = require('@azure/data-tables');
+const { compileFilter } = require('./table-filter');
 
 const TABLE_NAME_ENTRIES = process.env.TABLE_NAME || 'bbsEntries';
 const TABLE_NAME_USERS = 'bbsUsers';
 const TABLE_NAME_CONFIG = 'bbsConfig';
 const TABLE_NAME_DEVICES = 'bbsDevices';
 const TABLE_NAME_PERMISSIONS = 'bbsPermissions';
+const TABLE_NAME_WEBHOOKS = 'bbsWebhooks';
+const TABLE_NAME_WEBHOOK_DELIVERIES = 'bbsWebhookDeliveries';
+const TABLE_NAME_RATE_LIMITS = 'bbsRateLimits';
+const TABLE_NAME_API_KEYS = 'bbsApiKeys';
+const TABLE_NAME_AUDIT = 'bbsAudit';
+const TABLE_NAME_PAIRING_CODES = 'bbsPairingCodes';
+const TABLE_NAME_GROUPS = 'bbsGroups';
+const TABLE_NAME_COMMANDS = 'bbsCommands';
+const TABLE_NAME_SCHEDULES = 'bbsSchedules';
+const TABLE_NAME_DEVICE_STATE = 'bbsDeviceState';
 const STORAGE_CONNECTION_STRING = process.env.STORAGE_CONNECTION_STRING;
 
-// --- MOCK STORAGE IMPLEMENTATION ---
-const mockDb = {
-  [TABLE_NAME_ENTRIES]: [],
-  [TABLE_NAME_USERS]: [],
-  [TABLE_NAME_CONFIG]: [],
-  [TABLE_NAME_DEVICES]: [],
-  [TABLE_NAME_PERMISSIONS]: []
-};
+// --- LOCAL STORAGE IMPLEMENTATIONS ---
+// "memory" keeps everything in-process (lost on restart), "file" persists each
+// table as a JSON document under STORAGE_DATA_DIR. Both mimic Azure Tables.
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || (STORAGE_CONNECTION_STRING ? 'azure' : 'memory')).toLowerCase();
+const STORAGE_DATA_DIR = path.resolve(process.env.STORAGE_DATA_DIR || path.join(__dirname, '..', 'data'));
 
-// Default Config
-mockDb[TABLE_NAME_CONFIG].push({
+const DEFAULT_COORDINATES = {
   partitionKey: 'global',
   rowKey: 'coordinates',
   config: JSON.stringify({
@@ -25,69 +34,200 @@ mockDb[TABLE_NAME_CONFIG].push({
     1920: { play: { x: 87, y: 1032 }, fullscreen: { x: 1771, y: 1032 } },
     3840: { play: { x: 114, y: 2124 }, fullscreen: { x: 3643, y: 2122 } }
   })
-});
+};
+
+const mockDb = {};
+let etagCounter = 0;
+
+function storageError(statusCode, code, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+// Like Azure, every write gives the row a new etag for optimistic concurrency
+function newEtag() {
+  return `W/"${Date.now()}.${++etagCounter}"`;
+}
+
+function checkEtag(row, options) {
+  const etag = options && options.etag;
+  if (etag && etag !== '*' && etag !== row.etag) {
+    throw storageError(412, 'UpdateConditionNotSatisfied', 'The update condition specified in the request was not satisfied.');
+  }
+}
+
+function compareKeys(a, b) {
+  a = String(a);
+  b = String(b);
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function tableFilePath(tableName) {
+  return path.join(STORAGE_DATA_DIR, `${tableName}.json`);
+}
+
+function loadTableFile(tableName) {
+  const file = tableFilePath(tableName);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`❌ Failed to read ${file}:`, err.message);
+    throw err;
+  }
+}
+
+const fileDb = {};
+const SAVE_DELAY_MS = 250; // Bursts of writes to a table become one file write
+const pendingSaves = new Map(); // tableName -> timer
+const savesInFlight = new Map(); // tableName -> promise
+
+// Atomic replace (temp file + rename) so a crash never leaves half a table
+async function writeTableFile(tableName) {
+  const file = tableFilePath(tableName);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.mkdir(STORAGE_DATA_DIR, { recursive: true });
+  await fs.promises.writeFile(tmp, JSON.stringify(fileDb[tableName], null, 2), 'utf8');
+  await fs.promises.rename(tmp, file);
+}
+
+function scheduleTableSave(tableName) {
+  if (pendingSaves.has(tableName)) return;
+  pendingSaves.set(tableName, setTimeout(() => {
+    pendingSaves.delete(tableName);
+    // One write per table at a time; each one stores the rows as they are then
+    const save = (savesInFlight.get(tableName) || Promise.resolve())
+      .then(() => writeTableFile(tableName))
+      .catch(err => console.error(`❌ Failed to write ${tableFilePath(tableName)}:`, err.message))
+      .finally(() => {
+        if (savesInFlight.get(tableName) === save) savesInFlight.delete(tableName);
+      });
+    savesInFlight.set(tableName, save);
+  }, SAVE_DELAY_MS));
+}
+
+/**
+ * Writes every table with unsaved changes right away, synchronously, for
+ * when the process is about to exit.
+ */
+function flushTableFiles() {
+  const tableNames = new Set([...pendingSaves.keys(), ...savesInFlight.keys()]);
+  for (const tableName of tableNames) {
+    clearTimeout(pendingSaves.get(tableName));
+    pendingSaves.delete(tableName);
+    const file = tableFilePath(tableName);
+    const tmp = `${file}.${process.pid}.exit.tmp`; // An async write may still hold the usual one
+    fs.mkdirSync(STORAGE_DATA_DIR, { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(fileDb[tableName], null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+  }
+}
+
+function seedRows(tableName) {
+  return tableName === TABLE_NAME_CONFIG ? [{ ...DEFAULT_COORDINATES }] : [];
+}
 
 class MockTableClient {
   constructor(tableName) { this.tableName = tableName; }
   async createTable() { return true; }
-  
+
+  _rows() {
+    if (!mockDb[this.tableName]) mockDb[this.tableName] = seedRows(this.tableName);
+    return mockDb[this.tableName];
+  }
+
+  _persist() {}
+
+  _indexOf(partitionKey, rowKey) {
+    return this._rows().findIndex(i => i.partitionKey === partitionKey && i.rowKey === rowKey);
+  }
+
+  _write(entity, mode, idx) {
+    const rows = this._rows();
+    const next = (idx >= 0 && mode !== 'Replace') ? { ...rows[idx], ...entity } : { ...entity };
+    next.etag = newEtag();
+    if (idx >= 0) rows[idx] = next;
+    else rows.push(next);
+    this._persist();
+  }
+
   async getEntity(partitionKey, rowKey) {
-    const item = mockDb[this.tableName].find(i => i.partitionKey === partitionKey && i.rowKey === rowKey);
-    if (!item) {
-      const err = new Error('Not Found');
-      err.statusCode = 404;
-      throw err;
-    }
-    return { ...item };
+    const idx = this._indexOf(partitionKey, rowKey);
+    if (idx < 0) throw storageError(404, 'ResourceNotFound', 'Not Found');
+    const row = this._rows()[idx];
+    if (!row.etag) row.etag = newEtag(); // Rows from table files written before etags
+    return { ...row };
   }
 
-  async upsertEntity(entity) {
-    const idx = mockDb[this.tableName].findIndex(i => i.partitionKey === entity.partitionKey && i.rowKey === entity.rowKey);
-    if (idx >= 0) mockDb[this.tableName][idx] = { ...mockDb[this.tableName][idx], ...entity };
-    else mockDb[this.tableName].push(entity);
+  async upsertEntity(entity, mode = 'Merge') {
+    this._write(entity, mode, this._indexOf(entity.partitionKey, entity.rowKey));
   }
 
   async createEntity(entity) {
-    return this.upsertEntity(entity);
+    const idx = this._indexOf(entity.partitionKey, entity.rowKey);
+    if (idx >= 0) throw storageError(409, 'EntityAlreadyExists', 'The specified entity already exists.');
+    this._write(entity, 'Replace', idx);
+  }
+
+  async updateEntity(entity, mode = 'Merge', options = {}) {
+    const idx = this._indexOf(entity.partitionKey, entity.rowKey);
+    if (idx < 0) throw storageError(404, 'ResourceNotFound', 'Not Found');
+    checkEtag(this._rows()[idx], options);
+    this._write(entity, mode, idx);
   }
 
-  async updateEntity(entity, mode) {
-    await this.upsertEntity(entity);
+  async deleteEntity(partitionKey, rowKey, options = {}) {
+    const idx = this._indexOf(partitionKey, rowKey);
+    if (idx < 0) throw storageError(404, 'ResourceNotFound', 'Not Found');
+    checkEtag(this._rows()[idx], options);
+    this._rows().splice(idx, 1);
+    this._persist();
   }
 
-  async deleteEntity(partitionKey, rowKey) {
-    const idx = mockDb[this.tableName].findIndex(i => i.partitionKey === partitionKey && i.rowKey === rowKey);
-    if (idx >= 0) mockDb[this.tableName].splice(idx, 1);
+  async *listEntities({ queryOptions } = {}) {
+    const matches = compileFilter(queryOptions && queryOptions.filter);
+    // Azure returns rows ordered by PartitionKey, then RowKey
+    const items = this._rows().filter(matches).sort((a, b) =>
+      compareKeys(a.partitionKey, b.partitionKey) || compareKeys(a.rowKey, b.rowKey));
+    for (const item of items) yield { ...item };
   }
+}
 
-  async *listEntities({ queryOptions }) {
-    let items = mockDb[this.tableName];
-    if (queryOptions && queryOptions.filter) {
-      const pMatch = queryOptions.filter.match(/PartitionKey eq '(.+?)'/);
-      if (pMatch) {
-        const key = pMatch[1].replace(/''/g, "'");
-        items = items.filter(i => i.partitionKey === key);
-      }
-      const rMatch = queryOptions.filter.match(/RowKey eq '(.+?)'/);
-      if (rMatch) {
-        const key = rMatch[1].replace(/''/g, "'");
-        items = items.filter(i => i.rowKey === key);
-      }
+class FileTableClient extends MockTableClient {
+  _rows() {
+    if (!fileDb[this.tableName]) {
+      const rows = loadTableFile(this.tableName);
+      fileDb[this.tableName] = rows || seedRows(this.tableName);
+      if (!rows) this._persist();
     }
-    for (const item of items) yield item;
+    return fileDb[this.tableName];
+  }
+
+  _persist() {
+    scheduleTableSave(this.tableName);
   }
 }
 
 // --- Azure Tables Helpers ---
 function getTableClient(tableName) {
-  if (!STORAGE_CONNECTION_STRING) {
+  if (STORAGE_BACKEND === 'file') {
+    return new FileTableClient(tableName);
+  }
+  if (STORAGE_BACKEND === 'memory' || !STORAGE_CONNECTION_STRING) {
     return new MockTableClient(tableName);
   }
   return TableClient.fromConnectionString(STORAGE_CONNECTION_STRING, tableName);
 }
 
 async function ensureTablesExist() {
-  const tables = [TABLE_NAME_ENTRIES, TABLE_NAME_USERS, TABLE_NAME_CONFIG, TABLE_NAME_DEVICES, TABLE_NAME_PERMISSIONS];
+  const tables = [
+    TABLE_NAME_ENTRIES, TABLE_NAME_USERS, TABLE_NAME_CONFIG, TABLE_NAME_DEVICES, TABLE_NAME_PERMISSIONS,
+    TABLE_NAME_WEBHOOKS, TABLE_NAME_WEBHOOK_DELIVERIES, TABLE_NAME_RATE_LIMITS, TABLE_NAME_API_KEYS,
+    TABLE_NAME_AUDIT, TABLE_NAME_PAIRING_CODES, TABLE_NAME_GROUPS, TABLE_NAME_COMMANDS,
+    TABLE_NAME_SCHEDULES, TABLE_NAME_DEVICE_STATE
+  ];
   for (const t of tables) {
     try {
       const client = getTableClient(t);
@@ -105,7 +245,16 @@ async function isFirstUser() {
   return first.done; 
 }
 
-if (!STORAGE_CONNECTION_STRING) {
+if (STORAGE_BACKEND === 'file') {
+  console.log(`💾 Using file-backed storage in ${STORAGE_DATA_DIR}`);
+  process.on('exit', flushTableFiles);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      flushTableFiles();
+      process.kill(process.pid, signal); // The default handler ends the process
+    });
+  }
+} else if (STORAGE_BACKEND === 'memory' || !STORAGE_CONNECTION_STRING) {
   console.warn('⚠️ No STORAGE_CONNECTION_STRING. Using In-Memory Mock Database.');
 } else {
   ensureTablesExist();
@@ -113,11 +262,23 @@ if (!STORAGE_CONNECTION_STRING) {
 
 module.exports = {
   getTableClient,
+  odata,
+  STORAGE_BACKEND,
   isFirstUser,
   TABLE_NAME_ENTRIES,
   TABLE_NAME_USERS,
   TABLE_NAME_CONFIG,
   TABLE_NAME_DEVICES,
-  TABLE_NAME_PERMISSIONS
+  TABLE_NAME_PERMISSIONS,
+  TABLE_NAME_WEBHOOKS,
+  TABLE_NAME_WEBHOOK_DELIVERIES,
+  TABLE_NAME_RATE_LIMITS,
+  TABLE_NAME_API_KEYS,
+  TABLE_NAME_AUDIT,
+  TABLE_NAME_PAIRING_CODES,
+  TABLE_NAME_GROUPS,
+  TABLE_NAME_COMMANDS,
+  TABLE_NAME_SCHEDULES,
+  TABLE_NAME_DEVICE_STATE
 };
 
@@ -0,0 +1,229 @@
+/**
+ * Minimal OData filter evaluator for the local table backends.
+ * Supports the subset of the Azure Tables query syntax the routes use:
+ * eq/ne/gt/lt/ge/le, and/or/not, parentheses and string, number, boolean,
+ * datetime'...' and guid'...' literals.
+ */
+
+const COMPARISON_OPS = ['eq', 'ne', 'gt', 'lt', 'ge', 'le'];
+
+// Azure exposes system properties in PascalCase, entities carry them in camelCase
+const SYSTEM_PROPERTIES = {
+  PartitionKey: 'partitionKey',
+  RowKey: 'rowKey',
+  Timestamp: 'timestamp'
+};
+
+function filterError(message) {
+  const err = new Error(`Invalid filter: ${message}`);
+  err.statusCode = 400;
+  err.code = 'InvalidInput';
+  return err;
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+
+    if (ch === "'") {
+      const { value, end } = readQuoted(input, i);
+      tokens.push({ type: 'literal', value });
+      i = end;
+      continue;
+    }
+
+    const numMatch = input.slice(i).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?[LlDdFfMm]?/);
+    if (numMatch) {
+      tokens.push({ type: 'literal', value: parseFloat(numMatch[0]) });
+      i += numMatch[0].length;
+      continue;
+    }
+
+    const wordMatch = input.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (wordMatch) {
+      const word = wordMatch[0];
+      i += word.length;
+
+      // Typed literals: datetime'2024-01-01T00:00:00Z', guid'...', X'...'
+      if (input[i] === "'") {
+        const { value, end } = readQuoted(input, i);
+        i = end;
+        const prefix = word.toLowerCase();
+        if (prefix === 'datetime') {
+          const time = Date.parse(value);
+          if (isNaN(time)) throw filterError(`bad datetime '${value}'`);
+          tokens.push({ type: 'literal', value: new Date(time) });
+        } else if (prefix === 'guid' || prefix === 'x' || prefix === 'binary') {
+          tokens.push({ type: 'literal', value });
+        } else {
+          throw filterError(`unknown literal prefix ${word}`);
+        }
+        continue;
+      }
+
+      const lower = word.toLowerCase();
+      if (lower === 'true' || lower === 'false') {
+        tokens.push({ type: 'literal', value: lower === 'true' });
+      } else if (lower === 'and' || lower === 'or' || lower === 'not' || COMPARISON_OPS.includes(lower)) {
+        tokens.push({ type: 'op', value: lower });
+      } else {
+        tokens.push({ type: 'property', value: SYSTEM_PROPERTIES[word] || word });
+      }
+      continue;
+    }
+
+    throw filterError(`unexpected character '${ch}' at ${i}`);
+  }
+
+  return tokens;
+}
+
+function readQuoted(input, start) {
+  let value = '';
+  let i = start + 1;
+  while (i < input.length) {
+    if (input[i] === "'") {
+      if (input[i + 1] === "'") { value += "'"; i += 2; continue; }
+      return { value, end: i + 1 };
+    }
+    value += input[i++];
+  }
+  throw filterError('unterminated string literal');
+}
+
+function parse(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isOp('or')) {
+      pos++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseUnary();
+    while (isOp('and')) {
+      pos++;
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOp('not')) {
+      pos++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw filterError('unexpected end of expression');
+
+    if (token.type === '(') {
+      pos++;
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') throw filterError('missing closing parenthesis');
+      pos++;
+      return node;
+    }
+
+    const left = parseOperand();
+    const op = peek();
+    if (!op || op.type !== 'op' || !COMPARISON_OPS.includes(op.value)) {
+      throw filterError('expected comparison operator');
+    }
+    pos++;
+    const right = parseOperand();
+    return { type: 'compare', op: op.value, left, right };
+  }
+
+  function parseOperand() {
+    const token = peek();
+    if (!token || (token.type !== 'property' && token.type !== 'literal')) {
+      throw filterError('expected property or literal');
+    }
+    pos++;
+    return token;
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw filterError('unexpected trailing tokens');
+  return ast;
+}
+
+function resolve(operand, entity) {
+  return operand.type === 'property' ? entity[operand.value] : operand.value;
+}
+
+// Brings both sides to a comparable primitive. Returns null when the types do
+// not match, which Azure Tables treats as "no match" rather than an error.
+function normalizePair(a, b) {
+  if (a === undefined || a === null || b === undefined || b === null) return null;
+
+  // A datetime'...' literal only matches DateTime properties, as in Azure; an
+  // ISO string property is compared as a string (against a string literal)
+  if (a instanceof Date || b instanceof Date) {
+    return (a instanceof Date && b instanceof Date) ? [a.getTime(), b.getTime()] : null;
+  }
+
+  if (typeof a !== typeof b) return null;
+  return [a, b];
+}
+
+function compare(op, left, right) {
+  const pair = normalizePair(left, right);
+  if (!pair) return false;
+  const [a, b] = pair;
+
+  switch (op) {
+    case 'eq': return a === b;
+    case 'ne': return a !== b;
+    case 'gt': return a > b;
+    case 'lt': return a < b;
+    case 'ge': return a >= b;
+    case 'le': return a <= b;
+    default: return false;
+  }
+}
+
+function evaluate(node, entity) {
+  switch (node.type) {
+    case 'and': return evaluate(node.left, entity) && evaluate(node.right, entity);
+    case 'or': return evaluate(node.left, entity) || evaluate(node.right, entity);
+    case 'not': return !evaluate(node.operand, entity);
+    case 'compare': return compare(node.op, resolve(node.left, entity), resolve(node.right, entity));
+    default: return false;
+  }
+}
+
+/**
+ * Compiles an OData filter string into a predicate over plain entities.
+ * Throws a 400-style error for syntax the evaluator does not understand.
+ */
+function compileFilter(filter) {
+  if (!filter || !filter.trim()) return () => true;
+  const ast = parse(tokenize(filter));
+  return (entity) => evaluate(ast, entity);
+}
+
+module.exports = {
+  compileFilter
+};
@@ -0,0 +1,143 @@
+/**
+ * Validation and normalisation of the stream links posted to the BBS.
+ * Recognises the Veo link shapes we use and derives a readable title
+ * when the poster leaves it empty.
+ */
+
+const DEFAULT_ALLOWED_HOSTS = ['live.veo.co', 'app.veo.co'];
+
+// Per-deployment allowlist, e.g. VEO_ALLOWED_HOSTS=live.veo.co,app.veo.co,stream.espa.fi
+const ALLOWED_HOSTS = (process.env.VEO_ALLOWED_HOSTS || DEFAULT_ALLOWED_HOSTS.join(','))
+  .split(',')
+  .map(h => h.trim().toLowerCase())
+  .filter(Boolean);
+
+// What to do with links to hosts outside the allowlist: 'reject' or 'warn'
+const UNKNOWN_HOST_POLICY = (process.env.VEO_UNKNOWN_HOST_POLICY || 'reject').toLowerCase();
+
+const TRACKING_PARAMS = [/^utm_/i, /^fbclid$/i, /^gclid$/i, /^mc_(cid|eid)$/i, /^igshid$/i, /^ref$/i, /^si$/i];
+const TRAILING_JUNK = /[\s.,;:!?'"<>)\]}]+$/;
+
+const STREAM_PATH = /^\/stream\/([A-Za-z0-9-]+)(?:@(\d+))?\/?$/;
+const MATCH_PATH = /^\/matches\/([A-Za-z0-9-]+)\/?$/;
+
+function isAllowedHost(hostname, allowedHosts = ALLOWED_HOSTS) {
+  return allowedHosts.some(h => hostname === h || hostname.endsWith(`.${h}`));
+}
+
+function classifyPath(pathname) {
+  if (STREAM_PATH.test(pathname)) return 'stream';
+  if (MATCH_PATH.test(pathname)) return 'match';
+  return 'other';
+}
+
+/**
+ * Validates and normalises a posted stream link.
+ * Returns { ok, url, kind, warnings } or { ok: false, error }.
+ */
+function normalizeStreamUrl(raw, { allowedHosts = ALLOWED_HOSTS, unknownHostPolicy = UNKNOWN_HOST_POLICY } = {}) {
+  if (typeof raw !== 'string' || !raw.trim()) {
+    return { ok: false, error: 'URL is required' };
+  }
+
+  let candidate = raw.trim().replace(TRAILING_JUNK, '');
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(candidate)) candidate = `https://${candidate}`;
+
+  let url;
+  try {
+    url = new URL(candidate);
+  } catch (err) {
+    return { ok: false, error: 'Not a valid URL' };
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return { ok: false, error: 'Only http(s) links are supported' };
+  }
+
+  const warnings = [];
+  const known = isAllowedHost(url.hostname, allowedHosts);
+
+  if (!known) {
+    if (unknownHostPolicy !== 'warn') {
+      return { ok: false, error: `Links to ${url.hostname} are not allowed` };
+    }
+    warnings.push(`${url.hostname} is not a known Veo host`);
+  } else if (url.protocol === 'http:') {
+    url.protocol = 'https:';
+  }
+
+  for (const name of Array.from(url.searchParams.keys())) {
+    if (TRACKING_PARAMS.some(re => re.test(name))) url.searchParams.delete(name);
+  }
+
+  // Strip junk that ended up inside the path (e.g. a copied closing bracket)
+  url.pathname = url.pathname.replace(TRAILING_JUNK, '');
+
+  const kind = known ? classifyPath(url.pathname) : 'other';
+  if (known && kind === 'other') {
+    warnings.push('Link does not look like a Veo stream or match page');
+  }
+
+  return { ok: true, url: url.toString(), kind, warnings };
+}
+
+// Short tokens are usually abbreviations or age groups: "fc", "p12"
+function titleCase(words) {
+  return words
+    .map(w => {
+      const isAbbreviation = w.length <= 2 || (w.length <= 3 && /\d/.test(w));
+      return isAbbreviation ? w.toUpperCase() : w.charAt(0).toUpperCase() + w.slice(1);
+    })
+    .join(' ');
+}
+
+function formatDate(date) {
+  return `${date.getUTCDate()}.${date.getUTCMonth() + 1}.${date.getUTCFullYear()}`;
+}
+
+/**
+ * Derives a readable title from a normalised Veo link, or null.
+ *   /matches/20241012-espa-p12-vs-fc-kontu-3a1b2c3d/ -> "Espa P12 vs FC Kontu (12.10.2024)"
+ *   /stream/<uuid>@1761148340958                    -> "Veo-lähetys 22.10.2025"
+ */
+function deriveTitle(normalizedUrl) {
+  let url;
+  try {
+    url = new URL(normalizedUrl);
+  } catch (err) {
+    return null;
+  }
+
+  const match = url.pathname.match(MATCH_PATH);
+  if (match) {
+    let parts = match[1].toLowerCase().split('-').filter(Boolean);
+    let date = null;
+
+    if (parts.length && /^\d{8}$/.test(parts[0])) {
+      const d = parts.shift();
+      const parsed = new Date(Date.UTC(+d.slice(0, 4), +d.slice(4, 6) - 1, +d.slice(6, 8)));
+      if (!isNaN(parsed.getTime())) date = parsed;
+    }
+    // Veo appends a short hex id to keep slugs unique
+    if (parts.length > 1 && /^[0-9a-f]{6,}$/.test(parts[parts.length - 1])) parts.pop();
+    if (!parts.length) return null;
+
+    const words = titleCase(parts).replace(/\bVS\b/g, 'vs');
+    return date ? `${words} (${formatDate(date)})` : words;
+  }
+
+  const stream = url.pathname.match(STREAM_PATH);
+  if (stream) {
+    const ts = stream[2] ? new Date(Number(stream[2])) : null;
+    return ts && !isNaN(ts.getTime()) ? `Veo-lähetys ${formatDate(ts)}` : 'Veo-lähetys';
+  }
+
+  return null;
+}
+
+module.exports = {
+  ALLOWED_HOSTS,
+  UNKNOWN_HOST_POLICY,
+  normalizeStreamUrl,
+  deriveTitle
+};
@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const {
+  getTableClient,
+  odata,
+  TABLE_NAME_WEBHOOKS,
+  TABLE_NAME_WEBHOOK_DELIVERIES
+} = require('./storage-service');
+
+/**
+ * Outbound webhooks. Events are queued as delivery rows and sent in the
+ * background, so the request that raised them never waits on a subscriber.
+ * Failed deliveries are retried with backoff by a periodic sweep, which also
+ * picks up work left pending by a restart. Finished deliveries are kept for
+ * a week, which bounds the table the sweep reads.
+ */
+
+const WEBHOOK_EVENTS = ['entry.created', 'device.announced', 'device.shared', 'command.sent'];
+const WEBHOOK_PARTITION = 'webhook';
+
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const DELIVERY_TIMEOUT_MS = 10000;
+const SWEEP_INTERVAL_MS = 15000;
+const MAX_ERROR_LENGTH = 500;
+const DELIVERY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const inFlight = new Set();
+let sweepTimer = null;
+let pruneTimer = null;
+
+// Newest deliveries sort first, like entries
+function newDeliveryId(now = Date.now()) {
+  const inverted = String(9999999999999 - now).padStart(14, '0');
+  return `${inverted}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function parseEvents(value) {
+  return String(value || '').split(',').filter(Boolean);
+}
+
+function toWebhookResponse(entity) {
+  return {
+    id: entity.rowKey,
+    url: entity.url,
+    events: parseEvents(entity.events),
+    description: entity.description || '',
+    enabled: entity.enabled !== false,
+    createdBy: entity.createdBy,
+    createdAt: entity.createdAt,
+    updatedAt: entity.updatedAt || null
+  };
+}
+
+function toDeliveryResponse(entity) {
+  return {
+    id: entity.rowKey,
+    webhookId: entity.partitionKey,
+    event: entity.event,
+    status: entity.status,
+    attempts: entity.attempts || 0,
+    responseStatus: entity.responseStatus || null,
+    lastError: entity.lastError || null,
+    createdAt: entity.createdAt,
+    lastAttemptAt: entity.lastAttemptAt || null,
+    nextAttemptAt: entity.status === 'pending' ? entity.nextAttemptAt : null,
+    deliveredAt: entity.deliveredAt || null
+  };
+}
+
+/**
+ * Validates a subscriber URL and event list. Returns an error message or null.
+ */
+function validateWebhook({ url, events }) {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      return 'url must be a valid URL';
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return 'url must be http(s)';
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) return 'events must be a non-empty array';
+    const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) return `Unknown events: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+async function listWebhooks() {
+  const client = getTableClient(TABLE_NAME_WEBHOOKS);
+  const hooks = [];
+  for await (const entity of client.listEntities({ queryOptions: { filter: odata`PartitionKey eq ${WEBHOOK_PARTITION}` } })) {
+    hooks.push(entity);
+  }
+  return hooks;
+}
+
+async function getWebhook(id) {
+  const client = getTableClient(TABLE_NAME_WEBHOOKS);
+  try {
+    return await client.getEntity(WEBHOOK_PARTITION, id);
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Registers a subscriber. The signing secret is returned only here.
+ */
+async function createWebhook({ url, events, description = '', createdBy }) {
+  const entity = {
+    partitionKey: WEBHOOK_PARTITION,
+    rowKey: crypto.randomUUID(),
+    url,
+    events: events.join(','),
+    description,
+    secret: crypto.randomBytes(32).toString('hex'),
+    enabled: true,
+    createdBy,
+    createdAt: new Date().toISOString()
+  };
+  await getTableClient(TABLE_NAME_WEBHOOKS).createEntity(entity);
+  return { ...toWebhookResponse(entity), secret: entity.secret };
+}
+
+async function updateWebhook(id, { url, events, description, enabled }) {
+  const existing = await getWebhook(id);
+  if (!existing) return null;
+
+  const update = { partitionKey: WEBHOOK_PARTITION, rowKey: id, updatedAt: new Date().toISOString() };
+  if (url !== undefined) update.url = url;
+  if (events !== undefined) update.events = events.join(',');
+  if (description !== undefined) update.description = String(description);
+  if (enabled !== undefined) update.enabled = !!enabled;
+
+  await getTableClient(TABLE_NAME_WEBHOOKS).updateEntity(update, "Merge");
+  return toWebhookResponse({ ...existing, ...update });
+}
+
+async function deleteDeliveries(filter) {
+  const client = getTableClient(TABLE_NAME_WEBHOOK_DELIVERIES);
+  const rows = [];
+  for await (const entity of client.listEntities({ queryOptions: { filter, select: ['PartitionKey', 'RowKey'] } })) {
+    rows.push(entity);
+  }
+  for (const row of rows) {
+    try {
+      await client.deleteEntity(row.partitionKey, row.rowKey);
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+  }
+  return rows.length;
+}
+
+async function deleteWebhook(id) {
+  try {
+    await getTableClient(TABLE_NAME_WEBHOOKS).deleteEntity(WEBHOOK_PARTITION, id);
+  } catch (err) {
+    if (err.statusCode === 404) return false;
+    throw err;
+  }
+  await deleteDeliveries(odata`PartitionKey eq ${id}`);
+  return true;
+}
+
+async function listDeliveries(webhookId, limit = 50) {
+  const client = getTableClient(TABLE_NAME_WEBHOOK_DELIVERIES);
+  const deliveries = [];
+  for await (const entity of client.listEntities({ queryOptions: { filter: odata`PartitionKey eq ${webhookId}` } })) {
+    deliveries.push(toDeliveryResponse(entity));
+    if (deliveries.length >= limit) break;
+  }
+  return deliveries;
+}
+
+/**
+ * Signature over "<timestamp>.<body>" so receivers can reject replays:
+ *   X-Espa-Signature: t=1700000000,v1=<hex hmac-sha256>
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+async function sendDelivery(webhook, delivery) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Espa-TV-BBS-Webhooks/1.0',
+        'X-Espa-Event': delivery.event,
+        'X-Espa-Delivery': delivery.rowKey,
+        'X-Espa-Signature': signPayload(webhook.secret, delivery.payload)
+      },
+      body: delivery.payload,
+      signal: controller.signal
+    });
+    return { ok: response.ok, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (err) {
+    return { ok: false, status: null, error: err.name === 'AbortError' ? 'Timed out' : err.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function attemptDelivery(webhookId, deliveryId, webhook = null) {
+  const key = `${webhookId}/${deliveryId}`;
+  if (inFlight.has(key)) return;
+  inFlight.add(key);
+
+  try {
+    const client = getTableClient(TABLE_NAME_WEBHOOK_DELIVERIES);
+    // Re-read so a delivery finished by another path is not sent twice
+    const delivery = await client.getEntity(webhookId, deliveryId);
+    if (delivery.status !== 'pending') return;
+
+    const now = new Date();
+    const hook = webhook || await getWebhook(webhookId);
+    if (!hook || hook.enabled === false) {
+      await client.updateEntity({
+        partitionKey: webhookId,
+        rowKey: deliveryId,
+        status: 'failed',
+        lastError: hook ? 'Webhook disabled' : 'Webhook removed'
+      }, "Merge");
+      return;
+    }
+
+    const result = await sendDelivery(hook, delivery);
+    const attempts = (delivery.attempts || 0) + 1;
+    const update = {
+      partitionKey: webhookId,
+      rowKey: deliveryId,
+      attempts,
+      lastAttemptAt: now.toISOString(),
+      lastError: result.error ? result.error.slice(0, MAX_ERROR_LENGTH) : ''
+    };
+    if (result.status) update.responseStatus = result.status;
+
+    if (result.ok) {
+      update.status = 'succeeded';
+      update.deliveredAt = new Date().toISOString();
+    } else if (attempts >= MAX_ATTEMPTS) {
+      update.status = 'failed';
+      console.warn(`⚠️ Webhook ${delivery.event} to ${hook.url} failed after ${attempts} attempts: ${result.error}`);
+    } else {
+      update.nextAttemptAt = new Date(now.getTime() + RETRY_DELAYS_MS[attempts - 1]).toISOString();
+    }
+
+    await client.updateEntity(update, "Merge");
+  } catch (err) {
+    if (err.statusCode !== 404) console.error(`❌ Webhook delivery ${key} error:`, err.message);
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+async function enqueueEvent(event, data) {
+  const hooks = (await listWebhooks())
+    .filter(h => h.enabled !== false && parseEvents(h.events).includes(event));
+  if (!hooks.length) return;
+
+  const client = getTableClient(TABLE_NAME_WEBHOOK_DELIVERIES);
+  const createdAt = new Date().toISOString();
+
+  for (const hook of hooks) {
+    const deliveryId = newDeliveryId();
+    const payload = JSON.stringify({ id: deliveryId, event, createdAt, data });
+    await client.createEntity({
+      partitionKey: hook.rowKey,
+      rowKey: deliveryId,
+      event,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      createdAt,
+      nextAttemptAt: createdAt
+    });
+    attemptDelivery(hook.rowKey, deliveryId, hook);
+  }
+}
+
+/**
+ * Queues an event for every subscribed webhook. Returns immediately; errors
+ * are logged, never thrown to the caller.
+ */
+function dispatchWebhookEvent(event, data) {
+  setImmediate(() => {
+    enqueueEvent(event, data).catch(err => console.error(`❌ Webhook dispatch ${event} error:`, err.message));
+  });
+}
+
+async function sweepPendingDeliveries() {
+  const client = getTableClient(TABLE_NAME_WEBHOOK_DELIVERIES);
+  const filter = `(${odata`status eq ${'pending'}`}) and (${odata`nextAttemptAt le ${new Date().toISOString()}`})`;
+  const due = [];
+  for await (const entity of client.listEntities({ queryOptions: { filter } })) {
+    due.push(entity);
+  }
+  for (const delivery of due) {
+    await attemptDelivery(delivery.partitionKey, delivery.rowKey);
+  }
+}
+
+/**
+ * Deletes succeeded and failed deliveries older than the retention period.
+ */
+async function pruneFinishedDeliveries(now = Date.now()) {
+  const cutoff = new Date(now - DELIVERY_RETENTION_MS).toISOString();
+  const pruned = await deleteDeliveries(`(${odata`status ne ${'pending'}`}) and (${odata`createdAt lt ${cutoff}`})`);
+  if (pruned) console.log(`🧹 Pruned ${pruned} finished webhook deliveries`);
+}
+
+/**
+ * Starts the background retry sweep and the pruning of old deliveries. Safe
+ * to call more than once.
+ */
+function startWebhookWorker() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    sweepPendingDeliveries().catch(err => console.error('❌ Webhook sweep error:', err.message));
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  pruneTimer = setInterval(() => {
+    pruneFinishedDeliveries().catch(err => console.error('❌ Webhook delivery pruning error:', err.message));
+  }, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  validateWebhook,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  signPayload,
+  toWebhookResponse,
+  dispatchWebhookEvent,
+  startWebhookWorker
+};
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { getTableClient, TABLE_NAME_DEVICES } = require('./storage-service');
+const { authenticateDeviceRequest } = require('./device-auth-service');
+
+/**
+ * Device commands over a WebSocket the Pi opens to the BBS, for setups
+ * without IoT Hub. The Pi connects to SOCKET_PATH with the same signed
+ * headers as its other requests (X-Device-Id, X-Device-Signature over an
+ * empty body); a rotated credential comes back in the X-Device-Secret header
+ * of the upgrade response.
+ *
+ * Messages are JSON:
+ *   BBS → Pi  { type: 'method', id, method, payload }   answered like a Direct Method
+ *   Pi → BBS  { type: 'response', id, status, payload }
+ *   BBS → Pi  { type: 'message', command, payload, commandId }   like a C2D message
+ *   BBS → Pi  { type: 'desired', desired, version }   the desired state changed
+ *   Pi → BBS  { type: 'telemetry', data }   only refreshes lastActivityTime;
+ *                                          like IoT Hub telemetry, nothing stores it
+ * A command for a device that is not connected waits here until the device
+ * connects or the command expires. Sockets and waiting commands live in this
+ * process, so devices must reach the same BBS instance that sends commands.
+ */
+
+const SOCKET_PATH = '/devices/socket';
+const METHOD_TIMEOUT_MS = 15 * 1000; // As the Direct Method response timeout
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_QUEUED_PER_DEVICE = 20;
+
+function rejectUpgrade(socket, status, body) {
+  const json = JSON.stringify(body);
+  socket.end(
+    `HTTP/1.1 ${status} ${status === 401 ? 'Unauthorized' : 'Internal Server Error'}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(json)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    json
+  );
+}
+
+class WebSocketTransport {
+  constructor() {
+    this.wss = new WebSocketServer({ noServer: true });
+    this.connections = new Map(); // deviceId → { socket, alive, connectedAt, lastActivityTime }
+    this.pending = new Map(); // method call id → { deviceId, socket, resolve, reject, timer }
+    this.queued = new Map(); // deviceId → [{ command, payload, commandId, expiresAt }]
+    this.lastSeen = new Map(); // deviceId → last activity of a closed connection
+    this.heartbeatTimer = null;
+    this.onFeedbackCallback = null;
+
+    // Hand a pending credential rotation to the device, as authenticateDevice does
+    this.wss.on('headers', (headers, req) => {
+      if (req.newDeviceSecret) headers.push(`X-Device-Secret: ${req.newDeviceSecret}`);
+    });
+  }
+
+  /**
+   * Accepts device sockets on the HTTP server's SOCKET_PATH.
+   */
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      if (new URL(req.url, 'http://localhost').pathname !== SOCKET_PATH) {
+        socket.destroy();
+        return;
+      }
+
+      this._authenticate(req).then(({ ok, deviceId, revoked, error }) => {
+        if (!ok) return rejectUpgrade(socket, 401, revoked ? { error, revoked: true } : { error });
+        this.wss.handleUpgrade(req, socket, head, ws => this._onConnection(deviceId, ws));
+      }).catch(err => {
+        console.error('Device socket authentication error:', err);
+        rejectUpgrade(socket, 500, { error: 'Internal Server Error' });
+      });
+    });
+
+    this.heartbeatTimer = setInterval(() => this._heartbeat(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimer.unref();
+    console.log(`🔌 Accepting device sockets on ${SOCKET_PATH}`);
+  }
+
+  async _authenticate(req) {
+    const deviceId = req.headers['x-device-id'];
+    const signature = req.headers['x-device-signature'];
+    if (!deviceId || !signature) return { ok: false, error: 'Device signature required' };
+
+    let device = null;
+    try {
+      device = await getTableClient(TABLE_NAME_DEVICES).getEntity(deviceId, 'metadata');
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+
+    const result = device
+      ? await authenticateDeviceRequest(device, signature, { method: req.method, path: req.url, body: '' })
+      : { ok: false, revoked: false };
+    if (!result.ok) {
+      return result.revoked
+        ? { ok: false, revoked: true, error: 'Device credential revoked' }
+        : { ok: false, error: 'Invalid device signature' };
+    }
+    req.newDeviceSecret = result.newSecret;
+    return { ok: true, deviceId };
+  }
+
+  _onConnection(deviceId, socket) {
+    const previous = this.connections.get(deviceId);
+    if (previous) previous.socket.close(4000, 'Replaced by a newer connection');
+
+    const now = new Date().toISOString();
+    const connection = { socket, alive: true, connectedAt: now, lastActivityTime: now };
+    this.connections.set(deviceId, connection);
+    console.log(`🔌 Device ${deviceId} connected over WebSocket`);
+
+    socket.on('pong', () => {
+      connection.alive = true;
+      connection.lastActivityTime = new Date().toISOString();
+    });
+    socket.on('message', data => this._onMessage(deviceId, connection, data));
+    socket.on('error', err => console.warn(`⚠️ Socket error for device ${deviceId}:`, err.message));
+    socket.on('close', () => {
+      if (this.connections.get(deviceId) === connection) {
+        this.connections.delete(deviceId);
+        this.lastSeen.set(deviceId, connection.lastActivityTime);
+        console.log(`🔌 Device ${deviceId} disconnected`);
+      }
+      for (const call of this.pending.values()) {
+        if (call.socket === socket) call.reject(new Error('Device disconnected before answering'));
+      }
+    });
+
+    this._deliverQueued(deviceId, connection);
+  }
+
+  _onMessage(deviceId, connection, data) {
+    connection.lastActivityTime = new Date().toISOString();
+    let message;
+    try {
+      message = JSON.parse(data.toString('utf8'));
+    } catch (_) {
+      console.warn(`⚠️ Unreadable socket message from device ${deviceId}`);
+      return;
+    }
+
+    switch (message.type) {
+      case 'response': {
+        const call = this.pending.get(message.id);
+        if (call && call.deviceId === deviceId) call.resolve({ status: message.status, payload: message.payload });
+        break;
+      }
+      case 'telemetry':
+        break; // Counted as activity above
+      default:
+        console.warn(`⚠️ Unknown socket message type "${message.type}" from device ${deviceId}`);
+    }
+  }
+
+  _heartbeat() {
+    for (const [deviceId, connection] of this.connections) {
+      if (!connection.alive) {
+        console.warn(`⚠️ Device ${deviceId} stopped answering pings; closing its socket`);
+        connection.socket.terminate();
+        continue;
+      }
+      connection.alive = false;
+      connection.socket.ping();
+    }
+
+    const now = Date.now();
+    for (const [deviceId, commands] of this.queued) {
+      const live = commands.filter(c => !c.expiresAt || new Date(c.expiresAt).getTime() > now);
+      if (live.length) this.queued.set(deviceId, live);
+      else this.queued.delete(deviceId);
+    }
+  }
+
+  _send(socket, message) {
+    return new Promise((resolve, reject) => {
+      socket.send(JSON.stringify(message), err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  /**
+   * Calls a method on the device and waits for its answer { status, payload }.
+   */
+  _call(deviceId, connection, method, payload) {
+    const id = crypto.randomBytes(8).toString('hex');
+    return new Promise((resolve, reject) => {
+      const done = (fn) => (value) => {
+        clearTimeout(call.timer);
+        this.pending.delete(id);
+        fn(value);
+      };
+      const call = {
+        deviceId,
+        socket: connection.socket,
+        resolve: done(resolve),
+        reject: done(reject),
+        timer: setTimeout(() => call.reject(new Error('Device did not answer in time')), METHOD_TIMEOUT_MS)
+      };
+      this.pending.set(id, call);
+      this._send(connection.socket, { type: 'method', id, method, payload }).catch(call.reject);
+    });
+  }
+
+  _queue(deviceId, command, payload, { commandId, expiresAt }) {
+    const commands = this.queued.get(deviceId) || [];
+    commands.push({ command, payload, commandId, expiresAt });
+    if (commands.length > MAX_QUEUED_PER_DEVICE) {
+      const dropped = commands.shift();
+      this._feedback(deviceId, dropped.commandId, 'failed', 'Too many commands waiting for the device');
+    }
+    this.queued.set(deviceId, commands);
+    console.log(`📨 Device ${deviceId} is not connected; "${command}" waits for its socket`);
+    return { success: true, messageId: commandId, mode: 'websocket' };
+  }
+
+  async _deliverQueued(deviceId, connection) {
+    const commands = this.queued.get(deviceId) || [];
+    this.queued.delete(deviceId);
+
+    for (const { command, payload, commandId, expiresAt } of commands) {
+      if (expiresAt && new Date(expiresAt) <= new Date()) continue;
+      try {
+        await this._send(connection.socket, { type: 'message', command, payload, commandId, timestamp: new Date().toISOString() });
+        console.log(`✅ Waiting command "${command}" delivered to ${deviceId}`);
+        this._feedback(deviceId, commandId, 'delivered');
+      } catch (err) {
+        console.error(`❌ Failed to deliver "${command}" to ${deviceId}:`, err.message);
+        this._feedback(deviceId, commandId, 'failed', err.message);
+      }
+    }
+  }
+
+  _feedback(deviceId, commandId, outcome, description) {
+    if (commandId && this.onFeedbackCallback) this.onFeedbackCallback(deviceId, commandId, outcome, description);
+  }
+
+  /**
+   * Delivery of commands that waited for the device, as IoTHubService's
+   * C2D feedback: callback(deviceId, commandId, outcome, description).
+   */
+  onFeedback(callback) {
+    this.onFeedbackCallback = callback;
+  }
+
+  isConnected(deviceId) {
+    return this.connections.has(deviceId);
+  }
+
+  /**
+   * Same contract as IoTHubService.sendCommandToDevice: an answered method
+   * returns { success, methodStatus, payload, mode }, a command left waiting
+   * for the device { success, messageId, mode }.
+   */
+  async sendCommandToDevice(deviceId, command, payload = {}, { commandId = null, expiresAt = null } = {}) {
+    const connection = this.connections.get(deviceId);
+    if (!connection) return this._queue(deviceId, command, payload, { commandId, expiresAt });
+
+    console.log(`⚡ Calling "${command}" on device ${deviceId} over WebSocket...`);
+    const response = await this._call(deviceId, connection, command, commandId ? { ...payload, commandId } : payload);
+    console.log(`✅ Socket method "${command}" answered. Status: ${response.status}`);
+    return { success: true, methodStatus: response.status, payload: response.payload, mode: 'websocket' };
+  }
+
+  /**
+   * Pushes a changed desired state (see device-state-service) to a connected
+   * device. Resolves to whether the device got it; one that is offline
+   * converges when it reconnects.
+   */
+  async sendDesiredState(deviceId, { desired, version }) {
+    const connection = this.connections.get(deviceId);
+    if (!connection) return false;
+    await this._send(connection.socket, { type: 'desired', desired, version });
+    return true;
+  }
+
+  getDevice(deviceId) {
+    const connection = this.connections.get(deviceId);
+    return {
+      deviceId,
+      status: 'enabled',
+      connectionState: connection ? 'Connected' : 'Disconnected',
+      lastActivityTime: connection ? connection.lastActivityTime : (this.lastSeen.get(deviceId) || null),
+      transport: 'websocket'
+    };
+  }
+
+  /**
+   * Closes the device's socket, e.g. when its credential is revoked.
+   */
+  disconnect(deviceId, reason = 'Disconnected by the BBS') {
+    const connection = this.connections.get(deviceId);
+    if (connection) connection.socket.close(4001, reason);
+  }
+}
+
+module.exports = WebSocketTransport;
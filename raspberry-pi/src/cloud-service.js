@@ -2,6 +2,9 @@
 
 const { TableClient } = require('@azure/data-tables');
 const NetworkUtils = require('./network-utils');
+const DeviceCredential = require('./device-credential');
+
+const DEFAULT_POLL_INTERVAL_MS = 30000;
 
 /**
  * Cloud Service using Azure Table Storage
@@ -15,7 +18,10 @@ class CloudService {
     this.pollInterval = null;
     this.isPolling = false;
     this.lastStreamUrl = null;
+    this.lastEtag = null;
+    this.streamKey = deviceId; // BBS key to watch, overridden via watchStream()
     this.onStreamUpdateCallback = null;
+    this.onCredentialRevokedCallback = null;
     this.bbsUrl = (config.azure && config.azure.bbsUrl) || null; // BBS HTTP endpoint
   }
 
@@ -195,8 +201,10 @@ class CloudService {
   /**
    * Retrieve the latest stream URL from the cloud with retry logic
    * @param {string} key - The partition key to retrieve data for (defaults to device ID)
+   * @param {Object} options - { ifNoneMatch }: ETag of the last BBS response; an
+   *   unchanged response resolves to { notModified: true }
    */
-  async getLatestStreamUrl(key = null) {
+  async getLatestStreamUrl(key = null, { ifNoneMatch = null } = {}) {
     const targetKey = key || this.deviceId;
     const maxRetries = (this.config.azure && this.config.azure.retryAttempts) || 3;
 
@@ -204,12 +212,22 @@ class CloudService {
     if (this.useBbsHttp && this.bbsUrl) {
       try {
         const url = `${this.bbsUrl}/entries/${encodeURIComponent(targetKey)}`;
+        // fetch() adds "Cache-Control: no-cache" to conditional requests unless one
+        // is set, and Express never answers 304 to no-cache
+        const headers = ifNoneMatch ? { 'If-None-Match': ifNoneMatch, 'Cache-Control': 'max-age=0' } : {};
+        Object.assign(headers, DeviceCredential.headers(this.deviceId, { url }));
 
-        const response = await NetworkUtils.httpRequest(url, {}, {
+        const response = await NetworkUtils.httpRequest(url, { headers }, {
           maxRetries,
           timeoutMs: 10000,
-          retryDelayMs: attempt => Math.min(1000 * attempt, 10000)
+          retryDelayMs: attempt => Math.min(1000 * attempt, 10000),
+          shouldRetry: res => res.status !== 304 && res.status !== 401
         });
+        await this.checkCredentialResponse(response);
+
+        if (response.status === 304) {
+          return { notModified: true, etag: ifNoneMatch };
+        }
 
         if (!response.ok) {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -217,16 +235,20 @@ class CloudService {
 
         const entries = await response.json();
 
-        if (entries && entries.length > 0) {
-          // BBS returns entries sorted by timestamp (newest first)
-          const latest = entries[0];
+        // BBS returns the active entry first (scheduled or newest unscheduled)
+        const latest = NetworkUtils.pickActiveEntry(entries);
+        if (latest) {
           console.log(`📖 [BBS HTTP] Retrieved latest stream URL for key "${targetKey}": ${latest.value1}`);
 
           return {
             streamUrl: latest.value1,
             timestamp: latest.timestamp,
+            etag: response.headers.get('ETag'),
             metadata: {
               value2: latest.value2,
+              rowKey: latest.rowKey,
+              startsAt: latest.startsAt,
+              endsAt: latest.endsAt,
               source: 'bbs-http'
             }
           };
@@ -341,51 +363,31 @@ class CloudService {
   }
 
   /**
-   * Retrieve device authentication token from BBS
+   * The device credential stored locally. The BBS hands it out once, when the
+   * device is paired; null means the device has to be paired (again).
    */
   async getDeviceAuthToken() {
-    if (!this.useBbsHttp || !this.bbsUrl) {
-      console.log('⚠️ BBS HTTP not configured, cannot retrieve device auth token');
-      return null;
+    const credential = DeviceCredential.load();
+    if (!credential) {
+      console.log('⚠️ No device credential stored; pair the device to get one');
     }
+    return credential;
+  }
 
-    const maxRetries = (this.config.azure && this.config.azure.retryAttempts) || 3;
-
-    try {
-      // Use device ID to request authentication token
-      // This is a bootstrap authentication - the BBS will generate a secure token
-      const url = `${this.bbsUrl}/devices/${encodeURIComponent(this.deviceId)}/auth-token`;
-
-      const response = await NetworkUtils.httpRequest(url, {}, {
-        maxRetries,
-        timeoutMs: 10000,
-        retryDelayMs: attempt => Math.min(1000 * attempt, 10000)
-      });
-
-      if (!response.ok) {
-        if (response.status === 404) {
-          console.log(`ℹ️ Device ${this.deviceId} not registered yet`);
-          return null;
-        }
-        console.warn(`⚠️ Device auth token fetch failed (Status: ${response.status})`);
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const tokenData = await response.json();
-      if (!tokenData.deviceToken) {
-        console.warn('⚠️ BBS returned empty device auth token');
-        return null;
-      }
-
-      console.log('🔑 Retrieved device authentication token from BBS');
-      return tokenData.deviceToken;
-
-    } catch (error) {
-      console.error('❌ Failed to retrieve device auth token:', error.message);
-      return null;
+  /**
+   * Keeps the stored credential in step with a BBS response: saves a rotated
+   * one and reports a revoked one to onCredentialRevoked.
+   */
+  async checkCredentialResponse(response) {
+    if (await DeviceCredential.checkResponse(response) && this.onCredentialRevokedCallback) {
+      this.onCredentialRevokedCallback();
     }
   }
 
+  onCredentialRevoked(callback) {
+    this.onCredentialRevokedCallback = callback;
+  }
+
   /**
    * Retrieve IoT Hub connection string from BBS
    */
@@ -398,21 +400,17 @@ class CloudService {
     const maxRetries = (this.config.azure && this.config.azure.retryAttempts) || 3;
 
     try {
-      // First, get the device authentication token from BBS
-      const deviceToken = await this.getDeviceAuthToken();
-
-      if (!deviceToken) {
-        console.log('⚠️ No device authentication token available');
-        return null;
-      }
+      if (!await this.getDeviceAuthToken()) return null;
 
-      const url = `${this.bbsUrl}/devices/${encodeURIComponent(this.deviceId)}/iot-connection?token=${encodeURIComponent(deviceToken)}`;
+      const url = `${this.bbsUrl}/devices/${encodeURIComponent(this.deviceId)}/iot-connection`;
 
-      const response = await NetworkUtils.httpRequest(url, {}, {
+      const response = await NetworkUtils.httpRequest(url, { headers: DeviceCredential.headers(this.deviceId, { url }) }, {
         maxRetries,
         timeoutMs: 10000,
-        retryDelayMs: attempt => Math.min(1000 * attempt, 10000)
+        retryDelayMs: attempt => Math.min(1000 * attempt, 10000),
+        shouldRetry: res => res.status !== 401
       });
+      await this.checkCredentialResponse(response);
 
       if (!response.ok) {
         if (response.status === 404) {
@@ -455,6 +453,150 @@ class CloudService {
     }
   }
 
+  /**
+   * Report the player's state to the BBS. Resolves to the desired state the
+   * BBS holds for this device ({ desired, version }), or null when the
+   * report did not get through.
+   */
+  async reportDeviceState(reported) {
+    if (!this.useBbsHttp || !this.bbsUrl) return null;
+
+    try {
+      const body = JSON.stringify(reported);
+      const url = `${this.bbsUrl}/devices/${encodeURIComponent(this.deviceId)}/state/reported`;
+      const response = await NetworkUtils.httpRequest(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...DeviceCredential.headers(this.deviceId, { method: 'PUT', url, body }) },
+        body
+      }, {
+        method: 'PUT',
+        maxRetries: 2,
+        timeoutMs: 10000,
+        shouldRetry: res => res.status >= 500
+      });
+      await this.checkCredentialResponse(response);
+
+      if (!response.ok) {
+        console.warn(`⚠️ State report failed (Status: ${response.status})`);
+        return null;
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Failed to report device state:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Tell the BBS what became of a command it sent ('acknowledged',
+   * 'succeeded' or 'failed'). Returns true when the BBS took the report.
+   */
+  async reportCommandResult(commandId, status, result = null) {
+    if (!this.useBbsHttp || !this.bbsUrl) return false;
+
+    try {
+      const body = JSON.stringify({ status, result, error: result && result.error });
+      const url = `${this.bbsUrl}/devices/${encodeURIComponent(this.deviceId)}/commands/${encodeURIComponent(commandId)}/status`;
+      const response = await NetworkUtils.httpRequest(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...DeviceCredential.headers(this.deviceId, { method: 'POST', url, body }) },
+        body
+      }, {
+        method: 'POST',
+        maxRetries: 3,
+        timeoutMs: 10000,
+        shouldRetry: res => res.status >= 500
+      });
+      await this.checkCredentialResponse(response);
+
+      // 409: the BBS already knows a later status (e.g. the command expired)
+      if (!response.ok && response.status !== 409) {
+        console.warn(`⚠️ Command result report failed (Status: ${response.status})`);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to report command result:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Request a short-lived pairing code to show on the TV.
+   * Returns { code, pollToken, expiresAt } or null.
+   */
+  async requestPairingCode(friendlyName) {
+    if (!this.useBbsHttp || !this.bbsUrl) return null;
+
+    try {
+      const response = await NetworkUtils.httpRequest(`${this.bbsUrl}/devices/pairing-codes`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ deviceId: this.deviceId, friendlyName })
+      }, {
+        method: 'POST',
+        maxRetries: 2,
+        timeoutMs: 10000,
+        shouldRetry: res => res.status >= 500
+      });
+
+      if (!response.ok) {
+        console.warn(`⚠️ Pairing code request failed (Status: ${response.status})`);
+        return null;
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Failed to request pairing code:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a pairing code has been redeemed.
+   * Returns { status, masterEmail?, deviceSecret? } (the device credential
+   * comes with the first 'claimed' answer only), { status: 'unknown' } when
+   * the BBS no longer knows the code, or null on network errors.
+   */
+  async getPairingStatus(code, pollToken) {
+    if (!this.useBbsHttp || !this.bbsUrl) return null;
+
+    try {
+      const response = await NetworkUtils.httpRequest(`${this.bbsUrl}/devices/pairing-codes/${encodeURIComponent(code)}`, {
+        headers: { 'X-Pairing-Token': pollToken }
+      }, {
+        maxRetries: 1,
+        timeoutMs: 10000
+      });
+
+      if (response.status === 404) return { status: 'unknown' };
+      if (!response.ok) return null;
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Failed to check pairing status:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Watch a BBS key for new stream URLs. The current URL is taken as already
+   * playing so only later changes reach the onStreamUpdate callback.
+   */
+  watchStream(key, currentStreamUrl = null) {
+    if (key !== this.streamKey) this.lastEtag = null;
+    this.streamKey = key || this.deviceId;
+    this.lastStreamUrl = currentStreamUrl;
+    this.startPolling();
+  }
+
+  /**
+   * Forget the last update so the next poll reports it again, e.g. after the
+   * player could not switch to it.
+   */
+  resetUpdateCheck(currentStreamUrl = null) {
+    this.lastStreamUrl = currentStreamUrl;
+    this.lastEtag = null;
+  }
+
   /**
    * Start polling for stream URL updates
    */
@@ -464,12 +606,13 @@ class CloudService {
       return;
     }
 
+    const interval = (this.config.azure && this.config.azure.pollInterval) || DEFAULT_POLL_INTERVAL_MS;
     this.isPolling = true;
-    console.log(`🔄 Starting cloud polling (interval: ${this.config.azure.pollInterval}ms)`);
+    console.log(`🔄 Starting cloud polling (interval: ${interval}ms)`);
 
     this.pollInterval = setInterval(async () => {
       await this.checkForUpdates();
-    }, this.config.azure.pollInterval);
+    }, interval);
 
     // Check immediately
     this.checkForUpdates();
@@ -492,7 +635,9 @@ class CloudService {
    */
   async checkForUpdates() {
     try {
-      const latestEntry = await this.getLatestStreamUrl();
+      const latestEntry = await this.getLatestStreamUrl(this.streamKey, { ifNoneMatch: this.lastEtag });
+      if (latestEntry && latestEntry.notModified) return;
+      this.lastEtag = (latestEntry && latestEntry.etag) || null;
 
       if (latestEntry && latestEntry.streamUrl !== this.lastStreamUrl) {
         console.log(`🌐 New stream URL detected: ${latestEntry.streamUrl}`);
@@ -533,7 +678,8 @@ class CloudService {
       initialized: !!this.tableClient,
       polling: this.isPolling,
       lastStreamUrl: this.lastStreamUrl,
-      pollInterval: (this.config.azure && this.config.azure.pollInterval) || null,
+      streamKey: this.streamKey,
+      pollInterval: (this.config.azure && this.config.azure.pollInterval) || DEFAULT_POLL_INTERVAL_MS,
       deviceId: this.deviceId
     };
   }
@@ -2,6 +2,7 @@ const { exec } = require('child_process');
 const dns = require('dns').promises;
 const os = require('os');
 const NetworkUtils = require('./network-utils');
+const DeviceCredential = require('./device-credential');
 
 /**
  * Manages network and BBS connectivity for the Raspberry Pi
@@ -11,6 +12,8 @@ class ConnectivityManager {
     this.config = config;
     this.deviceId = deviceId;
     this.credentials = credentials;
+    this.credentialRevoked = false; // Set when the BBS refuses the device credential
+    this.pairingRequired = false; // Set when the BBS wants the device paired before it gets a credential
   }
 
   /**
@@ -229,24 +232,46 @@ class ConnectivityManager {
 
     if (updateSplash) await updateSplash('Ilmoitetaan laite pilvipalveluun...');
     try {
-      const res = await NetworkUtils.httpRequest(`${this.config.azure.bbsUrl}/devices/announce`, {
+      const body = JSON.stringify({
+        deviceId: this.deviceId,
+        email: this.credentials.email,
+        friendlyName: this.config.friendlyName || `ESPA-Pi-${this.deviceId.slice(-4)}`
+      });
+      const url = `${this.config.azure.bbsUrl}/devices/announce`;
+      const headers = {
+        'Content-Type': 'application/json',
+        ...DeviceCredential.headers(this.deviceId, { method: 'POST', url, body })
+      };
+
+      const res = await NetworkUtils.httpRequest(url, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          deviceId: this.deviceId,
-          email: this.credentials.email,
-          friendlyName: this.config.friendlyName || `ESPA-Pi-${this.deviceId.slice(-4)}`
-        })
+        headers,
+        body
       }, {
+        method: 'POST',
         maxRetries: 5,
         timeoutMs: 10000,
-        retryDelayMs: attempt => Math.min(2000 * Math.pow(2, attempt - 1), 30000)
+        retryDelayMs: attempt => Math.min(2000 * Math.pow(2, attempt - 1), 30000),
+        shouldRetry: response => response.status >= 500
       });
 
+      this.credentialRevoked = await DeviceCredential.checkResponse(res);
       if (res.ok) {
-        console.log('✅ Device announcement successful');
+        const result = await res.json().catch(() => ({}));
+        if (result.deviceSecret) DeviceCredential.save(result.deviceSecret);
+        // Owned but never given a credential (e.g. a legacy device): only pairing issues one
+        this.pairingRequired = !!result.pairingRequired;
+        if (this.pairingRequired) console.warn('🔐 Device has no credential yet; pair it to get one');
+        if (result.status === 'transfer-pending') {
+          console.log(`⏳ Device is registered to another account; moving it to ${this.credentials.email} awaits the current owner's approval`);
+        } else {
+          console.log('✅ Device announcement successful');
+        }
         return true;
       }
+      if (res.status === 401 && !this.credentialRevoked) {
+        console.error('❌ Device announcement rejected: the BBS did not accept this device\'s signature');
+      }
     } catch (err) {
       console.error(`❌ Failed to announce device to cloud:`, err.message);
     }
@@ -260,12 +285,16 @@ class ConnectivityManager {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 10000);
 
-      const response = await fetch(endpoint, { signal: controller.signal });
+      const response = await fetch(endpoint, {
+        signal: controller.signal,
+        headers: DeviceCredential.headers(this.deviceId, { url: endpoint })
+      });
       clearTimeout(timeoutId);
 
       if (response.ok) {
         const entries = await response.json();
-        return entries?.[0]?.value1 || null;
+        const current = NetworkUtils.pickActiveEntry(entries);
+        return current?.value1 || null;
       }
     } catch (error) {
       console.error('❌ Failed to fetch from BBS:', error.message);
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CREDENTIAL_PATH = path.join(__dirname, '..', '.device-secret');
+
+/**
+ * The device credential issued by the BBS when the device is paired (or on
+ * the first announcement of a device that never had one). Device requests
+ * are signed with it, covering the request line and device ID too:
+ *   X-Device-Id: <deviceId>
+ *   X-Device-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ *     "<t>\n<METHOD>\n<path and query>\n<deviceId>\n<body>">
+ */
+class DeviceCredential {
+  static load() {
+    try {
+      return fs.readFileSync(CREDENTIAL_PATH, 'utf8').trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static save(secret) {
+    fs.writeFileSync(CREDENTIAL_PATH, `${secret}\n`, { encoding: 'utf8', mode: 0o600 });
+    console.log('🔐 Stored device credential from BBS');
+  }
+
+  static clear() {
+    fs.rmSync(CREDENTIAL_PATH, { force: true });
+  }
+
+  static sign(secret, { method, path, deviceId, body = '' }, timestamp = Math.floor(Date.now() / 1000)) {
+    const signed = [timestamp, method.toUpperCase(), path, deviceId, body].join('\n');
+    const digest = crypto.createHmac('sha256', secret).update(signed).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Headers for a signed request to `url`; empty without a credential.
+   */
+  static headers(deviceId, { method = 'GET', url, body = '' }) {
+    const secret = this.load();
+    if (!secret) return {};
+    const { pathname, search } = new URL(url);
+    const signature = this.sign(secret, { method, path: pathname + search, deviceId, body });
+    return { 'X-Device-Id': deviceId, 'X-Device-Signature': signature };
+  }
+
+  /**
+   * Stores a rotated credential sent back by the BBS. Returns true when the
+   * response says the credential was revoked; it is then forgotten and the
+   * device has to be paired again.
+   */
+  static async checkResponse(response) {
+    const rotated = response.headers.get('X-Device-Secret');
+    if (rotated) this.save(rotated);
+
+    if (response.status !== 401) return false;
+    const data = await response.clone().json().catch(() => ({}));
+    if (!data.revoked) return false;
+
+    console.warn('🔐 Device credential was revoked by the owner');
+    this.clear();
+    return true;
+  }
+}
+
+module.exports = DeviceCredential;
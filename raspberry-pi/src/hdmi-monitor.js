@@ -278,6 +278,37 @@ class HDMIMonitor {
     }
   }
 
+  /**
+   * Whether the display is powered on (Raspberry Pi specific)
+   * @returns {Promise<boolean|null>} null=unknown
+   */
+  async getDisplayPower() {
+    return this._checkVcgencmdDisplay();
+  }
+
+  /**
+   * Turn the display on or off with vcgencmd (Raspberry Pi specific)
+   * @param {boolean} on - Desired display power
+   * @returns {Promise<boolean>} true once the display is in that state
+   */
+  async setDisplayPower(on) {
+    if (await this._checkVcgencmdDisplay() === null) {
+      return false; // Not a Raspberry Pi, or vcgencmd is missing
+    }
+
+    try {
+      const { exec } = require('child_process');
+      const util = require('util');
+      const execAsync = util.promisify(exec);
+
+      const { stdout } = await execAsync(`vcgencmd display_power ${on ? 1 : 0}`);
+      return stdout.includes(`display_power=${on ? 1 : 0}`);
+    } catch (error) {
+      console.warn(`⚠️ Failed to turn display ${on ? 'on' : 'off'}:`, error.message);
+      return false;
+    }
+  }
+
   /**
    * Wait for HDMI connection with timeout
    * @param {number} timeoutMs - Timeout in milliseconds
@@ -12,6 +12,9 @@ const ProvisioningStateManager = require('./provisioning-state');
 const IoTDeviceService = require('./iot-device-service');
 const ConnectivityManager = require('./connectivity-manager');
 const PlayerController = require('./player-controller');
+const DeviceCredential = require('./device-credential');
+const QRCode = require('qrcode');
+const { version: APP_VERSION } = require('../package.json');
 require('dotenv').config();
 
 const PlayerState = {
@@ -23,6 +26,13 @@ const PlayerState = {
   ERROR: 'ERROR'
 };
 
+const STREAM_SWITCH_SPLASH_MS = 3000; // How long the next title stays on screen
+const PAIRING_POLL_MS = 5000;
+const PAIRING_RETRY_MS = 60000; // After a failed code request
+const PAIRED_PATH = path.join(__dirname, '..', '.paired');
+const STATE_SYNC_MS = 60000; // How soon IoT Hub devices see desired state changes
+const STATE_REPORT_DELAY_MS = 2000; // Folds quick state transitions into one report
+
 class EspaTvPlayer {
   constructor() {
     this.app = express();
@@ -45,12 +55,23 @@ class EspaTvPlayer {
     this.iotService = null;
 
     this.streamUrl = null;
+    this.isSwitchingStream = false;
+    this.pairing = null; // Code currently shown on the splash screen
+    this.pairingRequired = false; // Credential revoked: nothing plays until paired again
+
+    // Desired state from the BBS (see convergeOnDesiredState)
+    this.stateSync = null;
+    this.desiredVersion = 0; // Last version applied
+    this.streamOverride = null; // Stream pinned by the desired state, over BBS entries
+    this.globalCoordinates = null;
+    this.displayOn = null;
   }
 
   get state() { return this._state; }
   set state(newState) {
     console.log(`🔄 State Transition: ${this._state} → ${newState}`);
     this._state = newState;
+    this.scheduleStateReport();
   }
 
   loadJsonConfig(filename) {
@@ -130,10 +151,21 @@ class EspaTvPlayer {
 
       await this.connectivity.announceToCloud(msg => this.updateSplash(msg));
       await this.cloudService.initialize();
+      this.cloudService.onCredentialRevoked(() => this.handleCredentialRevoked());
+      if (this.connectivity.credentialRevoked || this.connectivity.pairingRequired) this.requirePairing();
       
     const bbsKey = process.env.BBS_KEY || this.deviceId;
-    this.streamUrl = await this.connectivity.fetchBbsStreamUrlOnce(bbsKey);
-    this.player.cloudCoordinates = await this.cloudService.getCoordinates();
+    this.streamUrl = this.pairingRequired ? null : await this.connectivity.fetchBbsStreamUrlOnce(bbsKey);
+    this.globalCoordinates = await this.cloudService.getCoordinates();
+    this.player.cloudCoordinates = this.globalCoordinates;
+    this.displayOn = await this.hdmiMonitor.getDisplayPower();
+
+    // A stream pinned by the desired state wins over the latest entry from the start
+    const desiredState = this.pairingRequired ? null : await this.cloudService.reportDeviceState(await this.getReportedState());
+    if (desiredState?.desired?.streamUrl) {
+      this.streamOverride = desiredState.desired.streamUrl;
+      this.streamUrl = this.streamOverride;
+    }
 
     // 4. Set Ready State before IoT Handshake
     this.state = PlayerState.READY;
@@ -145,20 +177,47 @@ class EspaTvPlayer {
       this.state = PlayerState.PLAYING;
     } else {
       console.warn('⚠️ No stream URL found. Waiting for commands.');
-      await this.updateSplash('Odotetaan lähetystä...');
+      await this.updateSplash(this.pairingRequired ? 'Laitteen yhteys tiliin on katkaistu. Yhdistä laite uudelleen.' : 'Odotetaan lähetystä...');
+      if (this.pairingRequired || !this.getPairing()) await this.startPairing();
     }
+
+    // 6. Follow new entries posted to the BBS
+    this.cloudService.onStreamUpdate((url, entry) => this.handleStreamUpdate(url, entry));
+    this.cloudService.watchStream(bbsKey, this.streamUrl);
+
+    // 7. Converge on the desired state and keep reporting ours
+    await this.startStateSync(desiredState);
     } catch (error) {
       this.state = PlayerState.ERROR;
       throw error;
     }
   }
 
+  /**
+   * Connects the command channel: IoT Hub by default, or a WebSocket to the
+   * BBS with `iot.transport: "websocket"` in config.json (or IOT_TRANSPORT).
+   */
   async initializeIoTHub() {
-    const iotConnection = await this.cloudService.getIoTHubConnectionString();
-    if (!iotConnection) return;
+    const transport = process.env.IOT_TRANSPORT || this.config.iot?.transport || 'iothub';
+    if (transport === 'websocket') {
+      this.iotService = new IoTDeviceService(this.deviceId, {
+        transport,
+        bbsUrl: this.cloudService.bbsUrl,
+        onCredentialRevoked: () => this.handleCredentialRevoked()
+      });
+    } else {
+      const iotConnection = await this.cloudService.getIoTHubConnectionString();
+      if (!iotConnection) return;
 
-    this.iotService = new IoTDeviceService(this.deviceId, iotConnection.hubName, iotConnection.sasToken, iotConnection.connectionString);
+      this.iotService = new IoTDeviceService(this.deviceId, {
+        transport,
+        hubName: iotConnection.hubName,
+        sasToken: iotConnection.sasToken,
+        connectionString: iotConnection.connectionString
+      });
+    }
     this.iotService.onCommand((cmd, payload) => this.handleIoTCommand(cmd, payload));
+    this.iotService.onCommandResult((commandId, status, result) => this.cloudService.reportCommandResult(commandId, status, result));
     await this.iotService.connect();
   }
 
@@ -201,12 +260,249 @@ class EspaTvPlayer {
     }
   }
 
+  async handleStreamUpdate(streamUrl, entry = {}) {
+    if (!streamUrl || streamUrl === this.streamUrl) return;
+    if (this.streamOverride && streamUrl !== this.streamOverride) {
+      console.log('⏭️ Stream is pinned by the desired state, ignoring new entry');
+      return;
+    }
+    if (this.pairingRequired) {
+      this.cloudService.resetUpdateCheck(this.streamUrl); // Played once the device is paired again
+      return;
+    }
+    if (this.state !== PlayerState.READY && this.state !== PlayerState.PLAYING && this.state !== PlayerState.ERROR) {
+      console.log(`⏭️ Deferring stream update in state ${this.state}`);
+      this.cloudService.resetUpdateCheck(this.streamUrl);
+      return;
+    }
+    if (this.isSwitchingStream) {
+      console.log('⏭️ Stream switch already in progress, deferring update');
+      this.cloudService.resetUpdateCheck(this.streamUrl);
+      return;
+    }
+
+    this.isSwitchingStream = true;
+    this.stopPairing();
+    try {
+      const title = entry.metadata?.value2 || 'Uusi lähetys';
+      console.log(`📺 Switching stream: ${this.streamUrl || '(none)'} → ${streamUrl}`);
+
+      this.state = PlayerState.READY;
+      await this.player.page.goto(`http://127.0.0.1:${this.port}/splash.html`);
+      await this.updateSplash(`Seuraavaksi: ${title}`);
+      await this.player.sleep(STREAM_SWITCH_SPLASH_MS);
+
+      await this.player.goToStream(streamUrl, false);
+      this.streamUrl = streamUrl;
+      this.state = PlayerState.PLAYING;
+    } catch (error) {
+      this.state = PlayerState.ERROR;
+      console.error('❌ Stream switch failed:', error.message);
+      this.cloudService.resetUpdateCheck(this.streamUrl); // Retry on the next poll
+    } finally {
+      this.isSwitchingStream = false;
+    }
+  }
+
+  /**
+   * Keeps the desired state applied: right away, whenever the command
+   * transport (re)connects or pushes a change, and every STATE_SYNC_MS.
+   */
+  async startStateSync(initialState = null) {
+    this.stateSync = { timer: null, reportTimer: null, queue: Promise.resolve() };
+    if (this.iotService) {
+      this.iotService.onConnect(() => this.syncState());
+      this.iotService.onDesiredState(state => this.convergeOnDesiredState(state));
+    }
+    this.stateSync.timer = setInterval(() => this.syncState(), STATE_SYNC_MS);
+    if (initialState) await this.convergeOnDesiredState(initialState);
+    else await this.syncState();
+  }
+
+  // Reports our state; the answer carries the desired state to converge on
+  async syncState() {
+    if (!this.stateSync || this.pairingRequired) return;
+    const state = await this.cloudService.reportDeviceState(await this.getReportedState());
+    if (state) await this.convergeOnDesiredState(state);
+  }
+
+  /**
+   * Applies what differs between the desired state { desired, version } and
+   * the player. A field left null is up to the player: BBS entries pick the
+   * stream, the global config the click coordinates. Runs one at a time.
+   */
+  convergeOnDesiredState(state) {
+    if (!this.stateSync) return Promise.resolve();
+    this.stateSync.queue = this.stateSync.queue
+      .then(() => this.applyDesiredState(state))
+      .catch(error => console.error('❌ Failed to apply desired state:', error.message));
+    return this.stateSync.queue;
+  }
+
+  async applyDesiredState({ desired = {}, version = 0 }) {
+    let changed = version !== this.desiredVersion;
+    if (changed) console.log(`🎛️ Applying desired state version ${version}`);
+
+    this.player.cloudCoordinates = desired.coordinates || this.globalCoordinates;
+
+    if (desired.volume != null && desired.volume !== this.player.volume) {
+      await this.player.setVolume(desired.volume);
+      changed = true;
+    }
+
+    if (typeof desired.displayOn === 'boolean' && desired.displayOn !== this.displayOn) {
+      if (await this.hdmiMonitor.setDisplayPower(desired.displayOn)) {
+        console.log(`🖥️ Display turned ${desired.displayOn ? 'on' : 'off'}`);
+        this.displayOn = desired.displayOn;
+        changed = true;
+      }
+    }
+
+    const override = desired.streamUrl || null;
+    if (override !== this.streamOverride) {
+      const released = !override;
+      this.streamOverride = override;
+      changed = true;
+      if (released) this.cloudService.resetUpdateCheck(null); // The next poll brings the latest entry
+    }
+    if (override && override !== this.streamUrl) {
+      await this.handleStreamUpdate(override, { metadata: { value2: 'Etäohjattu lähetys' } });
+    }
+
+    // A switch deferred (another one running, player not ready) or failed
+    // leaves the version pending, so the next sync applies it again
+    if (!override || this.streamUrl === override) this.desiredVersion = version;
+    if (changed) this.scheduleStateReport();
+  }
+
+  async getReportedState() {
+    const playing = this.state === PlayerState.PLAYING && this.player.page ? await this.player.isVideoPlaying() : null;
+    return {
+      playerState: this.state,
+      streamUrl: this.streamUrl,
+      playback: playing === null ? null : (playing ? 'playing' : 'paused'),
+      resolution: await this.player.getResolution(),
+      appVersion: APP_VERSION,
+      volume: this.player.volume,
+      displayOn: this.displayOn,
+      desiredVersion: this.desiredVersion
+    };
+  }
+
+  scheduleStateReport() {
+    if (!this.stateSync || this.pairingRequired) return;
+    clearTimeout(this.stateSync.reportTimer);
+    this.stateSync.reportTimer = setTimeout(async () => {
+      await this.cloudService.reportDeviceState(await this.getReportedState());
+    }, STATE_REPORT_DELAY_MS);
+  }
+
   async updateSplash(message) {
     if (this.player.page) {
       await this.player.page.evaluate(m => window.updateStatus && window.updateStatus(m), message).catch(() => {});
     }
   }
 
+  /**
+   * Pairing result saved once a user has claimed this device with the code
+   * shown on screen, or null.
+   */
+  getPairing() {
+    const paired = this.loadJsonConfig('.paired');
+    return paired.masterEmail ? paired : null;
+  }
+
+  requirePairing() {
+    this.pairingRequired = true;
+    fs.rmSync(PAIRED_PATH, { force: true });
+  }
+
+  /**
+   * The owner revoked this device's credential: stop playback and show a
+   * pairing code until someone pairs it again.
+   */
+  async handleCredentialRevoked() {
+    if (this.pairingRequired) return;
+    this.requirePairing();
+    console.warn('🔐 Device credential revoked; showing a pairing code');
+
+    if (this.state === PlayerState.PLAYING && this.player.page) {
+      await this.player.page.goto(`http://127.0.0.1:${this.port}/splash.html`).catch(() => {});
+      this.state = PlayerState.READY;
+    }
+    this.streamUrl = null;
+    await this.updateSplash('Laitteen yhteys tiliin on katkaistu. Yhdistä laite uudelleen.');
+    await this.startPairing();
+  }
+
+  async startPairing() {
+    if (this.pairing || !this.cloudService.bbsUrl) return;
+    this.pairing = { timer: null };
+    await this.refreshPairingCode();
+  }
+
+  stopPairing() {
+    if (!this.pairing) return;
+    clearTimeout(this.pairing.timer);
+    this.pairing = null;
+    if (this.player.page) {
+      this.player.page.evaluate(() => window.hidePairing && window.hidePairing()).catch(() => {});
+    }
+  }
+
+  async refreshPairingCode() {
+    const friendlyName = this.config.friendlyName || `ESPA-Pi-${this.deviceId.slice(-4)}`;
+    const issued = await this.cloudService.requestPairingCode(friendlyName);
+    if (!this.pairing) return; // Stopped meanwhile
+
+    if (!issued) {
+      this.pairing.timer = setTimeout(() => this.refreshPairingCode(), PAIRING_RETRY_MS);
+      return;
+    }
+
+    const url = `${this.cloudService.bbsUrl}/?pair=${issued.code}`;
+    const qr = await QRCode.toDataURL(url, { margin: 1, width: 240 });
+    if (!this.pairing) return;
+    Object.assign(this.pairing, issued);
+    console.log(`🔢 Showing pairing code ${issued.code} (expires ${issued.expiresAt})`);
+    if (this.player.page) {
+      await this.player.page.evaluate(p => window.showPairing && window.showPairing(p), {
+        code: issued.code,
+        qr,
+        url: this.cloudService.bbsUrl
+      }).catch(() => {});
+    }
+    this.pairing.timer = setTimeout(() => this.pollPairing(), PAIRING_POLL_MS);
+  }
+
+  async pollPairing() {
+    const { code, pollToken, expiresAt } = this.pairing;
+    const result = await this.cloudService.getPairingStatus(code, pollToken);
+    if (!this.pairing || this.pairing.code !== code) return;
+
+    if (result?.status === 'claimed') {
+      if (result.deviceSecret) DeviceCredential.save(result.deviceSecret);
+      fs.writeFileSync(PAIRED_PATH, JSON.stringify({
+        masterEmail: result.masterEmail,
+        friendlyName: result.friendlyName,
+        pairedAt: new Date().toISOString()
+      }, null, 2), 'utf8');
+      console.log(`🤝 Paired with ${result.masterEmail}`);
+      this.stopPairing();
+      if (this.pairingRequired) {
+        this.pairingRequired = false;
+        this.cloudService.resetUpdateCheck(null); // The next poll brings the current stream
+      }
+      await this.updateSplash(`Laite yhdistetty tiliin ${result.masterEmail}. Odotetaan lähetystä...`);
+      return;
+    }
+
+    if (result?.status === 'expired' || result?.status === 'unknown' || Date.now() >= Date.parse(expiresAt)) {
+      return this.refreshPairingCode();
+    }
+    this.pairing.timer = setTimeout(() => this.pollPairing(), PAIRING_POLL_MS);
+  }
+
   async startProvisioning(reason) {
     console.log(`🛠️ Entering Provisioning Mode: ${reason}`);
     this.isProvisioning = true;
@@ -215,6 +511,12 @@ class EspaTvPlayer {
   }
 
   async stop() {
+    this.stopPairing();
+    if (this.stateSync) {
+      clearInterval(this.stateSync.timer);
+      clearTimeout(this.stateSync.reportTimer);
+    }
+    this.cloudService.cleanup();
     if (this.iotService) await this.iotService.disconnect();
     await this.player.close();
     this.server.close();
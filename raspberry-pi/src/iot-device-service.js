@@ -1,100 +1,78 @@
 #!/usr/bin/env node
 
-const { Client, Message } = require('azure-iot-device');
-const { Mqtt } = require('azure-iot-device-mqtt');
+const IoTHubTransport = require('./iot-hub-transport');
+const WebSocketTransport = require('./websocket-transport');
+
+const TRANSPORTS = {
+  iothub: IoTHubTransport,
+  websocket: WebSocketTransport
+};
+const METHODS = ['play', 'pause', 'fullscreen', 'restart', 'status'];
 
 /**
- * IoT Hub Device Service for Raspberry Pi
- * Handles cloud-to-device commands from BBS/IoT Hub using Direct Methods (primary)
- * and Cloud-to-Device messages (fallback).
+ * Device command service for Raspberry Pi.
+ * Handles commands from the BBS over the transport picked in config:
+ * - 'iothub' (default): Azure IoT Hub Direct Methods, with C2D messages as fallback
+ * - 'websocket': a socket the device opens to the BBS, for setups without IoT Hub
+ * Both carry the same methods with request/response semantics, and commands
+ * queued while the device was offline as messages.
  */
 class IoTDeviceService {
-  constructor(deviceId, hubName = null, sasToken = null, connectionString = null) {
+  /**
+   * `options` go to the transport: { hubName, sasToken, connectionString }
+   * for 'iothub', { bbsUrl, onCredentialRevoked } for 'websocket'.
+   */
+  constructor(deviceId, { transport = 'iothub', ...options } = {}) {
+    const Transport = TRANSPORTS[transport];
+    if (!Transport) throw new Error(`Unknown IoT transport "${transport}" (use ${Object.keys(TRANSPORTS).join(' or ')})`);
+
     this.deviceId = deviceId;
-    this.hubName = hubName;
-    this.sasToken = sasToken;
-    this.connectionString = connectionString;
-    this.client = null;
-    this.isConnected = false;
+    this.transportName = transport;
+    this.transport = new Transport(deviceId, options, {
+      methods: METHODS,
+      onMethod: (method, payload, respond) => this._onDirectMethod(method, payload, respond),
+      onMessage: (message) => this._handleCloudMessage(message),
+      onConnect: () => this._notify(this.onConnectCallback),
+      onDesiredState: (state) => this._notify(this.onDesiredStateCallback, state)
+    });
     this.onCommandCallback = null;
+    this.onCommandResultCallback = null;
+    this.onConnectCallback = null;
+    this.onDesiredStateCallback = null;
     this.commandHistory = [];
     this.maxHistorySize = 50;
 
-    console.log(`🔗 IoT Device Service initialized for device: ${deviceId}`);
+    console.log(`🔗 IoT Device Service initialized for device: ${deviceId} (transport: ${transport})`);
   }
 
-  /**
-   * Connect to IoT Hub
-   */
-  async connect() {
-    if (!this.connectionString && (!this.hubName || !this.sasToken)) {
-      console.log('⚠️ No IoT Hub connection credentials available - IoT commands disabled');
-      return false;
-    }
-
-    try {
-      console.log('🔗 Connecting to IoT Hub...');
-
-      if (this.connectionString) {
-        this.client = Client.fromConnectionString(this.connectionString, Mqtt);
-      } else {
-        const connectionString = `HostName=${this.hubName}.azure-devices.net;DeviceId=${this.deviceId};SharedAccessSignature=${this.sasToken}`;
-        this.client = Client.fromConnectionString(connectionString, Mqtt);
-      }
+  get isConnected() {
+    return this.transport.isConnected;
+  }
 
-      this.client.on('connect', () => {
-        console.log('✅ Connected to IoT Hub');
-        this.isConnected = true;
-      });
-
-      this.client.on('disconnect', () => {
-        console.log('⚠️ Disconnected from IoT Hub');
-        this.isConnected = false;
-      });
-
-      this.client.on('error', (err) => {
-        console.error('❌ IoT Hub client error:', err.message);
-        this.isConnected = false;
-      });
-
-      // Direct Method Handlers
-      const methods = ['play', 'pause', 'fullscreen', 'restart', 'status'];
-      methods.forEach(method => {
-        this.client.onDeviceMethod(method, (req, res) => this._onDirectMethod(method, req, res));
-      });
-
-      // Fallback C2D
-      this.client.on('message', this._handleCloudMessage.bind(this));
-
-      await this.client.open();
-      console.log('🎯 IoT Hub device ready (Direct Methods + C2D Fallback)');
-      return true;
-
-    } catch (error) {
-      console.error('❌ Failed to connect to IoT Hub:', error.message);
-      this.isConnected = false;
-      return false;
-    }
+  async connect() {
+    return this.transport.connect();
   }
 
   /**
-   * Universal Direct Method Handler with Fast-Path support
+   * Universal Direct Method Handler with Fast-Path support.
+   * `respond(status, body)` answers the call and returns a promise.
    */
-  async _onDirectMethod(methodName, request, response) {
+  async _onDirectMethod(methodName, requestPayload, respond) {
     const startTime = Date.now();
+    const { commandId, ...payload } = requestPayload || {};
     console.log(`⚡ Direct Method received: ${methodName}`);
 
     this._addToHistory({
       timestamp: new Date().toISOString(),
       command: methodName,
-      payload: request.payload,
-      source: 'direct-method'
+      commandId,
+      payload,
+      source: 'method',
+      transport: this.transportName
     });
 
     if (!this.onCommandCallback) {
-      response.send(501, { error: 'No handler registered' }, (err) => {
-        if (err) console.error('❌ Failed to send 501:', err.message);
-      });
+      respond(501, { error: 'No handler registered' }).catch(err => console.error('❌ Failed to send 501:', err.message));
       return;
     }
 
@@ -106,67 +84,71 @@ class IoTDeviceService {
 
     if (isFastPath) {
       // Send acknowledgement immediately
-      response.send(200, { success: true, mode: 'fast-path', status: 'Acknowledged' }, (err) => {
-        if (err) console.error('❌ Failed to send FastPath ack:', err.message);
-        else console.log(`✅ Direct Method '${methodName}' acknowledged (Fast-Path) in ${Date.now() - startTime}ms`);
-      });
-
-      // Execute in background
-      this.onCommandCallback(methodName, request.payload).catch(err => {
-        console.error(`❌ Background command '${methodName}' failed:`, err.message);
-      });
+      respond(200, { success: true, mode: 'fast-path', status: 'Acknowledged' })
+        .then(() => console.log(`✅ Direct Method '${methodName}' acknowledged (Fast-Path) in ${Date.now() - startTime}ms`))
+        .catch(err => console.error('❌ Failed to send FastPath ack:', err.message));
+
+      // Execute in background; the BBS hears the outcome from _reportResult
+      this._runAndReport(methodName, payload, commandId);
     } else {
       // Regular path for status/restart where we want to wait for the actual result
       try {
-        const result = await this.onCommandCallback(methodName, request.payload);
+        const result = await this.onCommandCallback(methodName, payload);
         const status = result.success ? 200 : 400;
-        response.send(status, result, (err) => {
-          if (err) console.error('❌ Failed to send response:', err.message);
-          else console.log(`✅ Direct Method '${methodName}' finished in ${Date.now() - startTime}ms`);
-        });
+        respond(status, result)
+          .then(() => console.log(`✅ Direct Method '${methodName}' finished in ${Date.now() - startTime}ms`))
+          .catch(err => console.error('❌ Failed to send response:', err.message));
       } catch (error) {
-        response.send(500, { success: false, error: error.message }, (err) => {
-          if (err) console.error('❌ Failed to send 500:', err.message);
-        });
+        respond(500, { success: false, error: error.message }).catch(err => console.error('❌ Failed to send 500:', err.message));
       }
     }
   }
 
-  async _handleCloudMessage(msg) {
-    try {
-      const messageData = msg.data.toString('utf8');
-      let command;
-      try {
-        command = JSON.parse(messageData);
-      } catch (e) {
-        command = { command: messageData };
-      }
-
-      console.log(`📨 Received C2D command: ${command.command}`);
+  /**
+   * A queued command { command, payload, commandId } (C2D message, or one
+   * that waited on the BBS for the socket).
+   */
+  _handleCloudMessage(message) {
+    console.log(`📨 Received queued command: ${message.command}`);
 
-      this._addToHistory({
-        timestamp: new Date().toISOString(),
-        command: command.command,
-        payload: command.payload,
-        source: 'c2d'
-      });
+    this._addToHistory({
+      timestamp: new Date().toISOString(),
+      command: message.command,
+      commandId: message.commandId,
+      payload: message.payload,
+      source: 'message',
+      transport: this.transportName
+    });
 
-      if (this.onCommandCallback) {
-        // C2D is already asynchronous by nature (queued)
-        this.onCommandCallback(command.command, command.payload).catch(err => {
-          console.error(`❌ C2D command '${command.command}' failed:`, err.message);
-        });
-      }
+    if (this.onCommandCallback) {
+      // Queued commands are already asynchronous by nature
+      this._reportResult(message.commandId, 'acknowledged');
+      this._runAndReport(message.command, message.payload, message.commandId);
+    }
+  }
 
-      this.client.complete(msg, (err) => {
-        if (err) console.error('❌ Failed to complete C2D:', err.message);
-      });
-    } catch (error) {
-      console.error('❌ Error handling C2D:', error.message);
-      if (this.client) this.client.reject(msg);
+  async _runAndReport(command, payload, commandId) {
+    try {
+      const result = await this.onCommandCallback(command, payload);
+      this._reportResult(commandId, result && result.success ? 'succeeded' : 'failed', result);
+    } catch (err) {
+      console.error(`❌ Command '${command}' failed:`, err.message);
+      this._reportResult(commandId, 'failed', { success: false, error: err.message });
     }
   }
 
+  _reportResult(commandId, status, result = null) {
+    if (!commandId || !this.onCommandResultCallback) return;
+    Promise.resolve(this.onCommandResultCallback(commandId, status, result)).catch(err => {
+      console.error(`❌ Failed to report command ${commandId}:`, err.message);
+    });
+  }
+
+  _notify(callback, ...args) {
+    if (!callback) return;
+    Promise.resolve(callback(...args)).catch(err => console.error('❌ Transport event handler failed:', err.message));
+  }
+
   logDebug(...args) {
     if (process.env.DEBUG === 'true') console.log('[DEBUG]', ...args);
   }
@@ -175,26 +157,37 @@ class IoTDeviceService {
     this.onCommandCallback = callback;
   }
 
+  /**
+   * callback(commandId, status, result) for commands whose outcome the
+   * Direct Method answer does not carry (fast-path and C2D); status is
+   * 'acknowledged', 'succeeded' or 'failed'.
+   */
+  onCommandResult(callback) {
+    this.onCommandResultCallback = callback;
+  }
+
+  /**
+   * callback() whenever the transport (re)connects, e.g. to converge on the
+   * desired state missed while offline.
+   */
+  onConnect(callback) {
+    this.onConnectCallback = callback;
+  }
+
+  /**
+   * callback({ desired, version }) when the BBS pushes a changed desired
+   * state. Only the WebSocket transport pushes; IoT Hub devices sync.
+   */
+  onDesiredState(callback) {
+    this.onDesiredStateCallback = callback;
+  }
+
   async disconnect() {
-    if (this.client && this.isConnected) {
-      try {
-        await this.client.close();
-      } catch (error) {
-        console.error('❌ Error disconnecting:', error.message);
-      }
-    }
-    this.isConnected = false;
+    await this.transport.disconnect();
   }
 
   async sendTelemetry(data) {
-    if (!this.isConnected || !this.client) return false;
-    try {
-      const msg = new Message(JSON.stringify({ deviceId: this.deviceId, timestamp: new Date().toISOString(), ...data }));
-      await this.client.sendEvent(msg);
-      return true;
-    } catch (error) {
-      return false;
-    }
+    return this.transport.sendTelemetry({ deviceId: this.deviceId, timestamp: new Date().toISOString(), ...data });
   }
 
   _addToHistory(entry) {
@@ -206,6 +199,7 @@ class IoTDeviceService {
     return {
       connected: this.isConnected,
       deviceId: this.deviceId,
+      transport: this.transportName,
       lastCommand: this.commandHistory.length > 0 ? this.commandHistory[this.commandHistory.length - 1] : null
     };
   }
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+const { Client, Message } = require('azure-iot-device');
+const { Mqtt } = require('azure-iot-device-mqtt');
+
+/**
+ * Azure IoT Hub transport: Direct Methods (primary) and Cloud-to-Device
+ * messages (fallback). Needs the hub name and a SAS token from the BBS, or a
+ * full device connection string.
+ */
+class IoTHubTransport {
+  constructor(deviceId, { hubName = null, sasToken = null, connectionString = null } = {}, handlers) {
+    this.deviceId = deviceId;
+    this.hubName = hubName;
+    this.sasToken = sasToken;
+    this.connectionString = connectionString;
+    this.handlers = handlers;
+    this.client = null;
+    this.isConnected = false;
+  }
+
+  async connect() {
+    if (!this.connectionString && (!this.hubName || !this.sasToken)) {
+      console.log('⚠️ No IoT Hub connection credentials available - IoT commands disabled');
+      return false;
+    }
+
+    try {
+      console.log('🔗 Connecting to IoT Hub...');
+
+      const connectionString = this.connectionString ||
+        `HostName=${this.hubName}.azure-devices.net;DeviceId=${this.deviceId};SharedAccessSignature=${this.sasToken}`;
+      this.client = Client.fromConnectionString(connectionString, Mqtt);
+
+      this.client.on('connect', () => {
+        console.log('✅ Connected to IoT Hub');
+        this.isConnected = true;
+        this.handlers.onConnect();
+      });
+
+      this.client.on('disconnect', () => {
+        console.log('⚠️ Disconnected from IoT Hub');
+        this.isConnected = false;
+      });
+
+      this.client.on('error', (err) => {
+        console.error('❌ IoT Hub client error:', err.message);
+        this.isConnected = false;
+      });
+
+      // Direct Method Handlers
+      this.handlers.methods.forEach(method => {
+        this.client.onDeviceMethod(method, (req, res) => {
+          const respond = (status, body) => new Promise((resolve, reject) => {
+            res.send(status, body, err => (err ? reject(err) : resolve()));
+          });
+          this.handlers.onMethod(method, req.payload, respond);
+        });
+      });
+
+      // Fallback C2D
+      this.client.on('message', this._handleCloudMessage.bind(this));
+
+      await this.client.open();
+      console.log('🎯 IoT Hub device ready (Direct Methods + C2D Fallback)');
+      return true;
+
+    } catch (error) {
+      console.error('❌ Failed to connect to IoT Hub:', error.message);
+      this.isConnected = false;
+      return false;
+    }
+  }
+
+  _handleCloudMessage(msg) {
+    try {
+      const messageData = msg.data.toString('utf8');
+      let message;
+      try {
+        message = JSON.parse(messageData);
+      } catch (e) {
+        message = { command: messageData };
+      }
+
+      this.handlers.onMessage(message);
+
+      this.client.complete(msg, (err) => {
+        if (err) console.error('❌ Failed to complete C2D:', err.message);
+      });
+    } catch (error) {
+      console.error('❌ Error handling C2D:', error.message);
+      if (this.client) this.client.reject(msg);
+    }
+  }
+
+  async disconnect() {
+    if (this.client && this.isConnected) {
+      try {
+        await this.client.close();
+      } catch (error) {
+        console.error('❌ Error disconnecting:', error.message);
+      }
+    }
+    this.isConnected = false;
+  }
+
+  async sendTelemetry(data) {
+    if (!this.isConnected || !this.client) return false;
+    try {
+      await this.client.sendEvent(new Message(JSON.stringify(data)));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = IoTHubTransport;
@@ -33,7 +33,7 @@ class NetworkUtils {
 
         clearTimeout(timeoutId);
 
-        if (response.ok) {
+        if (response.ok || response.status === 304) { // 304: conditional GET, nothing changed
           console.log(`✅ HTTP ${method} ${url} successful (${response.status})`);
           return response;
         } else {
@@ -62,6 +62,16 @@ class NetworkUtils {
     }
   }
 
+  /**
+   * Pick the entry a device should play from a BBS /entries response.
+   * Newer BBS versions flag it with `active` (scheduled entries may be
+   * upcoming or expired); older ones only sort newest first.
+   */
+  static pickActiveEntry(entries) {
+    if (!Array.isArray(entries)) return null;
+    return entries.find(e => e.active === true) || entries.find(e => e.active === undefined) || null;
+  }
+
   /**
    * Sleep utility
    */
@@ -15,6 +15,7 @@ class PlayerController {
     this.debug = process.env.DEBUG === 'true';
     this.enableClickOverlay = process.env.SHOW_CLICK_OVERLAY !== 'false';
     this.cloudCoordinates = null;
+    this.volume = null; // 0-100 set from the BBS desired state; null leaves the page's own
     this.runtimeEnvironment = process.env.RUNTIME_ENV || (this.detectWSL() ? 'wsl' : 'raspberry');
   }
 
@@ -149,6 +150,7 @@ class PlayerController {
     await this.playStream(isInitialBoot);
     if (isInitialBoot) await this.sleep(500);
     await this.enterFullscreen(isInitialBoot);
+    await this.applyVolume();
     
     const elapsed = Date.now() - startTime;
     console.log(`⏱️ Performance: goToStream took ${elapsed}ms`);
@@ -422,6 +424,32 @@ class PlayerController {
     } catch (_) { return false; }
   }
 
+  async setVolume(volume) {
+    this.volume = volume;
+    await this.applyVolume();
+  }
+
+  // A new page starts at full volume, so goToStream applies it again
+  async applyVolume() {
+    if (!this.page || this.volume === null) return;
+    await this.page.evaluate(level => {
+      document.querySelectorAll('video').forEach(v => {
+        v.volume = level;
+        v.muted = level === 0;
+      });
+    }, this.volume / 100).catch(() => {});
+  }
+
+  /**
+   * Screen resolution as 'WIDTHxHEIGHT', or null without a page.
+   */
+  async getResolution() {
+    if (!this.page) return null;
+    try {
+      return await this.page.evaluate(() => `${window.screen.width}x${window.screen.height}`);
+    } catch (_) { return null; }
+  }
+
   async clickControl(action, label = '', fastPath = false) {
     const coords = await this.resolveClickCoordinates(action);
     this.logDebug(`准备点击 '${action}' at (${coords.x}, ${coords.y}) (Fast: ${fastPath})`);
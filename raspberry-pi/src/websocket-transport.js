@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+const WebSocket = require('ws');
+const DeviceCredential = require('./device-credential');
+
+const SOCKET_PATH = '/devices/socket';
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 60000;
+const HANDSHAKE_TIMEOUT_MS = 10000;
+const HEARTBEAT_TIMEOUT_MS = 75000; // The BBS pings every 30 s
+
+/**
+ * WebSocket transport for setups without IoT Hub: the device keeps a socket
+ * open to the BBS (signed with the device credential) and answers method
+ * calls on it, the same way as Direct Methods. Commands sent while the
+ * device was offline arrive as messages once it reconnects, like C2D.
+ * Reconnects with backoff for as long as the service runs.
+ */
+class WebSocketTransport {
+  constructor(deviceId, { bbsUrl = null, onCredentialRevoked = null } = {}, handlers) {
+    this.deviceId = deviceId;
+    this.bbsUrl = bbsUrl;
+    this.onCredentialRevoked = onCredentialRevoked;
+    this.handlers = handlers;
+    this.socket = null;
+    this.isConnected = false;
+    this.stopped = false;
+    this.attempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  get url() {
+    return `${this.bbsUrl.replace(/^http/, 'ws').replace(/\/$/, '')}${SOCKET_PATH}`;
+  }
+
+  /**
+   * Opens the socket. Resolves to whether the first attempt succeeded; later
+   * attempts keep running in the background either way.
+   */
+  async connect() {
+    if (!this.bbsUrl) {
+      console.log('⚠️ No BBS URL configured - WebSocket commands disabled');
+      return false;
+    }
+    this.stopped = false;
+    return new Promise(resolve => this._open(resolve));
+  }
+
+  _open(onFirstResult = null) {
+    const settle = (ok) => {
+      if (onFirstResult) onFirstResult(ok);
+      onFirstResult = null;
+    };
+
+    const headers = DeviceCredential.headers(this.deviceId, { url: this.url });
+    if (!headers['X-Device-Signature']) {
+      console.log('⚠️ No device credential stored - command socket waits for pairing');
+      this._scheduleReconnect();
+      return settle(false);
+    }
+
+    console.log(`🔗 Opening command socket to ${this.url}...`);
+    const socket = new WebSocket(this.url, { headers, handshakeTimeout: HANDSHAKE_TIMEOUT_MS });
+    this.socket = socket;
+
+    socket.on('upgrade', (res) => {
+      const rotated = res.headers['x-device-secret'];
+      if (rotated) DeviceCredential.save(rotated);
+    });
+
+    socket.on('unexpected-response', (req, res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        console.warn(`⚠️ BBS refused the command socket (Status: ${res.statusCode})`);
+        if (res.statusCode === 401 && /"revoked":true/.test(body)) {
+          console.warn('🔐 Device credential was revoked by the owner');
+          DeviceCredential.clear();
+          if (this.onCredentialRevoked) this.onCredentialRevoked();
+        }
+        socket.terminate();
+      });
+    });
+
+    socket.on('open', () => {
+      console.log('✅ Command socket connected to BBS');
+      this.isConnected = true;
+      this.attempts = 0;
+      this._heartbeat();
+      settle(true);
+      this.handlers.onConnect();
+    });
+
+    socket.on('ping', () => this._heartbeat());
+    socket.on('message', data => this._onSocketMessage(data));
+    socket.on('error', (err) => console.error('❌ Command socket error:', err.message));
+
+    socket.on('close', (code, reason) => {
+      if (this.isConnected) console.log(`⚠️ Command socket closed (${code}${reason.length ? ` ${reason}` : ''})`);
+      this.isConnected = false;
+      clearTimeout(this.heartbeatTimer);
+      settle(false);
+      if (this.socket === socket) this._scheduleReconnect();
+    });
+  }
+
+  _scheduleReconnect() {
+    if (this.stopped) return;
+    clearTimeout(this.reconnectTimer);
+    const delay = Math.min(RECONNECT_MIN_MS * 2 ** this.attempts, RECONNECT_MAX_MS);
+    this.attempts++;
+    this.reconnectTimer = setTimeout(() => this._open(), delay);
+  }
+
+  // A silent BBS (e.g. a dropped connection) is noticed by missing pings
+  _heartbeat() {
+    clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = setTimeout(() => {
+      console.warn('⚠️ No ping from BBS - reconnecting command socket');
+      if (this.socket) this.socket.terminate();
+    }, HEARTBEAT_TIMEOUT_MS);
+  }
+
+  _onSocketMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      console.warn('⚠️ Unreadable message on command socket');
+      return;
+    }
+
+    if (message.type === 'method') {
+      const respond = (status, payload) => this._send({ type: 'response', id: message.id, status, payload });
+      if (!this.handlers.methods.includes(message.method)) {
+        respond(404, { error: `Unknown method ${message.method}` }).catch(() => {});
+        return;
+      }
+      this.handlers.onMethod(message.method, message.payload, respond);
+    } else if (message.type === 'message') {
+      this.handlers.onMessage(message);
+    } else if (message.type === 'desired') {
+      this.handlers.onDesiredState({ desired: message.desired, version: message.version });
+    }
+  }
+
+  _send(message) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+        return reject(new Error('Command socket is not open'));
+      }
+      this.socket.send(JSON.stringify(message), err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  async disconnect() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.heartbeatTimer);
+    if (this.socket) {
+      this.socket.close(1000);
+      this.socket = null;
+    }
+    this.isConnected = false;
+  }
+
+  async sendTelemetry(data) {
+    try {
+      await this._send({ type: 'telemetry', data });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = WebSocketTransport;
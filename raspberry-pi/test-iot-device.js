@@ -35,7 +35,7 @@ async function testIoTDeviceService() {
   const mockConnectionString = 'HostName=espa-tv-iot-hub.azure-devices.net;DeviceId=test-device;SharedAccessKey=bW9ja2tleQ==';
   const mockPlayer = new MockPlayer();
 
-  const iotService = new IoTDeviceService('test-device', mockConnectionString);
+  const iotService = new IoTDeviceService('test-device', { connectionString: mockConnectionString });
 
   // Set up command handler
   iotService.onCommand(async (command, payload) => {
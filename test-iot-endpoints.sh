@@ -25,13 +25,9 @@ echo
 # For now, let's test the endpoints that don't require auth
 echo "3. Testing public IoT Hub endpoints..."
 
-# Test device auth token retrieval (should fail without valid device)
-echo "   Testing device auth token endpoint..."
-curl -s -X GET "${BBS_URL}/devices/${TEST_DEVICE}/auth-token" | jq . 2>/dev/null || echo "   (jq not available, raw response above)"
-
-# Test IoT connection endpoint (should fail without token)
+# Test IoT connection endpoint (should fail with 401 without a device signature)
 echo "   Testing IoT connection endpoint..."
-curl -s -X GET "${BBS_URL}/devices/${TEST_DEVICE}/iot-connection?token=invalid" | jq . 2>/dev/null || echo "   (jq not available, raw response above)"
+curl -s -X GET "${BBS_URL}/devices/${TEST_DEVICE}/iot-connection" | jq . 2>/dev/null || echo "   (jq not available, raw response above)"
 
 echo
 echo "📋 Manual Testing Steps:"